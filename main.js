@@ -1,15 +1,22 @@
-import { FaceLandmarker, HandLandmarker, FilesetResolver } from '@mediapipe/tasks-vision';
+import { FilesetResolver } from '@mediapipe/tasks-vision';
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { VRMLoaderPlugin, VRMUtils } from '@pixiv/three-vrm';
+import { FaceTracker, HandTracker, PoseTracker, readTrackingFrame } from './trackers.js';
 
 // ============================================================================
 // PARTICLE SYSTEMS
 // ============================================================================
 
+const CONFETTI_GRAVITY = 23; // units/s²
+
 /**
  * Confetti Particle System - Triggered by wave gesture
- * Creates colorful particles that explode outward with gravity
+ * Creates colorful particles that explode outward with gravity.
+ * Motion is evaluated in closed form from each particle's age, so it plays
+ * out identically at any frame rate.
  */
 class ConfettiParticles {
   constructor(scene) {
@@ -37,22 +44,23 @@ class ConfettiParticles {
       mesh.position.y += (Math.random() - 0.5) * 0.5;
       mesh.position.z += (Math.random() - 0.5) * 0.5;
 
-      // Random velocity (outward explosion)
+      // Random velocity in units/s (outward explosion)
       const velocity = new THREE.Vector3(
-        (Math.random() - 0.5) * 0.15,
-        Math.random() * 0.15 + 0.05,
-        (Math.random() - 0.5) * 0.15
+        (Math.random() - 0.5) * 9,
+        Math.random() * 9 + 3,
+        (Math.random() - 0.5) * 9
       );
 
       const particle = {
         mesh,
+        origin: mesh.position.clone(),
         velocity,
         age: 0,
         lifetime: 2 + Math.random() * 1, // 2-3 seconds
-        rotation: new THREE.Vector3(
-          Math.random() * 0.2,
-          Math.random() * 0.2,
-          Math.random() * 0.2
+        spin: new THREE.Vector3( // rad/s
+          Math.random() * 12,
+          Math.random() * 12,
+          Math.random() * 12
         )
       };
 
@@ -75,18 +83,13 @@ class ConfettiParticles {
         continue;
       }
 
-      // Apply gravity
-      p.velocity.y -= 0.4 * deltaTime;
-
-      // Update position
-      p.mesh.position.x += p.velocity.x;
-      p.mesh.position.y += p.velocity.y;
-      p.mesh.position.z += p.velocity.z;
+      // Ballistic flight under gravity
+      const t = p.age;
+      p.mesh.position.copy(p.origin).addScaledVector(p.velocity, t);
+      p.mesh.position.y -= 0.5 * CONFETTI_GRAVITY * t * t;
 
       // Rotate
-      p.mesh.rotation.x += p.rotation.x;
-      p.mesh.rotation.y += p.rotation.y;
-      p.mesh.rotation.z += p.rotation.z;
+      p.mesh.rotation.set(p.spin.x * t, p.spin.y * t, p.spin.z * t);
 
       // Fade out
       const lifeRatio = p.age / p.lifetime;
@@ -104,9 +107,11 @@ class ConfettiParticles {
   }
 }
 
+const SPARKLE_EXPANSION = 1.2; // Spiral radius growth, units/s
+
 /**
  * Sparkle Particle System - Triggered by thumbs up gesture
- * Creates gold/yellow sparkles that spiral outward
+ * Creates gold/yellow sparkles that spiral outward (a function of age, like confetti)
  */
 class SparkleParticles {
   constructor(scene) {
@@ -133,8 +138,7 @@ class SparkleParticles {
       const particle = {
         mesh,
         angle,
-        radius: 0,
-        speed: 0.02 + Math.random() * 0.02,
+        angularSpeed: 1.2 + Math.random() * 1.2, // rad/s
         age: 0,
         lifetime: 1.5, // 1.5 seconds
         baseScale: 0.5 + Math.random() * 0.5,
@@ -160,12 +164,12 @@ class SparkleParticles {
       }
 
       // Spiral outward motion
-      p.angle += p.speed;
-      p.radius += 0.02;
+      const angle = p.angle + p.angularSpeed * p.age;
+      const radius = SPARKLE_EXPANSION * p.age;
 
-      p.mesh.position.x = p.centerPos.x + Math.cos(p.angle) * p.radius;
-      p.mesh.position.y = p.centerPos.y + Math.sin(p.angle) * p.radius * 0.5 + p.age * 0.3;
-      p.mesh.position.z = p.centerPos.z + Math.sin(p.angle) * p.radius;
+      p.mesh.position.x = p.centerPos.x + Math.cos(angle) * radius;
+      p.mesh.position.y = p.centerPos.y + Math.sin(angle) * radius * 0.5 + p.age * 0.3;
+      p.mesh.position.z = p.centerPos.z + Math.sin(angle) * radius;
 
       // Pulsing scale
       const pulse = Math.sin(p.age * 10) * 0.3 + 0.7;
@@ -196,8 +200,10 @@ class AmbientParticles {
     this.scene = scene;
     this.particles = [];
     this.enabled = true;
+    this.time = 0;
 
     this.init();
+    this.count = this.particles.length; // How many are shown (trimmed by the performance governor)
   }
 
   init() {
@@ -219,9 +225,9 @@ class AmbientParticles {
 
       const particle = {
         mesh,
-        velocity: new THREE.Vector3(
-          (Math.random() - 0.5) * 0.01,
-          0.01 + Math.random() * 0.01,
+        velocity: new THREE.Vector3( // units/s
+          (Math.random() - 0.5) * 0.6,
+          0.6 + Math.random() * 0.6,
           0
         ),
         initialY: mesh.position.y,
@@ -235,31 +241,37 @@ class AmbientParticles {
 
   update(deltaTime) {
     if (!this.enabled) return;
+    this.time += deltaTime;
 
-    this.particles.forEach(p => {
+    this.particles.slice(0, this.count).forEach(p => {
       // Float upward and drift
-      p.mesh.position.x += p.velocity.x;
-      p.mesh.position.y += p.velocity.y;
-      p.mesh.position.z += p.velocity.z;
+      p.mesh.position.addScaledVector(p.velocity, deltaTime);
 
       // Wrap around when too high
       if (p.mesh.position.y > 4) {
-        p.mesh.position.y = -4;
+        p.mesh.position.y -= 8;
       }
 
       // Subtle opacity pulsing
-      const time = Date.now() * 0.001;
-      p.mesh.material.opacity = p.baseOpacity + Math.sin(time + p.mesh.position.x) * 0.1;
+      p.mesh.material.opacity = p.baseOpacity + Math.sin(this.time + p.mesh.position.x) * 0.1;
     });
   }
 
   setEnabled(enabled) {
     this.enabled = enabled;
-    this.particles.forEach(p => {
-      p.mesh.visible = enabled;
+    this.particles.forEach((p, i) => {
+      p.mesh.visible = enabled && i < this.count;
     });
   }
 
+  /**
+   * Show only the first `count` particles
+   */
+  setCount(count) {
+    this.count = Math.min(count, this.particles.length);
+    this.setEnabled(this.enabled);
+  }
+
   clear() {
     this.particles.forEach(p => {
       this.scene.remove(p.mesh);
@@ -271,234 +283,578 @@ class AmbientParticles {
 }
 
 // ============================================================================
-// TRACKING SYSTEMS
+// ASSET LOCATIONS
 // ============================================================================
 
 /**
- * Face Tracking System
- * Handles face detection and landmark extraction using MediaPipe
+ * Where the MediaPipe runtime, tracking models and default avatars come from.
+ * The WASM runtime is copied out of node_modules into every build (see
+ * vite.config.js), so it always matches the bundled tasks-vision version.
+ * Models and avatars default to their public hosts; `npm run fetch-assets`
+ * downloads them into public/ so `?assets=local` (or VITE_ASSETS=local at
+ * build time) serves everything from the app's own origin
  */
-class FaceTracker {
-  constructor() {
-    this.landmarker = null;
-    this.lastResults = null;
+const ASSET_BASE = import.meta.env.BASE_URL;
+
+const ASSET_PRESETS = {
+  remote: {
+    faceModel: 'https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task',
+    handModel: 'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task',
+    poseModel: 'https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_lite/float16/1/pose_landmarker_lite.task',
+    avatars: [
+      'https://models.readyplayer.me/65d3f5509de3ccd6f5e98c31.glb', // Male avatar 1
+      'https://models.readyplayer.me/6502d65c5e6d24f234e6d1c5.glb', // Male avatar 2
+      'https://models.readyplayer.me/64bfa15f0e72c63d7c3934a6.glb' // Original (female but reliable)
+    ]
+  },
+  local: {
+    faceModel: `${ASSET_BASE}models/face_landmarker.task`,
+    handModel: `${ASSET_BASE}models/hand_landmarker.task`,
+    poseModel: `${ASSET_BASE}models/pose_landmarker_lite.task`,
+    avatars: [
+      `${ASSET_BASE}avatars/avatar-1.glb`,
+      `${ASSET_BASE}avatars/avatar-2.glb`,
+      `${ASSET_BASE}avatars/avatar-3.glb`
+    ]
   }
+};
 
-  async initialize(filesetResolver) {
-    this.landmarker = await FaceLandmarker.createFromOptions(filesetResolver, {
-      baseOptions: {
-        modelAssetPath: 'https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task',
-        delegate: 'GPU'
-      },
-      runningMode: 'VIDEO',
-      numFaces: 1,
-      outputFaceBlendshapes: true,
-      outputFacialTransformationMatrixes: true
-    });
+/**
+ * Resolve asset URLs from the preset (`?assets=` or VITE_ASSETS) and any
+ * per-asset VITE_* overrides
+ * @param {string} search - window.location.search
+ */
+function resolveAssetConfig(search) {
+  const env = import.meta.env;
+  const requested = new URLSearchParams(search).get('assets') || env.VITE_ASSETS || 'remote';
+  const preset = ASSET_PRESETS[requested] || ASSET_PRESETS.remote;
+  if (!ASSET_PRESETS[requested]) {
+    console.warn(`[Assets] Unknown asset preset "${requested}", using remote`);
   }
 
-  /**
-   * Detect face in video frame
-   * @param {HTMLVideoElement} video - Video element
-   * @param {number} timestamp - Timestamp in milliseconds
-   * @returns {Object|null} Detection results
-   */
-  detectFace(video, timestamp) {
-    if (!this.landmarker) return null;
+  return {
+    preset: ASSET_PRESETS[requested] ? requested : 'remote',
+    wasm: env.VITE_MEDIAPIPE_WASM || `${ASSET_BASE}mediapipe/wasm`,
+    faceModel: env.VITE_FACE_MODEL || preset.faceModel,
+    handModel: env.VITE_HAND_MODEL || preset.handModel,
+    poseModel: env.VITE_POSE_MODEL || preset.poseModel,
+    avatars: env.VITE_AVATAR_URLS
+      ? env.VITE_AVATAR_URLS.split(',').map(url => url.trim()).filter(Boolean)
+      : preset.avatars
+  };
+}
 
-    const results = this.landmarker.detectForVideo(video, timestamp);
-    this.lastResults = results;
-    return results;
-  }
+// ============================================================================
+// TRACKING SYSTEMS
+// ============================================================================
 
-  getLandmarks() {
-    if (!this.lastResults || !this.lastResults.faceLandmarks) return null;
-    return this.lastResults.faceLandmarks[0];
-  }
+/**
+ * Smoothing time constants in seconds: how long a smoothed value takes to
+ * cover 63% of the way to a new target, whatever the frame rate
+ */
+const SMOOTHING_TIME = {
+  headRotation: 0.15,
+  headTranslation: 0.15,
+  blendshapes: 0.05,
+  gaze: 0.065,
+  eyeBones: 0.05,
+  blink: 0.09,
+  mouth: 0.12,
+  expression: 0.15,
+  bones: 0.08, // Body and finger retargeting
+  boneFade: 0.4 // Lost hands easing back to rest
+};
 
-  hasFace() {
-    return this.lastResults &&
-           this.lastResults.faceLandmarks &&
-           this.lastResults.faceLandmarks.length > 0;
-  }
+/**
+ * Blend factor that moves a value towards its target with the given time
+ * constant over deltaTime seconds (exponential smoothing)
+ */
+function smoothingFactor(deltaTime, timeConstant) {
+  return timeConstant > 0 ? 1 - Math.exp(-deltaTime / timeConstant) : 1;
 }
 
 /**
- * Hand Tracking System
- * Handles hand detection and gesture recognition using MediaPipe
+ * ARKit-style blendshape categories emitted by MediaPipe FaceLandmarker
+ * (the '_neutral' category is skipped since no rig has a morph for it)
  */
-class HandTracker {
-  constructor() {
-    this.landmarker = null;
-    this.lastResults = null;
-    this.wristHistory = []; // For wave detection
-    this.maxHistoryLength = 15;
-    this.lastWaveTime = 0;
-    this.lastThumbsUpTime = 0;
-    this.gestureThrottle = 2000; // 2 seconds between same gestures
-    this.enabled = false; // Throttle hand detection
-    this.frameCount = 0;
-  }
-
-  async initialize(filesetResolver) {
-    this.landmarker = await HandLandmarker.createFromOptions(filesetResolver, {
-      baseOptions: {
-        modelAssetPath: 'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task',
-        delegate: 'GPU'
-      },
-      runningMode: 'VIDEO',
-      numHands: 2,
-      minHandDetectionConfidence: 0.5,
-      minHandPresenceConfidence: 0.5,
-      minTrackingConfidence: 0.5
-    });
-    this.enabled = true;
-  }
+const ARKIT_BLENDSHAPES = [
+  'browDownLeft', 'browDownRight', 'browInnerUp', 'browOuterUpLeft', 'browOuterUpRight',
+  'cheekPuff', 'cheekSquintLeft', 'cheekSquintRight',
+  'eyeBlinkLeft', 'eyeBlinkRight',
+  'eyeLookDownLeft', 'eyeLookDownRight', 'eyeLookInLeft', 'eyeLookInRight',
+  'eyeLookOutLeft', 'eyeLookOutRight', 'eyeLookUpLeft', 'eyeLookUpRight',
+  'eyeSquintLeft', 'eyeSquintRight', 'eyeWideLeft', 'eyeWideRight',
+  'jawForward', 'jawLeft', 'jawOpen', 'jawRight',
+  'mouthClose', 'mouthDimpleLeft', 'mouthDimpleRight', 'mouthFrownLeft', 'mouthFrownRight',
+  'mouthFunnel', 'mouthLeft', 'mouthLowerDownLeft', 'mouthLowerDownRight',
+  'mouthPressLeft', 'mouthPressRight', 'mouthPucker', 'mouthRight',
+  'mouthRollLower', 'mouthRollUpper', 'mouthShrugLower', 'mouthShrugUpper',
+  'mouthSmileLeft', 'mouthSmileRight', 'mouthStretchLeft', 'mouthStretchRight',
+  'mouthUpperUpLeft', 'mouthUpperUpRight',
+  'noseSneerLeft', 'noseSneerRight',
+  'tongueOut'
+];
 
-  /**
-   * Detect hands in video frame (throttled to every 2 frames for performance)
-   */
-  detectHands(video, timestamp) {
-    if (!this.landmarker || !this.enabled) return null;
+/**
+ * Normalize a morph target / blendshape name so that naming variants
+ * (eyeBlink_L, EyeBlinkLeft, eye_blink_left) compare equal
+ */
+function normalizeMorphName(name) {
+  return name
+    .replace(/[_.\s-]L$/i, 'Left')
+    .replace(/[_.\s-]R$/i, 'Right')
+    .replace(/[_.\s-]/g, '')
+    .toLowerCase();
+}
 
-    // Throttle: only detect every 2 frames
-    this.frameCount++;
-    if (this.frameCount % 2 !== 0) return this.lastResults;
+/**
+ * Tracked channels estimated from landmark heuristics (the other channels
+ * are the ARKit blendshape categories)
+ */
+const LANDMARK_CHANNELS = ['blinkLeft', 'blinkRight', 'mouthOpen', 'smile', 'browRaise'];
 
-    try {
-      const results = this.landmarker.detectForVideo(video, timestamp);
-      this.lastResults = results;
-      return results;
-    } catch (error) {
-      return null;
-    }
+/**
+ * Response curves a retargeting entry can apply to its 0-1 input
+ */
+const RETARGET_CURVES = {
+  linear: x => x,
+  easeIn: x => x * x,
+  easeOut: x => 1 - (1 - x) * (1 - x),
+  smoothstep: x => x * x * (3 - 2 * x)
+};
+
+/**
+ * Default retargeting for the landmark channels. A target may list several
+ * candidate names; the first one present on a mesh is driven.
+ * Blendshape channels auto-bind to same-named morph targets.
+ */
+const DEFAULT_RETARGET_MAP = {
+  version: 1,
+  autoBindBlendshapes: true,
+  ignore: [],
+  channels: {
+    blinkLeft: [{ target: ['eyeBlinkLeft', 'eyeBlink'], weight: 1, offset: 0, curve: 'linear' }],
+    blinkRight: [{ target: ['eyeBlinkRight', 'eyeBlink'], weight: 1, offset: 0, curve: 'linear' }],
+    mouthOpen: [{ target: ['mouthOpen', 'jawOpen', 'viseme_aa'], weight: 1, offset: 0, curve: 'linear' }],
+    smile: [
+      { target: ['mouthSmile', 'smile'], weight: 0.5, offset: 0, curve: 'linear' },
+      { target: 'mouthSmileLeft', weight: 0.5, offset: 0, curve: 'linear' },
+      { target: 'mouthSmileRight', weight: 0.5, offset: 0, curve: 'linear' }
+    ],
+    browRaise: [{ target: ['browInnerUp', 'browUp'], weight: 0.6, offset: 0, curve: 'linear' }]
   }
+};
 
-  getHandCount() {
-    if (!this.lastResults || !this.lastResults.landmarks) return 0;
-    return this.lastResults.landmarks.length;
+/**
+ * Morph Retarget Map
+ * Declarative mapping from tracked channels to one or more morph targets,
+ * each with weight, offset and response curve
+ */
+class MorphRetargetMap {
+  constructor(data = DEFAULT_RETARGET_MAP) {
+    const copy = JSON.parse(JSON.stringify(data));
+    this.autoBindBlendshapes = copy.autoBindBlendshapes !== false;
+    this.ignore = copy.ignore || [];
+    this.bound = copy.bound || []; // Targets bound by hand (setBinding), which auto-binding leaves alone
+    this.channels = copy.channels || {};
   }
 
   /**
-   * Detect wave gesture by tracking wrist movement
-   * Wave = repeated left-right wrist movement with minimal vertical change
-   * @returns {boolean} True if wave detected
+   * Parse and validate a retarget map from JSON text
+   * @throws {Error} If the JSON is malformed or uses unknown channels/curves
    */
-  detectWave() {
-    if (!this.lastResults || !this.lastResults.landmarks || this.lastResults.landmarks.length === 0) {
-      return false;
+  static fromJSON(text) {
+    const data = JSON.parse(text);
+    if (!data || typeof data.channels !== 'object') {
+      throw new Error('Retarget map needs a "channels" object');
+    }
+    if (data.bound !== undefined && !Array.isArray(data.bound)) {
+      throw new Error('"bound" must be a list of targets');
     }
 
-    const now = Date.now();
-    if (now - this.lastWaveTime < this.gestureThrottle) return false;
+    for (const [channel, entries] of Object.entries(data.channels)) {
+      if (!LANDMARK_CHANNELS.includes(channel) && !ARKIT_BLENDSHAPES.includes(channel)) {
+        throw new Error(`Unknown channel "${channel}"`);
+      }
+      if (!Array.isArray(entries)) {
+        throw new Error(`Channel "${channel}" must be a list of targets`);
+      }
+      entries.forEach((entry) => {
+        if (!entry.target) {
+          throw new Error(`Channel "${channel}" has an entry without a target`);
+        }
+        if (entry.curve && !RETARGET_CURVES[entry.curve]) {
+          throw new Error(`Unknown curve "${entry.curve}" on channel "${channel}"`);
+        }
+      });
+    }
+
+    return new MorphRetargetMap(data);
+  }
 
-    const hand = this.lastResults.landmarks[0];
-    const wrist = hand[0]; // Wrist is landmark 0
+  toJSON() {
+    return {
+      version: 1,
+      autoBindBlendshapes: this.autoBindBlendshapes,
+      ignore: this.ignore,
+      bound: this.bound,
+      channels: this.channels
+    };
+  }
 
-    // Add to history
-    this.wristHistory.push({ x: wrist.x, y: wrist.y, time: now });
-    if (this.wristHistory.length > this.maxHistoryLength) {
-      this.wristHistory.shift();
+  /**
+   * Names of every morph target explicitly listed in a blendshape channel
+   */
+  getExplicitBlendshapeTargets() {
+    const targets = new Set();
+    for (const [channel, entries] of Object.entries(this.channels)) {
+      if (LANDMARK_CHANNELS.includes(channel)) continue;
+      entries.forEach((entry) => {
+        [].concat(entry.target).forEach(name => targets.add(name));
+      });
     }
+    return targets;
+  }
 
-    // Need enough history (reduced from 15 to 12 for faster detection)
-    if (this.wristHistory.length < 12) return false;
+  /**
+   * Find the channel a morph target is currently driven by, preferring
+   * blendshape channels over the landmark fallback
+   * @returns {string} Channel name, or '' if unmapped
+   */
+  getChannelForTarget(target) {
+    const listedIn = channel => (this.channels[channel] || [])
+      .some(entry => [].concat(entry.target).includes(target));
 
-    // Check for oscillating X movement (left-right-left pattern)
-    let directionChanges = 0;
-    let lastDirection = 0;
-    let maxVerticalChange = 0;
+    const blendshapeChannel = ARKIT_BLENDSHAPES.find(listedIn);
+    if (blendshapeChannel) return blendshapeChannel;
 
-    for (let i = 1; i < this.wristHistory.length; i++) {
-      const dx = this.wristHistory[i].x - this.wristHistory[i - 1].x;
-      const dy = Math.abs(this.wristHistory[i].y - this.wristHistory[i - 1].y);
+    if (this.autoBindBlendshapes && !this.ignore.includes(target) && !this.bound.includes(target)) {
+      const normalized = normalizeMorphName(target);
+      const autoChannel = ARKIT_BLENDSHAPES.find(name => normalizeMorphName(name) === normalized);
+      if (autoChannel && !this.getExplicitBlendshapeTargets().has(target)) return autoChannel;
+    }
 
-      maxVerticalChange = Math.max(maxVerticalChange, dy);
+    return LANDMARK_CHANNELS.find(listedIn) || '';
+  }
 
-      const direction = dx > 0 ? 1 : dx < 0 ? -1 : 0;
-      if (direction !== 0 && direction !== lastDirection && lastDirection !== 0) {
-        directionChanges++;
+  /**
+   * Drive a morph target from a single channel (or nothing, for ''),
+   * overriding auto-binding for it
+   */
+  setBinding(target, channel) {
+    for (const [name, entries] of Object.entries(this.channels)) {
+      const remaining = [];
+      entries.forEach((entry) => {
+        const candidates = [].concat(entry.target).filter(candidate => candidate !== target);
+        if (candidates.length > 0) {
+          remaining.push({ ...entry, target: candidates.length === 1 ? candidates[0] : candidates });
+        }
+      });
+      if (remaining.length > 0) {
+        this.channels[name] = remaining;
+      } else {
+        delete this.channels[name];
       }
-      lastDirection = direction;
     }
 
-    // Calculate horizontal range
-    const xValues = this.wristHistory.map(h => h.x);
-    const xRange = Math.max(...xValues) - Math.min(...xValues);
-
-    // Wave detected: More lenient thresholds
-    // 2+ direction changes (reduced from 3), lower horizontal threshold (0.12 from 0.15), higher vertical tolerance (0.12 from 0.08)
-    if (directionChanges >= 2 && xRange > 0.12 && maxVerticalChange < 0.12) {
-      this.lastWaveTime = now;
-      this.wristHistory = []; // Clear history
-      console.log('[Wave] Detected! Changes:', directionChanges, 'Range:', xRange.toFixed(3), 'Vertical:', maxVerticalChange.toFixed(3));
-      return true;
+    this.ignore = this.ignore.filter(name => name !== target);
+    this.bound = this.bound.filter(name => name !== target);
+    if (channel) {
+      this.channels[channel] = this.channels[channel] || [];
+      this.channels[channel].push({ target, weight: 1, offset: 0, curve: 'linear' });
+      this.bound.push(target);
+    } else {
+      this.ignore.push(target);
     }
-
-    return false;
   }
 
   /**
-   * Detect thumbs up gesture
-   * Thumbs up = thumb extended upward, other fingers curled
-   * @returns {boolean} True if thumbs up detected
+   * Resolve the map against a mesh's morph target dictionary
+   * @returns {Array<{channel: string, index: number, weight: number, offset: number, curve: Function}>}
    */
-  detectThumbsUp() {
-    if (!this.lastResults || !this.lastResults.landmarks || this.lastResults.landmarks.length === 0) {
-      return false;
+  resolve(mesh) {
+    const dictionary = mesh.morphTargetDictionary;
+    const normalized = new Map();
+    for (const [name, index] of Object.entries(dictionary)) {
+      if (!normalized.has(normalizeMorphName(name))) {
+        normalized.set(normalizeMorphName(name), index);
+      }
     }
+    const findIndex = name => dictionary[name] ?? normalized.get(normalizeMorphName(name));
 
-    const now = Date.now();
-    if (now - this.lastThumbsUpTime < this.gestureThrottle) return false;
-
-    for (const hand of this.lastResults.landmarks) {
-      // Key landmarks
-      const wrist = hand[0];
-      const thumbTip = hand[4];
-      const thumbIp = hand[3];
-      const indexTip = hand[8];
-      const middleTip = hand[12];
-      const ringTip = hand[16];
-      const pinkyTip = hand[20];
+    const bindings = [];
+    const boundIndices = new Set(); // Morphs explicitly driven by a blendshape channel
 
-      // Check thumb is extended upward
-      const thumbExtended = thumbTip.y < wrist.y && thumbTip.y < thumbIp.y;
+    for (const [channel, entries] of Object.entries(this.channels)) {
+      entries.forEach((entry) => {
+        const name = [].concat(entry.target).find(candidate => findIndex(candidate) !== undefined);
+        if (name === undefined) return;
 
-      // Check other fingers are curled (fingertips below wrist)
-      const fingersCurled =
-        indexTip.y > wrist.y - 0.1 &&
-        middleTip.y > wrist.y - 0.1 &&
-        ringTip.y > wrist.y - 0.1 &&
-        pinkyTip.y > wrist.y - 0.1;
+        const index = findIndex(name);
+        if (!LANDMARK_CHANNELS.includes(channel)) {
+          boundIndices.add(index);
+        }
+        bindings.push({
+          channel,
+          index,
+          weight: entry.weight ?? 1,
+          offset: entry.offset ?? 0,
+          curve: RETARGET_CURVES[entry.curve] || RETARGET_CURVES.linear
+        });
+      });
+    }
 
-      if (thumbExtended && fingersCurled) {
-        this.lastThumbsUpTime = now;
-        return true;
-      }
+    if (this.autoBindBlendshapes) {
+      const explicit = new Set([...this.getExplicitBlendshapeTargets(), ...this.ignore, ...this.bound].map(normalizeMorphName));
+      ARKIT_BLENDSHAPES.forEach((channel) => {
+        const index = findIndex(channel);
+        if (index === undefined || boundIndices.has(index) || explicit.has(normalizeMorphName(channel))) return;
+        boundIndices.add(index);
+        bindings.push({ channel, index, weight: 1, offset: 0, curve: RETARGET_CURVES.linear });
+      });
     }
 
-    return false;
+    return bindings;
   }
 }
 
+/**
+ * Share of tracked head rotation given to the neck bone (the head bone gets the rest)
+ */
+const NECK_ROTATION_SHARE = 0.4;
+
+/**
+ * Maximum eye rotation (radians) and how strongly iris offsets map onto it
+ */
+const GAZE_LIMITS = { yaw: 0.5, pitch: 0.35 };
+const GAZE_GAIN = { horizontal: 1.6, vertical: 3.0 };
+
+/**
+ * Eye openness below which gaze is held at its last value
+ */
+const GAZE_BLINK_HOLD = 0.4;
+
+/**
+ * Landmark indices for each eye's corners, lids and iris centre
+ */
+const EYE_LANDMARKS = {
+  left: { outer: 33, inner: 133, top: 159, bottom: 145, iris: 468 },
+  right: { outer: 263, inner: 362, top: 386, bottom: 374, iris: 473 }
+};
+
+/**
+ * Default expression ranges used when no calibration profile is active.
+ * Each channel maps its raw measurement from min (rest) to max (full expression);
+ * these reproduce the fixed thresholds used before calibration existed.
+ */
+const DEFAULT_CALIBRATION = {
+  name: 'Default',
+  channels: {
+    eyeLeft: { min: 0.15, max: 0.2 },
+    eyeRight: { min: 0.15, max: 0.2 },
+    mouthOpen: { min: 0, max: 1 / 15 },
+    smile: { min: 1.8, max: 2.3 },
+    browRaise: { min: 0.04, max: 0.14 }
+  },
+  blendshapes: {}
+};
+
+/**
+ * Map a value from a calibrated range onto 0-1
+ */
+function remapRange(value, range) {
+  const span = range.max - range.min;
+  if (Math.abs(span) < 1e-6) return 0;
+  return Math.max(0, Math.min(1, (value - range.min) / span));
+}
+
+/**
+ * Calculate Eye Aspect Ratio (EAR) for better blink detection
+ */
+function calculateEAR(eyeLandmarks) {
+  // EAR = (vertical1 + vertical2) / (2 * horizontal)
+  const vertical1 = Math.abs(eyeLandmarks.top.y - eyeLandmarks.bottom.y);
+  const vertical2 = Math.abs(eyeLandmarks.top2.y - eyeLandmarks.bottom2.y);
+  const horizontal = Math.abs(eyeLandmarks.left.x - eyeLandmarks.right.x);
+
+  return (vertical1 + vertical2) / (2 * horizontal);
+}
+
+/**
+ * Measure raw expression channels from face landmarks
+ * @param {Array} landmarks - Face landmarks
+ * @returns {{eyeLeft: number, eyeRight: number, mouthOpen: number, smile: number, browRaise: number}}
+ */
+function measureExpressionChannels(landmarks) {
+  const leftEye = landmarks[33];
+  const rightEye = landmarks[263];
+
+  // ===== EYE TRACKING (Enhanced with EAR) =====
+  const leftEyeLandmarks = {
+    top: landmarks[159],
+    bottom: landmarks[145],
+    left: landmarks[33],
+    right: landmarks[133],
+    top2: landmarks[158],
+    bottom2: landmarks[153]
+  };
+
+  const rightEyeLandmarks = {
+    top: landmarks[386],
+    bottom: landmarks[374],
+    left: landmarks[362],
+    right: landmarks[263],
+    top2: landmarks[385],
+    bottom2: landmarks[380]
+  };
+
+  // ===== MOUTH DETECTION =====
+  const mouthTop = landmarks[13];
+  const mouthBottom = landmarks[14];
+  const mouthHeight = Math.abs(mouthTop.y - mouthBottom.y);
+
+  // ===== SMILE DETECTION =====
+  const mouthLeft = landmarks[61];
+  const mouthRight = landmarks[291];
+  const mouthWidth = Math.abs(mouthRight.x - mouthLeft.x);
+
+  // ===== EYEBROW TRACKING =====
+  const leftBrow = landmarks[70];
+  const rightBrow = landmarks[300];
+  const leftBrowHeight = leftEye.y - leftBrow.y;
+  const rightBrowHeight = rightEye.y - rightBrow.y;
+
+  return {
+    eyeLeft: calculateEAR(leftEyeLandmarks),
+    eyeRight: calculateEAR(rightEyeLandmarks),
+    mouthOpen: mouthHeight,
+    smile: mouthWidth / (mouthHeight + 0.001), // Avoid division by zero
+    browRaise: (leftBrowHeight + rightBrowHeight) / 2
+  };
+}
+
 /**
  * Avatar Controller
  * Manages avatar animations and facial expression mapping
  */
 class AvatarController {
-  constructor(avatar, headBone, morphMeshes) {
+  constructor(avatar, headBone, morphMeshes, neckBone = null, eyeBones = null) {
     this.avatar = avatar;
     this.headBone = headBone;
+    this.neckBone = neckBone;
     this.morphMeshes = morphMeshes;
 
+    // Eye gaze (yaw/pitch in radians, positive = avatar's left / down)
+    this.eyeBones = eyeBones || { left: null, right: null };
+    this.eyeRestQuaternions = {
+      left: this.eyeBones.left ? this.eyeBones.left.quaternion.clone() : null,
+      right: this.eyeBones.right ? this.eyeBones.right.quaternion.clone() : null
+    };
+    this.gaze = { left: { yaw: 0, pitch: 0 }, right: { yaw: 0, pitch: 0 } };
+    this.lookAtCamera = null;
+    this._eyeWorldPosition = new THREE.Vector3();
+    this._eyeParentQuaternion = new THREE.Quaternion();
+    this._lookDirection = new THREE.Vector3();
+
+    // Head pose from the facial transformation matrix
+    this.headTranslationEnabled = false;
+    this.basePosition = avatar.position.clone();
+    this.translationOrigin = null;
+    this.headRotation = { pitch: 0, yaw: 0, roll: 0 }; // Latest tracked (unsmoothed) rotation
+    this._poseMatrix = new THREE.Matrix4();
+    this._posePosition = new THREE.Vector3();
+    this._poseQuaternion = new THREE.Quaternion();
+    this._poseScale = new THREE.Vector3();
+    this._poseEuler = new THREE.Euler();
+    this._targetEuler = new THREE.Euler();
+    this._targetQuaternion = new THREE.Quaternion();
+    this._targetPosition = new THREE.Vector3();
+
     // Smoothed values
     this.smoothedBlink = { left: 1, right: 1 };
     this.smoothedMouth = 0;
     this.smoothedSmile = 0;
     this.smoothedBrowRaise = 0;
+    this.smoothedBlendshapes = {};
+    this.blendshapeValues = {};
+    this.hasBlendshapes = true; // Until a face arrives without them, audio-only lip sync uses the blendshape bindings
+
+    // Latest lip sync frame (visemes, folded blendshapes, confidence), or null when off
+    this.lipSync = null;
+
+    // Per-user expression ranges
+    this.calibration = DEFAULT_CALIBRATION;
+
+    // Per-mesh channel -> morph index bindings from the retarget map;
+    // meshes without blendshape bindings fall back to the landmark channels
+    this.retargetMap = new MorphRetargetMap();
+    this.morphBindings = this.buildMorphBindings();
+    this.morphOverrides = new Map();
+
+    // Seconds covered by the current tracking update, for time-based smoothing
+    this.frameDelta = 1 / 30;
 
     // Breathing animation
     this.breathingTime = 0;
+    this.spineDriven = false; // Body tracking poses the spine, so breathing leaves it alone
+  }
+
+  /**
+   * Resolve the retarget map against every morph mesh
+   * @returns {Map<THREE.Mesh, {blendshape: Array, landmark: Array}>} Bindings per mesh
+   */
+  buildMorphBindings() {
+    const bindings = new Map();
+
+    this.morphMeshes.forEach((mesh) => {
+      if (!mesh.morphTargetDictionary) return;
+
+      const resolved = this.retargetMap.resolve(mesh);
+      const meshBindings = {
+        blendshape: resolved.filter(binding => !LANDMARK_CHANNELS.includes(binding.channel)),
+        landmark: resolved.filter(binding => LANDMARK_CHANNELS.includes(binding.channel)),
+        viseme: this.resolveVisemeTargets(mesh, resolved)
+      };
+      bindings.set(mesh, meshBindings);
+
+      console.log(`[Morph] ${mesh.name}: ${meshBindings.blendshape.length} blendshape, ${meshBindings.landmark.length} landmark and ${meshBindings.viseme.length} viseme bindings`);
+    });
+
+    return bindings;
+  }
+
+  /**
+   * Find a mesh's viseme_* morph targets for lip sync, noting which of them
+   * the retarget map already drives from tracking
+   * @returns {Array<{viseme: string, index: number, tracked: boolean}>}
+   */
+  resolveVisemeTargets(mesh, resolved) {
+    const normalized = new Map(Object.entries(mesh.morphTargetDictionary)
+      .map(([name, index]) => [normalizeMorphName(name), index]));
+
+    return VISEMES
+      .map(viseme => ({ viseme, index: normalized.get(normalizeMorphName(`viseme_${viseme}`)) }))
+      .filter(({ index }) => index !== undefined)
+      .map(binding => ({ ...binding, tracked: resolved.some(({ index }) => index === binding.index) }));
+  }
+
+  /**
+   * Use a different retarget map and rebind every mesh
+   */
+  setRetargetMap(retargetMap) {
+    this.retargetMap = retargetMap;
+    this.morphBindings = this.buildMorphBindings();
+  }
+
+  /**
+   * Pin a morph target to a fixed value (null releases it back to tracking)
+   */
+  setMorphOverride(name, value) {
+    if (value === null) {
+      this.morphOverrides.delete(name);
+    } else {
+      this.morphOverrides.set(name, value);
+    }
   }
 
   /**
@@ -509,481 +865,7404 @@ class AvatarController {
   }
 
   /**
-   * Calculate Eye Aspect Ratio (EAR) for better blink detection
+   * Ease a value towards a target with a time constant (seconds) over the current update
    */
-  calculateEAR(eyeLandmarks) {
-    // EAR = (vertical1 + vertical2) / (2 * horizontal)
-    const vertical1 = Math.abs(eyeLandmarks.top.y - eyeLandmarks.bottom.y);
-    const vertical2 = Math.abs(eyeLandmarks.top2.y - eyeLandmarks.bottom2.y);
-    const horizontal = Math.abs(eyeLandmarks.left.x - eyeLandmarks.right.x);
+  smooth(current, target, timeConstant) {
+    return this.lerp(current, target, smoothingFactor(this.frameDelta, timeConstant));
+  }
 
-    return (vertical1 + vertical2) / (2 * horizontal);
+  /**
+   * Use a calibration profile's expression ranges (null restores the defaults)
+   */
+  setCalibration(profile) {
+    this.calibration = profile || DEFAULT_CALIBRATION;
   }
 
   /**
    * Update avatar from face tracking data
+   * @param {Array} landmarks - Face landmarks
+   * @param {Array|null} blendshapes - Blendshape categories, when available
+   * @param {number[]|null} transformMatrix - Facial transformation matrix, when available
+   * @param {number} deltaTime - Seconds since the previous update
    */
-  updateFromFaceData(landmarks) {
-    if (!this.headBone || !landmarks) return;
+  updateFromFaceData(landmarks, blendshapes = null, transformMatrix = null, deltaTime = 1 / 30) {
+    // External feeds (e.g. ARKit) send blendshapes without landmarks
+    if (!landmarks && !blendshapes) return;
+    this.frameDelta = deltaTime;
+
+    if (this.headBone) {
+      if (transformMatrix) {
+        this.updateHeadPoseFromMatrix(transformMatrix);
+      } else if (landmarks) {
+        this.updateHeadRotation(landmarks);
+      }
+    }
 
-    // ===== HEAD ROTATION =====
-    const noseTip = landmarks[1];
-    const leftEye = landmarks[33];
-    const rightEye = landmarks[263];
-    const chin = landmarks[152];
+    if (landmarks) {
+      this.updateExpressionsFromLandmarks(landmarks);
+    } else {
+      this.updateExpressionsFromBlendshapes(blendshapes);
+    }
 
-    // Calculate yaw (left/right)
-    const eyeCenterX = (leftEye.x + rightEye.x) / 2;
-    const yaw = (noseTip.x - eyeCenterX) * 4;
+    if (blendshapes) {
+      this.updateBlendshapes(blendshapes);
+    }
 
-    // Calculate pitch (up/down)
-    const pitch = (noseTip.y - 0.5) * 2 - 0.3;
+    this.updateGaze(landmarks, blendshapes);
+    this.applyEyeBones();
 
-    // Calculate roll (tilt)
-    const eyeDeltaY = rightEye.y - leftEye.y;
-    const eyeDeltaX = rightEye.x - leftEye.x;
-    const roll = Math.atan2(eyeDeltaY, eyeDeltaX);
+    // Gaze (clamped, blink-held or camera-locked) replaces the raw eyeLook scores
+    this.blendshapeValues = { ...this.smoothedBlendshapes, ...this.getGazeBlendshapes() };
+    this.hasBlendshapes = !!blendshapes;
 
-    // Apply rotation with smoothing
-    this.headBone.rotation.x = this.lerp(this.headBone.rotation.x, pitch, 0.2);
-    this.headBone.rotation.y = this.lerp(this.headBone.rotation.y, yaw, 0.2);
-    this.headBone.rotation.z = this.lerp(this.headBone.rotation.z, roll, 0.2);
-
-    // ===== EYE TRACKING (Enhanced with EAR) =====
-    const leftEyeLandmarks = {
-      top: landmarks[159],
-      bottom: landmarks[145],
-      left: landmarks[33],
-      right: landmarks[133],
-      top2: landmarks[158],
-      bottom2: landmarks[153]
-    };
+    this.applyMorphTargets();
+  }
 
-    const rightEyeLandmarks = {
-      top: landmarks[386],
-      bottom: landmarks[374],
-      left: landmarks[362],
-      right: landmarks[263],
-      top2: landmarks[385],
-      bottom2: landmarks[380]
+  /**
+   * Pose the head and face from another client's state (see getNetworkState),
+   * already interpolated by its jitter buffer
+   */
+  updateFromNetworkState({ headRotation, gaze, channels, blendshapes }, deltaTime = 1 / 30) {
+    this.frameDelta = deltaTime;
+    this.headRotation = headRotation;
+    if (this.headBone) {
+      this.applyHeadRotation(headRotation);
+    }
+
+    this.smoothedBlink = { left: 1.0 - channels.blinkLeft, right: 1.0 - channels.blinkRight };
+    this.smoothedMouth = channels.mouthOpen;
+    this.smoothedSmile = channels.smile;
+    this.smoothedBrowRaise = channels.browRaise;
+    this.gaze = gaze;
+    this.applyEyeBones();
+
+    this.blendshapeValues = blendshapes || {};
+    this.hasBlendshapes = !!blendshapes;
+    this.applyMorphTargets();
+  }
+
+  /**
+   * Head, gaze and expression state to share with other clients, with lip sync mixed in
+   */
+  getNetworkState() {
+    const mix = this.getLipSyncMix();
+    return {
+      headRotation: this.headRotation,
+      gaze: this.gaze,
+      channels: this.mixLipSync(this.getLandmarkChannels(), mix, false),
+      blendshapes: this.hasBlendshapes ? this.mixLipSync(this.blendshapeValues, mix, false) : null
     };
+  }
+
+  /**
+   * Re-apply the last tracked expression with the current lip sync, for
+   * frames where the camera has no face
+   */
+  updateFromAudio() {
+    this.applyMorphTargets();
+  }
+
+  /**
+   * Write the tracked channels, mixed with lip sync, to every morph mesh
+   */
+  applyMorphTargets() {
+    const landmarkChannels = this.getLandmarkChannels();
+    const mix = this.getLipSyncMix();
 
-    const leftEAR = this.calculateEAR(leftEyeLandmarks);
-    const rightEAR = this.calculateEAR(rightEyeLandmarks);
-
-    // EAR thresholds - adjusted for better detection
-    // Use more sensitive thresholds and linear interpolation
-    const leftEyeOpen = leftEAR > 0.2 ? 1.0 : leftEAR < 0.15 ? 0.0 : (leftEAR - 0.15) / 0.05;
-    const rightEyeOpen = rightEAR > 0.2 ? 1.0 : rightEAR < 0.15 ? 0.0 : (rightEAR - 0.15) / 0.05;
-
-    // ===== MOUTH DETECTION =====
-    const mouthTop = landmarks[13];
-    const mouthBottom = landmarks[14];
-    const mouthHeight = Math.abs(mouthTop.y - mouthBottom.y);
-    const mouthOpen = Math.min(mouthHeight * 15, 1.0);
-
-    // ===== SMILE DETECTION =====
-    const mouthLeft = landmarks[61];
-    const mouthRight = landmarks[291];
-    const mouthWidth = Math.abs(mouthRight.x - mouthLeft.x);
-    const smileRatio = mouthWidth / (mouthHeight + 0.001); // Avoid division by zero
-    const smiling = smileRatio > 1.8 ? Math.min((smileRatio - 1.8) * 2, 1) : 0;
-
-    // ===== EYEBROW TRACKING =====
-    const leftBrow = landmarks[70];
-    const rightBrow = landmarks[300];
-    const leftBrowHeight = leftEye.y - leftBrow.y;
-    const rightBrowHeight = rightEye.y - rightBrow.y;
-    const browRaise = ((leftBrowHeight + rightBrowHeight) / 2 - 0.04) * 10;
-    const browRaiseNormalized = Math.max(0, Math.min(1, browRaise));
-
-    // ===== SMOOTH ALL VALUES =====
-    this.smoothedBlink.left = this.lerp(this.smoothedBlink.left, leftEyeOpen, 0.3);
-    this.smoothedBlink.right = this.lerp(this.smoothedBlink.right, rightEyeOpen, 0.3);
-    this.smoothedMouth = this.lerp(this.smoothedMouth, mouthOpen, 0.25);
-    this.smoothedSmile = this.lerp(this.smoothedSmile, smiling, 0.2);
-    this.smoothedBrowRaise = this.lerp(this.smoothedBrowRaise, browRaiseNormalized, 0.2);
-
-    // ===== APPLY MORPH TARGETS =====
     this.morphMeshes.forEach((mesh) => {
       if (!mesh.morphTargetInfluences || !mesh.morphTargetDictionary) return;
 
-      // Eye blinks - try multiple possible names
-      const leftBlinkIdx = this.findMorphIndex(mesh, [
-        'eyeBlinkLeft',
-        'eyeBlink_L',
-        'EyeBlinkLeft',
-        'Eye_Blink_Left',
-        'mouthClose' // Sometimes blinking uses this
-      ]);
-      const rightBlinkIdx = this.findMorphIndex(mesh, [
-        'eyeBlinkRight',
-        'eyeBlink_R',
-        'EyeBlinkRight',
-        'Eye_Blink_Right',
-        'mouthClose' // Sometimes blinking uses this
-      ]);
-
-      if (leftBlinkIdx >= 0) {
-        mesh.morphTargetInfluences[leftBlinkIdx] = 1.0 - this.smoothedBlink.left;
-      }
-      if (rightBlinkIdx >= 0) {
-        mesh.morphTargetInfluences[rightBlinkIdx] = 1.0 - this.smoothedBlink.right;
-      }
-
-      // Mouth open - try multiple names
-      const mouthOpenIdx = this.findMorphIndex(mesh, [
-        'mouthOpen',
-        'jawOpen',
-        'MouthOpen',
-        'Jaw_Open',
-        'viseme_aa'
-      ]);
-      if (mouthOpenIdx >= 0) {
-        mesh.morphTargetInfluences[mouthOpenIdx] = this.smoothedMouth;
-      }
-
-      // Smile - try multiple names
-      const smileIdx = this.findMorphIndex(mesh, [
-        'mouthSmile',
-        'viseme_aa',
-        'mouthSmileLeft',
-        'MouthSmile',
-        'Smile'
-      ]);
-      if (smileIdx >= 0) {
-        mesh.morphTargetInfluences[smileIdx] = this.smoothedSmile * 0.5;
-      }
-
-      // Eyebrow raise - try multiple names
-      const browIdx = this.findMorphIndex(mesh, [
-        'browInnerUp',
-        'browUp',
-        'BrowInnerUp',
-        'Brow_Up'
-      ]);
-      if (browIdx >= 0) {
-        mesh.morphTargetInfluences[browIdx] = this.smoothedBrowRaise * 0.6;
-      }
-    });
-  }
-
-  findMorphIndex(mesh, names) {
-    for (const name of names) {
-      const index = mesh.morphTargetDictionary[name];
-      if (index !== undefined) {
-        // Log first time we find a morph target
-        if (!this._loggedMorphs) this._loggedMorphs = {};
-        if (!this._loggedMorphs[name]) {
-          console.log('[Morph] Found', name, 'at index', index);
-          this._loggedMorphs[name] = true;
-        }
-        return index;
+      // Rigs with viseme targets take lip sync there; others get it folded into their mouth channels
+      const bindings = this.morphBindings.get(mesh);
+      const hasVisemes = bindings.viseme.length > 0;
+      if (this.hasBlendshapes && bindings.blendshape.length > 0) {
+        this.applyMorphBindings(mesh, bindings.blendshape, this.mixLipSync(this.blendshapeValues, mix, hasVisemes));
+      } else {
+        this.applyMorphBindings(mesh, bindings.landmark, this.mixLipSync(landmarkChannels, mix, hasVisemes));
       }
-    }
-    return -1;
+      if (hasVisemes) {
+        this.applyVisemes(mesh, bindings.viseme, mix);
+      }
+      this.applyMorphOverrides(mesh);
+    });
   }
 
   /**
-   * Update breathing animation
+   * Use the latest lip sync analysis (null turns lip sync off)
+   * @param {Object|null} lipSync - Frame from LipSync.update plus whether the camera sees a face
    */
-  updateBreathing(deltaTime) {
-    if (!this.avatar) return;
-
-    this.breathingTime += deltaTime * 2;
-    const breathScale = 1 + Math.sin(this.breathingTime) * 0.008;
-    this.avatar.scale.y = breathScale;
+  setLipSync(lipSync) {
+    this.lipSync = lipSync;
   }
-}
 
-/**
- * Performance Monitor
- * Tracks FPS, latency, and other metrics
- */
-class PerformanceMonitor {
-  constructor() {
-    this.frameTimes = [];
-    this.maxSamples = 60;
-    this.lastUpdateTime = Date.now();
-    this.faceDetectStart = 0;
-    this.latency = 0;
+  /**
+   * Share of the mouth given to lip sync: all of it without a face, otherwise
+   * weighed by audio confidence against the camera
+   */
+  getLipSyncMix() {
+    if (!this.lipSync) return 0;
+    if (!this.lipSync.faceVisible) return 1;
 
-    // UI elements
-    this.fpsElement = document.getElementById('fps-value');
-    this.latencyElement = document.getElementById('latency-value');
-    this.faceStatusElement = document.getElementById('face-status');
-    this.handsCountElement = document.getElementById('hands-count');
+    const { confidence } = this.lipSync;
+    return confidence / (confidence + LIPSYNC_CAMERA_TRUST);
   }
 
-  startFrame() {
-    this.frameStart = performance.now();
-  }
+  /**
+   * Blend the mouth channels of tracked values with lip sync
+   * @param {Object<string, number>} values - Tracked channel values
+   * @param {number} mix - Lip sync share (0 = camera only)
+   * @param {boolean} hasVisemes - Lip sync goes to viseme targets, so only fade the camera out
+   */
+  mixLipSync(values, mix, hasVisemes) {
+    if (mix === 0) return values;
 
-  endFrame() {
-    const frameTime = performance.now() - this.frameStart;
-    this.frameTimes.push(frameTime);
-    if (this.frameTimes.length > this.maxSamples) {
-      this.frameTimes.shift();
-    }
+    const mixed = { ...values };
+    LIPSYNC_CHANNELS.forEach((channel) => {
+      const audio = hasVisemes ? 0 : this.lipSync.blendshapes[channel] ?? 0;
+      mixed[channel] = (values[channel] ?? 0) * (1 - mix) + audio * mix;
+    });
+    return mixed;
   }
 
-  startFaceDetect() {
-    this.faceDetectStart = performance.now();
+  /**
+   * Drive viseme targets from lip sync, over whatever tracking already put there
+   */
+  applyVisemes(mesh, bindings, mix) {
+    const influences = mesh.morphTargetInfluences;
+    bindings.forEach(({ viseme, index, tracked }) => {
+      const camera = tracked ? influences[index] : 0;
+      const audio = this.lipSync ? this.lipSync.visemes[viseme] : 0;
+      influences[index] = THREE.MathUtils.clamp(camera * (1 - mix) + audio * mix, 0, 1);
+    });
   }
 
-  endFaceDetect() {
-    this.latency = performance.now() - this.faceDetectStart;
+  /**
+   * Make the eyes look at the given camera instead of following the iris
+   * (null returns to tracked gaze)
+   */
+  setLookAtCamera(camera) {
+    this.lookAtCamera = camera;
   }
 
-  getFPS() {
-    if (this.frameTimes.length === 0) return 0;
-    const avgFrameTime = this.frameTimes.reduce((a, b) => a + b, 0) / this.frameTimes.length;
-    return Math.round(1000 / avgFrameTime);
+  /**
+   * Update per-eye gaze from iris landmarks (or the eyeLook blendshapes
+   * without them), holding it while the eye is closed
+   */
+  updateGaze(landmarks, blendshapes = null) {
+    for (const side of ['left', 'right']) {
+      let target;
+
+      if (this.lookAtCamera) {
+        target = this.computeCameraGaze(side);
+      } else {
+        // Hold the last gaze through blinks, when the iris position is unreliable
+        if (this.smoothedBlink[side] < GAZE_BLINK_HOLD) continue;
+        target = landmarks
+          ? this.computeIrisGaze(landmarks, EYE_LANDMARKS[side])
+          : this.computeBlendshapeGaze(blendshapes, side);
+      }
+
+      if (!target) continue;
+      const gaze = this.gaze[side];
+      gaze.yaw = this.smooth(gaze.yaw, THREE.MathUtils.clamp(target.yaw, -GAZE_LIMITS.yaw, GAZE_LIMITS.yaw), SMOOTHING_TIME.gaze);
+      gaze.pitch = this.smooth(gaze.pitch, THREE.MathUtils.clamp(target.pitch, -GAZE_LIMITS.pitch, GAZE_LIMITS.pitch), SMOOTHING_TIME.gaze);
+    }
   }
 
-  updateUI(faceDetected, handCount) {
-    const now = Date.now();
-    if (now - this.lastUpdateTime < 500) return; // Update every 500ms
-    this.lastUpdateTime = now;
+  /**
+   * Estimate eye rotation from the iris centre's offset within the eye
+   * @returns {{yaw: number, pitch: number}|null} Null when the model has no iris landmarks
+   */
+  computeIrisGaze(landmarks, eye) {
+    const iris = landmarks[eye.iris];
+    if (!iris) return null;
 
-    // Update FPS
-    const fps = this.getFPS();
-    this.fpsElement.textContent = fps;
-    this.fpsElement.className = 'stats-value ' +
-      (fps > 55 ? 'good' : fps > 45 ? 'medium' : 'bad');
+    const outer = landmarks[eye.outer];
+    const inner = landmarks[eye.inner];
+    const halfWidth = Math.hypot(inner.x - outer.x, inner.y - outer.y) / 2;
+    if (halfWidth < 1e-6) return null;
 
-    // Update Latency
-    const latencyMs = Math.round(this.latency);
-    this.latencyElement.textContent = `${latencyMs}ms`;
-    this.latencyElement.className = 'stats-value ' +
-      (latencyMs < 50 ? 'good' : latencyMs < 100 ? 'medium' : 'bad');
+    const centerX = (outer.x + inner.x) / 2;
+    const centerY = (landmarks[eye.top].y + landmarks[eye.bottom].y) / 2;
 
-    // Update Face Status
-    this.faceStatusElement.textContent = faceDetected ? '✓' : '✗';
-    this.faceStatusElement.className = 'stats-value ' + (faceDetected ? 'good' : 'bad');
+    // Iris towards image right / down turns the eye to the avatar's left / down
+    const horizontal = (iris.x - centerX) / halfWidth;
+    const vertical = (iris.y - centerY) / halfWidth;
 
-    // Update Hands Count
-    this.handsCountElement.textContent = handCount;
-    this.handsCountElement.className = 'stats-value ' + (handCount > 0 ? 'good' : '');
+    return {
+      yaw: horizontal * GAZE_GAIN.horizontal * GAZE_LIMITS.yaw,
+      pitch: vertical * GAZE_GAIN.vertical * GAZE_LIMITS.pitch
+    };
   }
-}
 
-// ============================================================================
-// MAIN APPLICATION
-// ============================================================================
+  /**
+   * Estimate eye rotation from the eyeLook blendshapes (the inverse of getGazeBlendshapes)
+   */
+  computeBlendshapeGaze(blendshapes, side) {
+    const scores = Object.fromEntries(blendshapes.map(({ categoryName, score }) => [categoryName, score]));
+    const suffix = side === 'left' ? 'Left' : 'Right';
+    const outward = (scores[`eyeLookOut${suffix}`] ?? 0) - (scores[`eyeLookIn${suffix}`] ?? 0);
+    const downward = (scores[`eyeLookDown${suffix}`] ?? 0) - (scores[`eyeLookUp${suffix}`] ?? 0);
+
+    // Looking out turns the left eye to the avatar's left, the right eye to its right
+    return {
+      yaw: (side === 'left' ? outward : -outward) * GAZE_LIMITS.yaw,
+      pitch: downward * GAZE_LIMITS.pitch
+    };
+  }
 
-class AvatarApp {
-  constructor() {
-    // Trackers
-    this.faceTracker = new FaceTracker();
-    this.handTracker = new HandTracker();
-    this.avatarController = null;
-    this.performanceMonitor = new PerformanceMonitor();
+  /**
+   * Eye rotation that points the eye at the camera, relative to the head
+   */
+  computeCameraGaze(side) {
+    const eye = this.eyeBones[side] || this.headBone;
+    if (!eye) return null;
 
-    // Particle systems
-    this.confettiParticles = null;
-    this.sparkleParticles = null;
-    this.ambientParticles = null;
+    eye.getWorldPosition(this._eyeWorldPosition);
+    this._lookDirection.subVectors(this.lookAtCamera.position, this._eyeWorldPosition);
 
-    // Three.js
-    this.scene = null;
-    this.camera = null;
-    this.renderer = null;
-    this.controls = null;
-    this.avatar = null;
-    this.backgroundPlane = null;
-    this.backgroundMaterial = null;
+    // Express the direction in the eye's parent (head) space
+    if (eye.parent) {
+      eye.parent.getWorldQuaternion(this._eyeParentQuaternion);
+      this._lookDirection.applyQuaternion(this._eyeParentQuaternion.invert());
+    }
 
-    // State
-    this.video = null;
-    this.lastVideoTime = -1;
-    this.debugMode = false;
-    this.debugCanvas = null;
-    this.debugCtx = null;
-    this.particlesEnabled = true;
-    this.backgroundFXEnabled = true;
+    const { x, y, z } = this._lookDirection;
+    return {
+      yaw: Math.atan2(x, z),
+      pitch: Math.atan2(-y, Math.hypot(x, z))
+    };
+  }
 
-    // UI Elements
-    this.statusEl = document.getElementById('status');
-    this.loadingEl = document.getElementById('loading');
-    this.loadingProgressEl = document.getElementById('loading-progress');
-    this.loadingStatusEl = document.getElementById('loading-status');
-    this.videoFeedEl = document.getElementById('video-feed');
-    this.gestureNotificationEl = document.getElementById('gesture-notification');
+  /**
+   * Rotate the eye bones by the current gaze on top of their rest pose
+   */
+  applyEyeBones() {
+    for (const side of ['left', 'right']) {
+      const bone = this.eyeBones[side];
+      if (!bone) continue;
+
+      const gaze = this.gaze[side];
+      this._targetEuler.set(gaze.pitch, gaze.yaw, 0, 'YXZ');
+      this._targetQuaternion.setFromEuler(this._targetEuler).multiply(this.eyeRestQuaternions[side]);
+      bone.quaternion.slerp(this._targetQuaternion, smoothingFactor(this.frameDelta, SMOOTHING_TIME.eyeBones));
+    }
   }
 
   /**
-   * Main initialization function
+   * Express the current gaze as ARKit eyeLook* scores
    */
-  async initialize() {
-    try {
-      // Step 1: Initialize webcam (0-20%)
-      this.updateLoadingProgress(0, 'Requesting camera access...');
-      await this.initWebcam();
-      this.updateLoadingProgress(20, 'Camera ready!');
+  getGazeBlendshapes() {
+    const toward = (value, limit) => Math.max(0, Math.min(1, value / limit));
+    const { left, right } = this.gaze;
+
+    return {
+      eyeLookOutLeft: toward(left.yaw, GAZE_LIMITS.yaw),
+      eyeLookInLeft: toward(-left.yaw, GAZE_LIMITS.yaw),
+      eyeLookInRight: toward(right.yaw, GAZE_LIMITS.yaw),
+      eyeLookOutRight: toward(-right.yaw, GAZE_LIMITS.yaw),
+      eyeLookDownLeft: toward(left.pitch, GAZE_LIMITS.pitch),
+      eyeLookUpLeft: toward(-left.pitch, GAZE_LIMITS.pitch),
+      eyeLookDownRight: toward(right.pitch, GAZE_LIMITS.pitch),
+      eyeLookUpRight: toward(-right.pitch, GAZE_LIMITS.pitch)
+    };
+  }
 
-      // Step 2: Initialize MediaPipe (20-60%)
-      this.updateLoadingProgress(20, 'Loading AI models...');
-      await this.initMediaPipe();
-      this.updateLoadingProgress(60, 'AI models loaded!');
+  /**
+   * Tracked face state for face events: eye openness, mouth opening and head rotation
+   */
+  getFaceState() {
+    return { blink: this.smoothedBlink, mouthOpen: this.smoothedMouth, headRotation: this.headRotation };
+  }
 
-      // Step 3: Initialize Three.js (60-80%)
-      this.updateLoadingProgress(60, 'Preparing 3D avatar...');
-      this.initThreeJS();
-      await this.loadAvatar();
-      this.updateLoadingProgress(80, '3D avatar ready!');
+  /**
+   * Current smoothed values of the landmark channels
+   */
+  getLandmarkChannels() {
+    return {
+      blinkLeft: 1.0 - this.smoothedBlink.left,
+      blinkRight: 1.0 - this.smoothedBlink.right,
+      mouthOpen: this.smoothedMouth,
+      smile: this.smoothedSmile,
+      browRaise: this.smoothedBrowRaise
+    };
+  }
 
-      // Step 4: Setup UI and debug (80-100%)
-      this.updateLoadingProgress(80, 'Setting up interface...');
-      this.setupDebugCanvas();
-      this.setupControls();
-      this.updateLoadingProgress(100, 'Almost ready...');
+  /**
+   * Write channel values through the retarget bindings; several channels
+   * driving the same morph target add up
+   */
+  applyMorphBindings(mesh, bindings, values) {
+    const influences = mesh.morphTargetInfluences;
+    bindings.forEach(({ index }) => {
+      influences[index] = 0;
+    });
 
-      // Step 5: Start tracking
-      setTimeout(() => {
-        this.updateStatus('Ready', true);
-        this.loadingEl.classList.add('hidden');
-        this.startTracking();
-      }, 500);
+    bindings.forEach(({ channel, index, weight, offset, curve }) => {
+      const input = Math.max(0, Math.min(1, values[channel] ?? 0));
+      influences[index] += curve(input) * weight + offset;
+    });
 
-    } catch (error) {
-      this.handleError('Initialization failed', error);
-    }
+    bindings.forEach(({ index }) => {
+      influences[index] = Math.max(0, Math.min(1, influences[index]));
+    });
   }
 
-  async initWebcam() {
-    this.video = document.getElementById('webcam');
-    try {
-      const stream = await navigator.mediaDevices.getUserMedia({
-        video: {
-          width: { ideal: 640 },
-          height: { ideal: 480 },
-          facingMode: 'user'
-        }
-      });
-      this.video.srcObject = stream;
-      await this.video.play();
-      this.videoFeedEl.style.display = 'block';
-    } catch (error) {
-      throw new Error('Camera access denied. Please allow camera access and refresh.');
+  /**
+   * Apply pinned values from the morph editor on top of tracking
+   */
+  applyMorphOverrides(mesh) {
+    for (const [name, value] of this.morphOverrides) {
+      const index = mesh.morphTargetDictionary[name];
+      if (index !== undefined) {
+        mesh.morphTargetInfluences[index] = value;
+      }
     }
   }
 
-  async initMediaPipe() {
-    try {
-      const filesetResolver = await FilesetResolver.forVisionTasks(
-        'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@latest/wasm'
-      );
-
-      // Initialize face tracker
-      await this.faceTracker.initialize(filesetResolver);
-
-      // Initialize hand tracker
-      await this.handTracker.initialize(filesetResolver);
-    } catch (error) {
-      throw new Error('Failed to load AI models. Please check your internet connection.');
+  /**
+   * Smooth incoming blendshape scores, remapped through the calibrated ranges
+   */
+  updateBlendshapes(blendshapes) {
+    for (const { categoryName, score } of blendshapes) {
+      const range = this.calibration.blendshapes[categoryName];
+      const value = range ? remapRange(score, range) : score;
+      const previous = this.smoothedBlendshapes[categoryName] ?? 0;
+      this.smoothedBlendshapes[categoryName] = this.smooth(previous, value, SMOOTHING_TIME.blendshapes);
     }
   }
 
-  initThreeJS() {
-    const canvas = document.getElementById('canvas');
-
-    // Scene
-    this.scene = new THREE.Scene();
+  /**
+   * Apply true 3D head pose decomposed from the facial transformation matrix
+   * Rotation is split between neck and head; translation moves the whole avatar
+   */
+  updateHeadPoseFromMatrix(matrixData) {
+    this._poseMatrix.fromArray(matrixData);
+    this._poseMatrix.decompose(this._posePosition, this._poseQuaternion, this._poseScale);
+    this._poseEuler.setFromQuaternion(this._poseQuaternion, 'YXZ');
+
+    // Camera space lines up with the scene, so the avatar turns the way the user does
+    this.headRotation = { pitch: this._poseEuler.x, yaw: this._poseEuler.y, roll: this._poseEuler.z };
+    this.applyHeadRotation(this.headRotation);
+
+    // ===== HEAD TRANSLATION =====
+    if (!this.translationOrigin) {
+      this.translationOrigin = this._posePosition.clone();
+    }
+    if (this.headTranslationEnabled) {
+      // Matrix translation is in centimetres relative to the camera
+      this._targetPosition.subVectors(this._posePosition, this.translationOrigin).multiplyScalar(0.01);
+      this._targetPosition.add(this.basePosition);
+      this.avatar.position.lerp(this._targetPosition, smoothingFactor(this.frameDelta, SMOOTHING_TIME.headTranslation));
+    }
+  }
 
-    // Camera
-    this.camera = new THREE.PerspectiveCamera(
-      50,
-      window.innerWidth / window.innerHeight,
-      0.1,
-      1000
-    );
-    this.camera.position.set(0, 1, 4);
-    this.camera.lookAt(0, 0.5, 0);
+  /**
+   * Turn the head towards a rotation, split between the neck and head bones
+   */
+  applyHeadRotation({ pitch, yaw, roll }) {
+    let headShare = 1;
+    if (this.neckBone) {
+      headShare = 1 - NECK_ROTATION_SHARE;
+      this.slerpBoneRotation(this.neckBone, pitch * NECK_ROTATION_SHARE, yaw * NECK_ROTATION_SHARE, roll * NECK_ROTATION_SHARE);
+    }
+    this.slerpBoneRotation(this.headBone, pitch * headShare, yaw * headShare, roll * headShare);
+  }
 
-    // Renderer
-    this.renderer = new THREE.WebGLRenderer({ canvas, antialias: true, alpha: true });
-    this.renderer.setSize(window.innerWidth, window.innerHeight);
-    this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2)); // Limit for performance
-    this.renderer.shadowMap.enabled = true;
+  /**
+   * Smoothly rotate a bone towards the given Euler angles
+   */
+  slerpBoneRotation(bone, x, y, z) {
+    this._targetEuler.set(x, y, z, 'YXZ');
+    this._targetQuaternion.setFromEuler(this._targetEuler);
+    bone.quaternion.slerp(this._targetQuaternion, smoothingFactor(this.frameDelta, SMOOTHING_TIME.headRotation));
+  }
 
-    // Enhanced Lighting - 3-point setup
-    const ambientLight = new THREE.AmbientLight(0xffffff, 0.3);
-    this.scene.add(ambientLight);
+  /**
+   * Enable or disable head translation, recentering on the current position
+   */
+  setHeadTranslationEnabled(enabled) {
+    this.headTranslationEnabled = enabled;
+    this.translationOrigin = null;
+    if (!enabled && this.avatar) {
+      this.avatar.position.copy(this.basePosition);
+    }
+  }
 
-    // Key light (main)
-    const keyLight = new THREE.DirectionalLight(0xffffff, 1.2);
-    keyLight.position.set(5, 8, 5);
-    keyLight.castShadow = true;
-    this.scene.add(keyLight);
+  /**
+   * Estimate head rotation from landmark positions
+   * (fallback when no transformation matrix is available)
+   */
+  updateHeadRotation(landmarks) {
+    // ===== HEAD ROTATION =====
+    const noseTip = landmarks[1];
+    const leftEye = landmarks[33];
+    const rightEye = landmarks[263];
+    const chin = landmarks[152];
 
-    // Fill light (soften shadows)
-    const fillLight = new THREE.DirectionalLight(0x9eceff, 0.4);
-    fillLight.position.set(-5, 3, -3);
-    this.scene.add(fillLight);
+    // Calculate yaw (left/right)
+    const eyeCenterX = (leftEye.x + rightEye.x) / 2;
+    const yaw = (noseTip.x - eyeCenterX) * 4;
 
-    // Rim light (edge highlighting)
-    const rimLight = new THREE.DirectionalLight(0xffe0bd, 0.8);
-    rimLight.position.set(0, 3, -8);
-    this.scene.add(rimLight);
+    // Calculate pitch (up/down)
+    const pitch = (noseTip.y - 0.5) * 2 - 0.3;
 
-    // Animated gradient background
-    this.createAnimatedBackground();
+    // Calculate roll (tilt)
+    const eyeDeltaY = rightEye.y - leftEye.y;
+    const eyeDeltaX = rightEye.x - leftEye.x;
+    const roll = Math.atan2(eyeDeltaY, eyeDeltaX);
+    this.headRotation = { pitch, yaw, roll };
 
-    // Initialize particle systems
-    this.confettiParticles = new ConfettiParticles(this.scene);
-    this.sparkleParticles = new SparkleParticles(this.scene);
-    this.ambientParticles = new AmbientParticles(this.scene);
+    // Apply rotation with smoothing
+    this.slerpBoneRotation(this.headBone, pitch, yaw, roll);
+  }
 
-    // OrbitControls - ZOOM ONLY
-    this.controls = new OrbitControls(this.camera, canvas);
-    this.controls.target.set(0, 0.5, 0);
-    this.controls.enablePan = false;
-    this.controls.enableRotate = false; // Disable rotation
-    this.controls.enableZoom = true;
-    this.controls.minDistance = 1.5; // Allow closer zoom
-    this.controls.maxDistance = 8;
-    this.controls.update();
+  /**
+   * Estimate blink, mouth, smile and brow values from raw landmark distances
+   * (fallback for rigs without ARKit blendshape targets)
+   */
+  updateExpressionsFromLandmarks(landmarks) {
+    const channels = measureExpressionChannels(landmarks);
+    const ranges = this.calibration.channels;
+
+    this.smoothExpressionChannels({
+      eyeLeft: remapRange(channels.eyeLeft, ranges.eyeLeft),
+      eyeRight: remapRange(channels.eyeRight, ranges.eyeRight),
+      mouthOpen: remapRange(channels.mouthOpen, ranges.mouthOpen),
+      smile: remapRange(channels.smile, ranges.smile),
+      browRaise: remapRange(channels.browRaise, ranges.browRaise)
+    });
+  }
 
-    // Handle resize
-    window.addEventListener('resize', () => this.handleResize());
+  /**
+   * The same values from blendshape scores, for faces without landmarks
+   */
+  updateExpressionsFromBlendshapes(blendshapes) {
+    const scores = Object.fromEntries(blendshapes.map(({ categoryName, score }) => [categoryName, score]));
+    const score = name => scores[name] ?? 0;
+
+    this.smoothExpressionChannels({
+      eyeLeft: 1 - score('eyeBlinkLeft'),
+      eyeRight: 1 - score('eyeBlinkRight'),
+      mouthOpen: score('jawOpen'),
+      smile: (score('mouthSmileLeft') + score('mouthSmileRight')) / 2,
+      browRaise: score('browInnerUp')
+    });
+  }
 
-    // Start render loop
-    this.animate();
+  /**
+   * Smooth normalized eye openness, mouth, smile and brow values into the channels
+   */
+  smoothExpressionChannels({ eyeLeft, eyeRight, mouthOpen, smile, browRaise }) {
+    this.smoothedBlink.left = this.smooth(this.smoothedBlink.left, eyeLeft, SMOOTHING_TIME.blink);
+    this.smoothedBlink.right = this.smooth(this.smoothedBlink.right, eyeRight, SMOOTHING_TIME.blink);
+    this.smoothedMouth = this.smooth(this.smoothedMouth, mouthOpen, SMOOTHING_TIME.mouth);
+    this.smoothedSmile = this.smooth(this.smoothedSmile, smile, SMOOTHING_TIME.expression);
+    this.smoothedBrowRaise = this.smooth(this.smoothedBrowRaise, browRaise, SMOOTHING_TIME.expression);
   }
 
   /**
-   * Create animated gradient background using shaders
+   * Per-frame update from the render loop
    */
-  createAnimatedBackground() {
-    const geometry = new THREE.PlaneGeometry(20, 20);
+  update(deltaTime) {
+    this.updateBreathing(deltaTime);
 
-    // Custom shader for animated gradient
-    this.backgroundMaterial = new THREE.ShaderMaterial({
-      uniforms: {
-        time: { value: 0 },
-        color1: { value: new THREE.Color(0x1a1a2e) },
-        color2: { value: new THREE.Color(0x16213e) },
-        color3: { value: new THREE.Color(0x0f3460) }
-      },
-      vertexShader: `
-        varying vec2 vUv;
-        void main() {
-          vUv = uv;
-          gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-        }
-      `,
-      fragmentShader: `
-        uniform float time;
-        uniform vec3 color1;
-        uniform vec3 color2;
-        uniform vec3 color3;
-        varying vec2 vUv;
+    // Keep pinned morphs applied even while no face is tracked
+    if (this.morphOverrides.size > 0) {
+      this.morphMeshes.forEach(mesh => this.applyMorphOverrides(mesh));
+    }
+  }
 
-        void main() {
-          float gradient = vUv.y;
-          float wave = sin(vUv.y * 3.0 + time * 0.5) * 0.1 + sin(vUv.x * 2.0 + time * 0.3) * 0.1;
-          gradient += wave;
+  /**
+   * Update breathing animation
+   */
+  updateBreathing(deltaTime) {
+    if (!this.avatar) return;
+
+    this.breathingTime += deltaTime * 2;
+    const breathScale = 1 + Math.sin(this.breathingTime) * 0.008;
+    this.avatar.scale.y = breathScale;
+  }
+}
+
+/**
+ * VRM expression presets and the blendshapes that drive them (averaged)
+ */
+const VRM_EXPRESSION_MAP = {
+  blinkLeft: ['eyeBlinkLeft'],
+  blinkRight: ['eyeBlinkRight'],
+  aa: ['jawOpen'],
+  ih: ['mouthLowerDownLeft', 'mouthLowerDownRight'],
+  ou: ['mouthPucker'],
+  ee: ['mouthStretchLeft', 'mouthStretchRight'],
+  oh: ['mouthFunnel'],
+  happy: ['mouthSmileLeft', 'mouthSmileRight'],
+  sad: ['mouthFrownLeft', 'mouthFrownRight'],
+  angry: ['browDownLeft', 'browDownRight'],
+  surprised: ['browInnerUp']
+};
+
+/**
+ * VRM preset weights from ARKit blendshape scores, averaging each preset's categories
+ */
+function blendshapeExpressionWeights(scores) {
+  return Object.fromEntries(Object.entries(VRM_EXPRESSION_MAP).map(([expression, categories]) => {
+    const total = categories.reduce((sum, name) => sum + (scores[name] ?? 0), 0);
+    return [expression, total / categories.length];
+  }));
+}
+
+/**
+ * VRM preset weights from the landmark channels, for faces without blendshapes
+ */
+function landmarkExpressionWeights(channels) {
+  return {
+    blinkLeft: channels.blinkLeft,
+    blinkRight: channels.blinkRight,
+    aa: channels.mouthOpen,
+    happy: channels.smile * 0.5,
+    surprised: channels.browRaise * 0.6
+  };
+}
+
+/**
+ * VRM Avatar Controller
+ * Drives a VRM 0.x/1.0 model through its humanoid bone map, expression
+ * presets and look-at instead of raw morph targets and bone names
+ */
+class VRMAvatarController extends AvatarController {
+  constructor(vrm) {
+    const humanoid = vrm.humanoid;
+    super(
+      vrm.scene,
+      humanoid.getNormalizedBoneNode('head'),
+      [],
+      humanoid.getNormalizedBoneNode('neck')
+    );
+
+    this.vrm = vrm;
+    this.spineBone = humanoid.getNormalizedBoneNode('spine');
+    this.expressionManager = vrm.expressionManager;
+
+    // VRM 0.x normalized bones face -Z, so pitch and roll flip after rotateVRM0
+    this.axisSign = vrm.meta && vrm.meta.metaVersion === '0' ? -1 : 1;
+
+    // Look-at is driven from the tracked gaze unless locked onto the camera
+    if (vrm.lookAt) {
+      vrm.lookAt.target = null;
+    }
+
+    // "Perfect sync" models expose custom expressions named after ARKit blendshapes
+    this.perfectSyncBindings = this.buildPerfectSyncBindings();
+  }
+
+  /**
+   * Match custom VRM expressions to ARKit blendshape categories
+   * @returns {Array<{name: string, expression: string}>} Bindings
+   */
+  buildPerfectSyncBindings() {
+    if (!this.expressionManager) return [];
+
+    const categories = new Map(ARKIT_BLENDSHAPES.map(name => [normalizeMorphName(name), name]));
+    const bindings = [];
+    for (const expression of Object.keys(this.expressionManager.customExpressionMap)) {
+      const category = categories.get(normalizeMorphName(expression));
+      if (category) {
+        bindings.push({ name: category, expression });
+      }
+    }
+
+    if (bindings.length > 0) {
+      console.log(`[VRM] Perfect sync: ${bindings.length}/${ARKIT_BLENDSHAPES.length} blendshapes bound`);
+    }
+    return bindings;
+  }
+
+  updateFromFaceData(landmarks, blendshapes = null, transformMatrix = null, deltaTime = 1 / 30) {
+    super.updateFromFaceData(landmarks, blendshapes, transformMatrix, deltaTime);
+    if (!landmarks && !blendshapes) return;
+
+    this.updateLookAt();
+  }
+
+  updateFromNetworkState(state, deltaTime = 1 / 30) {
+    super.updateFromNetworkState(state, deltaTime);
+    this.updateLookAt();
+  }
+
+  /**
+   * Expressions take the place of raw morph targets
+   */
+  applyMorphTargets() {
+    if (!this.expressionManager) return;
+
+    if (this.hasBlendshapes) {
+      this.applyBlendshapeExpressions();
+    } else {
+      this.applyLandmarkExpressions();
+    }
+  }
+
+  /**
+   * Drive perfect-sync expressions directly, or the presets otherwise
+   */
+  applyBlendshapeExpressions() {
+    const scores = this.mixLipSync(this.blendshapeValues, this.getLipSyncMix(), false);
+
+    if (this.perfectSyncBindings.length > 0) {
+      for (const { name, expression } of this.perfectSyncBindings) {
+        this.expressionManager.setValue(expression, scores[name] ?? 0);
+      }
+      return;
+    }
+
+    for (const [expression, weight] of Object.entries(blendshapeExpressionWeights(scores))) {
+      this.expressionManager.setValue(expression, weight);
+    }
+  }
+
+  /**
+   * Drive the presets from the landmark heuristics
+   */
+  applyLandmarkExpressions() {
+    const channels = this.mixLipSync(this.getLandmarkChannels(), this.getLipSyncMix(), false);
+    for (const [expression, weight] of Object.entries(landmarkExpressionWeights(channels))) {
+      this.expressionManager.setValue(expression, weight);
+    }
+  }
+
+  /**
+   * Feed the averaged gaze into VRM look-at (degrees, same signs as our gaze)
+   */
+  updateLookAt() {
+    if (!this.vrm.lookAt) return;
+
+    this.vrm.lookAt.target = this.lookAtCamera;
+    if (this.lookAtCamera) return;
+
+    const { left, right } = this.gaze;
+    this.vrm.lookAt.yaw = THREE.MathUtils.RAD2DEG * (left.yaw + right.yaw) / 2;
+    this.vrm.lookAt.pitch = THREE.MathUtils.RAD2DEG * (left.pitch + right.pitch) / 2;
+  }
+
+  /**
+   * VRM look-at aims at the camera itself, so skip our own camera gaze
+   */
+  computeCameraGaze() {
+    return null;
+  }
+
+  slerpBoneRotation(bone, x, y, z) {
+    super.slerpBoneRotation(bone, x * this.axisSign, y, z * this.axisSign);
+  }
+
+  /**
+   * Advance expressions, look-at, humanoid and spring bones
+   */
+  update(deltaTime) {
+    super.update(deltaTime);
+    this.vrm.update(deltaTime);
+  }
+
+  /**
+   * Breathe through the spine so spring bones aren't squashed by scaling
+   */
+  updateBreathing(deltaTime) {
+    if (!this.spineBone || this.spineDriven) return;
+
+    this.breathingTime += deltaTime * 2;
+    this.spineBone.rotation.x = Math.sin(this.breathingTime) * 0.02 * this.axisSign;
+  }
+}
+
+/**
+ * Finger joints from knuckle to tip: MediaPipe hand landmark indices (each
+ * joint plus the tip) and the matching VRM humanoid bone suffixes
+ */
+const HAND_FINGERS = {
+  Thumb: { landmarks: [1, 2, 3, 4], joints: ['Metacarpal', 'Proximal', 'Distal'], rigName: 'thumb' },
+  Index: { landmarks: [5, 6, 7, 8], joints: ['Proximal', 'Intermediate', 'Distal'], rigName: 'index' },
+  Middle: { landmarks: [9, 10, 11, 12], joints: ['Proximal', 'Intermediate', 'Distal'], rigName: 'middle' },
+  Ring: { landmarks: [13, 14, 15, 16], joints: ['Proximal', 'Intermediate', 'Distal'], rigName: 'ring' },
+  Little: { landmarks: [17, 18, 19, 20], joints: ['Proximal', 'Intermediate', 'Distal'], rigName: 'pinky' }
+};
+
+/**
+ * MediaPipe hand landmark indices spanning the palm
+ */
+const HAND_PALM_LANDMARKS = { wrist: 0, index: 5, middle: 9, little: 17 };
+
+/**
+ * Finger bone patterns, e.g. leftIndexProximal matches LeftHandIndex1
+ * (Ready Player Me, Mixamo) and index_01.L or index1.L (Blender-style)
+ */
+function buildFingerBonePatterns() {
+  const patterns = {};
+  ['left', 'right'].forEach((side) => {
+    Object.entries(HAND_FINGERS).forEach(([finger, { joints, rigName }]) => {
+      joints.forEach((joint, i) => {
+        patterns[`${side}${finger}${joint}`] = new RegExp(
+          `^(mixamorig:?)?(${side}hand${rigName}${i + 1}|${side}${finger}${joint}|${rigName}[_.]?0?${i + 1}[_.]?${side[0]})$`,
+          'i'
+        );
+      });
+    });
+  });
+  return patterns;
+}
+
+/**
+ * Humanoid bone names of one hand: the wrist followed by every finger joint
+ */
+function getHandBoneNames(side) {
+  const fingerBones = Object.entries(HAND_FINGERS)
+    .flatMap(([finger, { joints }]) => joints.map(joint => `${side}${finger}${joint}`));
+  return [`${side}Hand`, ...fingerBones];
+}
+
+/**
+ * Bone name patterns for common humanoid rigs (Ready Player Me, Mixamo,
+ * Blender-style .L/.R), keyed by VRM humanoid bone names
+ */
+const HUMANOID_BONE_PATTERNS = {
+  hips: /^(mixamorig:?)?hips$/i,
+  spine: /^(mixamorig:?)?spine$/i,
+  chest: /^(mixamorig:?)?(spine1|chest)$/i,
+  upperChest: /^(mixamorig:?)?(spine2|upperchest)$/i,
+  leftUpperArm: /^(mixamorig:?)?(leftarm|leftupperarm|upperarm[_.]?l)$/i,
+  leftLowerArm: /^(mixamorig:?)?(leftforearm|leftlowerarm|(fore|lower)arm[_.]?l)$/i,
+  leftHand: /^(mixamorig:?)?(lefthand|hand[_.]?l)$/i,
+  rightUpperArm: /^(mixamorig:?)?(rightarm|rightupperarm|upperarm[_.]?r)$/i,
+  rightLowerArm: /^(mixamorig:?)?(rightforearm|rightlowerarm|(fore|lower)arm[_.]?r)$/i,
+  rightHand: /^(mixamorig:?)?(righthand|hand[_.]?r)$/i,
+  ...buildFingerBonePatterns()
+};
+
+/**
+ * Find humanoid bones in a model by name
+ * @returns {Object<string, THREE.Bone|null>} Bones keyed by VRM humanoid bone name
+ */
+function findHumanoidBones(root) {
+  const bones = {};
+  Object.keys(HUMANOID_BONE_PATTERNS).forEach((name) => {
+    bones[name] = null;
+  });
+
+  root.traverse((child) => {
+    if (!child.isBone) return;
+    for (const [name, pattern] of Object.entries(HUMANOID_BONE_PATTERNS)) {
+      if (!bones[name] && pattern.test(child.name)) {
+        bones[name] = child;
+      }
+    }
+  });
+
+  return bones;
+}
+
+/**
+ * MediaPipe pose landmark indices used for the upper body
+ */
+const POSE_LANDMARKS = {
+  left: { shoulder: 11, elbow: 13, wrist: 15, hip: 23 },
+  right: { shoulder: 12, elbow: 14, wrist: 16, hip: 24 }
+};
+
+/**
+ * Upper-body bones posed by the PoseRetargeter
+ */
+const POSE_BONE_NAMES = ['spine', 'chest', 'upperChest', 'leftUpperArm', 'leftLowerArm', 'rightUpperArm', 'rightLowerArm'];
+
+/**
+ * Bone Retargeter
+ * Base for retargeters that pose bones in world space from each bone's
+ * rest pose, so they don't depend on the rig's bone axes
+ */
+class BoneRetargeter {
+  constructor(root, bones, drivenBoneNames) {
+    this.root = root;
+    this.bones = bones;
+    this.smoothingTime = SMOOTHING_TIME.bones;
+    this.frameDelta = 1 / 30; // Seconds covered by the current update
+
+    this.restQuaternions = new Map();
+    drivenBoneNames.forEach((name) => {
+      const bone = bones[name];
+      if (bone) this.restQuaternions.set(bone, bone.quaternion.clone());
+    });
+
+    // Scratch objects
+    this._parentQuaternion = new THREE.Quaternion();
+    this._restWorldQuaternion = new THREE.Quaternion();
+    this._swing = new THREE.Quaternion();
+    this._restDirection = new THREE.Vector3();
+  }
+
+  /**
+   * Convert a MediaPipe world landmark (x right, y down, z away from the
+   * camera) into scene space
+   */
+  toScene(landmark, target) {
+    return target.set(landmark.x, -landmark.y, -landmark.z);
+  }
+
+  /**
+   * Rotate a bone from its rest pose so it points from itself to its child
+   * along the given world direction
+   */
+  aimBone(bone, child, direction) {
+    this.aimBoneAxis(bone, child.position, direction);
+  }
+
+  /**
+   * Rotate a bone from its rest pose so a bone-local axis points along the
+   * given world direction
+   */
+  aimBoneAxis(bone, axis, direction) {
+    bone.parent.getWorldQuaternion(this._parentQuaternion);
+    this._restWorldQuaternion.copy(this._parentQuaternion).multiply(this.restQuaternions.get(bone));
+    this._restDirection.copy(axis).applyQuaternion(this._restWorldQuaternion).normalize();
+
+    this._swing.setFromUnitVectors(this._restDirection, direction);
+    this.rotateBoneWorld(bone, this._swing);
+  }
+
+  /**
+   * Apply a world-space rotation on top of a bone's rest pose (smoothed)
+   */
+  rotateBoneWorld(bone, worldRotation) {
+    bone.parent.getWorldQuaternion(this._parentQuaternion);
+    this._restWorldQuaternion.copy(this._parentQuaternion).multiply(this.restQuaternions.get(bone));
+    this.setBoneWorldQuaternion(bone, this._restWorldQuaternion.premultiply(worldRotation));
+  }
+
+  /**
+   * Ease a bone towards a world-space orientation
+   */
+  setBoneWorldQuaternion(bone, worldQuaternion) {
+    bone.parent.getWorldQuaternion(this._parentQuaternion);
+    const target = this._parentQuaternion.invert().multiply(worldQuaternion);
+
+    bone.quaternion.slerp(target, smoothingFactor(this.frameDelta, this.smoothingTime));
+    bone.updateMatrixWorld(true);
+  }
+
+  relaxBone(bone, timeConstant = this.smoothingTime) {
+    bone.quaternion.slerp(this.restQuaternions.get(bone), smoothingFactor(this.frameDelta, timeConstant));
+  }
+
+  /**
+   * Ease every bone back towards its rest pose
+   */
+  relax() {
+    this.restQuaternions.forEach((rest, bone) => this.relaxBone(bone));
+  }
+
+  /**
+   * Snap every bone back to its rest pose
+   */
+  reset() {
+    this.restQuaternions.forEach((rest, bone) => bone.quaternion.copy(rest));
+  }
+}
+
+/**
+ * Pose Retargeter
+ * Solves spine lean and two-bone arm IK from MediaPipe pose world
+ * landmarks onto a humanoid bone map
+ */
+class PoseRetargeter extends BoneRetargeter {
+  constructor(root, bones) {
+    super(root, bones, POSE_BONE_NAMES);
+    this.minVisibility = 0.5;
+
+    // Scratch objects
+    this._basis = new THREE.Matrix4();
+    this._spineRotation = new THREE.Quaternion();
+    this._spineStep = new THREE.Quaternion();
+    this._identity = new THREE.Quaternion();
+    this._across = new THREE.Vector3();
+    this._up = new THREE.Vector3();
+    this._forward = new THREE.Vector3();
+    this._leftPoint = new THREE.Vector3();
+    this._rightPoint = new THREE.Vector3();
+    this._shoulderMid = new THREE.Vector3();
+    this._hipMid = new THREE.Vector3();
+    this._userShoulder = new THREE.Vector3();
+    this._userElbow = new THREE.Vector3();
+    this._userWrist = new THREE.Vector3();
+    this._reach = new THREE.Vector3();
+    this._pole = new THREE.Vector3();
+    this._elbowDirection = new THREE.Vector3();
+    this._shoulderPosition = new THREE.Vector3();
+    this._elbowPosition = new THREE.Vector3();
+    this._handPosition = new THREE.Vector3();
+    this._wristTarget = new THREE.Vector3();
+    this._forearmDirection = new THREE.Vector3();
+  }
+
+  isVisible(landmarks, ...indices) {
+    return indices.every(index => (landmarks[index].visibility ?? 1) >= this.minVisibility);
+  }
+
+  /**
+   * Solve the body from pose world landmarks; null relaxes towards the rest pose
+   * @param {number} deltaTime - Seconds since the previous update
+   */
+  update(worldLandmarks, deltaTime = 1 / 30) {
+    this.frameDelta = deltaTime;
+    if (!worldLandmarks) {
+      this.relax();
+      return;
+    }
+
+    this.root.updateMatrixWorld(true);
+    this.solveSpine(worldLandmarks);
+    this.solveArm('left', worldLandmarks);
+    this.solveArm('right', worldLandmarks);
+  }
+
+  /**
+   * Lean and twist the spine chain to follow the shoulder line and,
+   * when the hips are in frame, the hip-to-shoulder direction
+   */
+  solveSpine(landmarks) {
+    const chain = [this.bones.spine, this.bones.chest, this.bones.upperChest].filter(Boolean);
+    const { left, right } = POSE_LANDMARKS;
+    if (chain.length === 0) return;
+    if (!this.isVisible(landmarks, left.shoulder, right.shoulder)) {
+      chain.forEach(bone => this.relaxBone(bone));
+      return;
+    }
+
+    const leftShoulder = this.toScene(landmarks[left.shoulder], this._leftPoint);
+    const rightShoulder = this.toScene(landmarks[right.shoulder], this._rightPoint);
+    this._across.subVectors(leftShoulder, rightShoulder);
+    this._shoulderMid.addVectors(leftShoulder, rightShoulder).multiplyScalar(0.5);
+
+    if (this.isVisible(landmarks, left.hip, right.hip)) {
+      const leftHip = this.toScene(landmarks[left.hip], this._leftPoint);
+      const rightHip = this.toScene(landmarks[right.hip], this._rightPoint);
+      this._hipMid.addVectors(leftHip, rightHip).multiplyScalar(0.5);
+      this._up.subVectors(this._shoulderMid, this._hipMid).normalize();
+    } else {
+      this._up.set(0, 1, 0);
+    }
+
+    // Orthonormal torso basis: x across the shoulders, y up the spine, z forward
+    this._across.addScaledVector(this._up, -this._across.dot(this._up)).normalize();
+    this._forward.crossVectors(this._across, this._up);
+    this._basis.makeBasis(this._across, this._up, this._forward);
+    this._spineRotation.setFromRotationMatrix(this._basis);
+
+    // Spread the rotation evenly over the spine bones
+    this._spineStep.copy(this._identity).slerp(this._spineRotation, 1 / chain.length);
+    chain.forEach(bone => this.rotateBoneWorld(bone, this._spineStep));
+  }
+
+  /**
+   * Two-bone IK: reach the wrist direction scaled to the avatar's arm length,
+   * bending the elbow towards the tracked elbow
+   */
+  solveArm(side, landmarks) {
+    const upper = this.bones[`${side}UpperArm`];
+    const lower = this.bones[`${side}LowerArm`];
+    const hand = this.bones[`${side}Hand`];
+    if (!upper || !lower || !hand) return;
+
+    const indices = POSE_LANDMARKS[side];
+    if (!this.isVisible(landmarks, indices.shoulder, indices.elbow, indices.wrist)) {
+      this.relaxBone(upper);
+      this.relaxBone(lower);
+      return;
+    }
+
+    const shoulder = this.toScene(landmarks[indices.shoulder], this._userShoulder);
+    const elbow = this.toScene(landmarks[indices.elbow], this._userElbow);
+    const wrist = this.toScene(landmarks[indices.wrist], this._userWrist);
+
+    const userUpper = shoulder.distanceTo(elbow);
+    const userLower = elbow.distanceTo(wrist);
+    this._reach.subVectors(wrist, shoulder);
+    const reachRatio = THREE.MathUtils.clamp(this._reach.length() / (userUpper + userLower), 0.05, 0.999);
+    this._reach.normalize();
+
+    // Bend plane: the tracked elbow's offset from the shoulder-wrist line
+    this._pole.subVectors(elbow, shoulder);
+    this._pole.addScaledVector(this._reach, -this._pole.dot(this._reach));
+    if (this._pole.lengthSq() < 1e-8) {
+      this._pole.set(0, -1, 0).addScaledVector(this._reach, -this._reach.y);
+    }
+    this._pole.normalize();
+
+    // Avatar arm lengths
+    upper.getWorldPosition(this._shoulderPosition);
+    lower.getWorldPosition(this._elbowPosition);
+    hand.getWorldPosition(this._handPosition);
+    const a = this._shoulderPosition.distanceTo(this._elbowPosition);
+    const b = this._elbowPosition.distanceTo(this._handPosition);
+    const d = reachRatio * (a + b);
+
+    // Law of cosines for the shoulder angle
+    const cosShoulder = THREE.MathUtils.clamp((a * a + d * d - b * b) / (2 * a * d), -1, 1);
+    const sinShoulder = Math.sqrt(1 - cosShoulder * cosShoulder);
+    this._elbowDirection.copy(this._reach).multiplyScalar(cosShoulder).addScaledVector(this._pole, sinShoulder);
+
+    this.aimBone(upper, lower, this._elbowDirection);
+
+    this._wristTarget.copy(this._shoulderPosition).addScaledVector(this._reach, d);
+    this._elbowPosition.copy(this._shoulderPosition).addScaledVector(this._elbowDirection, a);
+    this._forearmDirection.subVectors(this._wristTarget, this._elbowPosition).normalize();
+    this.aimBone(lower, hand, this._forearmDirection);
+  }
+}
+
+/**
+ * Hand Retargeter
+ * Curls the avatar's finger joints from MediaPipe hand world landmarks.
+ * Fingers are solved relative to the palm, so they read correctly even
+ * when the wrist isn't tracked; with orientWrists on (arms tracked) the
+ * wrist follows the palm too. Lost hands fade back to their rest pose.
+ */
+class HandRetargeter extends BoneRetargeter {
+  constructor(root, bones) {
+    super(root, bones, [...getHandBoneNames('left'), ...getHandBoneNames('right')]);
+    this.fadeTime = SMOOTHING_TIME.boneFade;
+    this.orientWrists = false;
+
+    // Scratch objects
+    this._basis = new THREE.Matrix4();
+    this._userPalm = new THREE.Quaternion();
+    this._avatarPalm = new THREE.Quaternion();
+    this._palmToAvatar = new THREE.Quaternion();
+    this._across = new THREE.Vector3();
+    this._forward = new THREE.Vector3();
+    this._normal = new THREE.Vector3();
+    this._wrist = new THREE.Vector3();
+    this._indexBase = new THREE.Vector3();
+    this._middleBase = new THREE.Vector3();
+    this._littleBase = new THREE.Vector3();
+    this._jointStart = new THREE.Vector3();
+    this._jointEnd = new THREE.Vector3();
+    this._direction = new THREE.Vector3();
+
+    // Rest-pose palm frame (in hand space) and the axis each finger joint points along
+    root.updateMatrixWorld(true);
+    this.restPalms = {
+      left: this.computeRestPalm('left'),
+      right: this.computeRestPalm('right')
+    };
+    this.jointAxes = new Map();
+    ['left', 'right'].forEach((side) => {
+      Object.entries(HAND_FINGERS).forEach(([finger, { joints }]) => {
+        joints.forEach((joint, i) => {
+          const bone = bones[`${side}${finger}${joint}`];
+          const next = bones[`${side}${finger}${joints[i + 1]}`];
+          if (bone) this.jointAxes.set(bone, this.computeJointAxis(bone, next));
+        });
+      });
+    });
+  }
+
+  /**
+   * Palm orientation of the avatar's hand at rest, relative to the hand bone
+   */
+  computeRestPalm(side) {
+    const hand = this.bones[`${side}Hand`];
+    const index = this.bones[`${side}IndexProximal`];
+    const middle = this.bones[`${side}MiddleProximal`];
+    const little = this.bones[`${side}LittleProximal`];
+    if (!hand || !index || !middle || !little) return null;
+
+    const toHand = bone => hand.worldToLocal(bone.getWorldPosition(new THREE.Vector3()));
+    return this.palmBasis(new THREE.Vector3(), toHand(index), toHand(middle), toHand(little), new THREE.Quaternion());
+  }
+
+  /**
+   * Bone-local axis from a finger joint to the next one. Tips without a
+   * next joint use their end bone, or else continue their parent's direction.
+   */
+  computeJointAxis(bone, next) {
+    const child = next || bone.children.find(c => c.isBone);
+    if (child) {
+      return bone.worldToLocal(child.getWorldPosition(new THREE.Vector3()));
+    }
+    return bone.position.clone().applyQuaternion(bone.quaternion.clone().invert());
+  }
+
+  /**
+   * Orientation of a palm: x across the knuckles (little to index),
+   * y from the wrist to the middle knuckle, z the palm normal
+   */
+  palmBasis(wrist, index, middle, little, target) {
+    this._forward.subVectors(middle, wrist).normalize();
+    this._across.subVectors(index, little);
+    this._across.addScaledVector(this._forward, -this._across.dot(this._forward)).normalize();
+    this._normal.crossVectors(this._across, this._forward);
+    this._basis.makeBasis(this._across, this._forward, this._normal);
+    return target.setFromRotationMatrix(this._basis);
+  }
+
+  /**
+   * Solve both hands from HandTracker.getHands(); hands missing from the
+   * list fade back to rest
+   * @param {number} deltaTime - Seconds since the previous update
+   */
+  update(hands, deltaTime = 1 / 30) {
+    this.frameDelta = deltaTime;
+    this.root.updateMatrixWorld(true);
+    ['left', 'right'].forEach((side) => {
+      const hand = hands.find(h => h.side === side);
+      if (hand && hand.worldLandmarks && this.restPalms[side]) {
+        this.solveHand(side, hand.worldLandmarks);
+      } else {
+        this.relaxHand(side);
+      }
+    });
+  }
+
+  solveHand(side, landmarks) {
+    const handBone = this.bones[`${side}Hand`];
+    const { wrist, index, middle, little } = HAND_PALM_LANDMARKS;
+    this.palmBasis(
+      this.toScene(landmarks[wrist], this._wrist),
+      this.toScene(landmarks[index], this._indexBase),
+      this.toScene(landmarks[middle], this._middleBase),
+      this.toScene(landmarks[little], this._littleBase),
+      this._userPalm
+    );
+
+    // Wrist: match the user's palm in world space
+    if (this.orientWrists) {
+      this._avatarPalm.copy(this.restPalms[side]).invert().premultiply(this._userPalm);
+      this.setBoneWorldQuaternion(handBone, this._avatarPalm);
+    } else {
+      this.relaxBone(handBone);
+      handBone.updateMatrixWorld(true);
+    }
+
+    // Fingers: carry each tracked bone direction from the user's palm frame into the avatar's
+    handBone.getWorldQuaternion(this._avatarPalm).multiply(this.restPalms[side]);
+    this._palmToAvatar.copy(this._userPalm).invert().premultiply(this._avatarPalm);
+
+    Object.entries(HAND_FINGERS).forEach(([finger, { landmarks: indices, joints }]) => {
+      joints.forEach((joint, i) => {
+        const bone = this.bones[`${side}${finger}${joint}`];
+        if (!bone) return;
+
+        this.toScene(landmarks[indices[i]], this._jointStart);
+        this.toScene(landmarks[indices[i + 1]], this._jointEnd);
+        this._direction.subVectors(this._jointEnd, this._jointStart).normalize().applyQuaternion(this._palmToAvatar);
+        this.aimBoneAxis(bone, this.jointAxes.get(bone), this._direction);
+      });
+    });
+  }
+
+  /**
+   * Fade one hand's wrist and finger bones back to rest
+   */
+  relaxHand(side) {
+    getHandBoneNames(side).forEach((name) => {
+      const bone = this.bones[name];
+      if (bone) this.relaxBone(bone, this.fadeTime);
+    });
+  }
+}
+
+/**
+ * Tracking results older than this (ms) are not interpolated any further,
+ * e.g. once the camera stops delivering frames
+ */
+const TRACKING_STALE_TIME = 500;
+
+/**
+ * Runs the face, hand and pose trackers in tracking-worker.js. Webcam frames
+ * are transferred as VideoFrames (or ImageBitmaps where VideoFrame is missing)
+ * and only one is in flight at a time, so a slow model drops frames instead
+ * of queueing them.
+ */
+class InferenceWorker {
+  constructor() {
+    this.worker = null;
+    this.busy = false;
+    this.sentAt = 0;
+    this.onResult = null; // (frame, timestamp, latency) => void
+    this.poseRequest = null; // Pending setPoseEnabled
+    this.poseQueue = Promise.resolve(); // Settles when the last pose request has been answered
+  }
+
+  static isSupported() {
+    return typeof Worker !== 'undefined' &&
+           typeof OffscreenCanvas !== 'undefined' &&
+           (typeof VideoFrame !== 'undefined' || typeof createImageBitmap !== 'undefined');
+  }
+
+  /**
+   * Start the worker and load the face and hand models in it
+   * @param {Object} assets - Asset URLs from resolveAssetConfig
+   */
+  initialize(assets) {
+    // The worker resolves relative URLs against its own script, so hand it absolute ones
+    const absolute = url => new URL(url, window.location.href).href;
+    const workerAssets = {
+      wasm: absolute(assets.wasm),
+      faceModel: absolute(assets.faceModel),
+      handModel: absolute(assets.handModel),
+      poseModel: absolute(assets.poseModel)
+    };
+
+    this.worker = new Worker(new URL('./tracking-worker.js', import.meta.url), { type: 'module' });
+
+    return new Promise((resolve, reject) => {
+      this.worker.onerror = (event) => {
+        reject(new Error(event.message || 'Tracking worker failed to start'));
+      };
+      this.worker.onmessage = ({ data }) => {
+        if (data.type === 'ready') {
+          this.worker.onmessage = event => this.handleMessage(event.data);
+          resolve();
+        } else if (data.type === 'error') {
+          reject(new Error(data.message));
+        }
+      };
+      this.worker.postMessage({ type: 'init', assets: workerAssets });
+    });
+  }
+
+  handleMessage(data) {
+    if (data.type === 'result') {
+      this.busy = false;
+      if (data.frame && this.onResult) {
+        this.onResult(data.frame, data.timestamp, performance.now() - this.sentAt);
+      }
+    } else if (data.type === 'pose' && this.poseRequest) {
+      const { resolve, reject } = this.poseRequest;
+      this.poseRequest = null;
+      if (data.error) {
+        reject(new Error(data.error));
+      } else {
+        resolve(data.enabled);
+      }
+    }
+  }
+
+  /**
+   * Send an input image (video, canvas) for detection, unless one is still in flight
+   * @returns {boolean} Whether the image was sent
+   */
+  submit(source, timestamp) {
+    if (!this.worker || this.busy) return false;
+    this.busy = true;
+    this.sentAt = performance.now();
+
+    if (typeof VideoFrame !== 'undefined') {
+      let image = null;
+      try {
+        // Throws for sources without a frame yet (e.g. a zero-size canvas)
+        image = new VideoFrame(source, { timestamp: timestamp * 1000 });
+        this.worker.postMessage({ type: 'frame', image, timestamp }, [image]);
+      } catch (error) {
+        if (image) image.close();
+        this.busy = false;
+        return false;
+      }
+      return true;
+    }
+
+    createImageBitmap(source).then((image) => {
+      this.worker.postMessage({ type: 'frame', image, timestamp }, [image]);
+    }).catch(() => {
+      this.busy = false;
+    });
+    return true;
+  }
+
+  /**
+   * Turn pose detection on or off in the worker, loading the model on first use.
+   * Requests are sent one at a time, so quick toggles settle in order.
+   */
+  setPoseEnabled(enabled) {
+    const request = this.poseQueue.then(() => new Promise((resolve, reject) => {
+      this.poseRequest = { resolve, reject };
+      this.worker.postMessage({ type: 'pose', enabled });
+    }));
+    this.poseQueue = request.catch(() => {});
+    return request;
+  }
+
+  setHandInterval(handInterval) {
+    this.worker.postMessage({ type: 'config', handInterval });
+  }
+
+  setNumFaces(numFaces) {
+    this.worker.postMessage({ type: 'config', numFaces });
+  }
+
+  terminate() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+}
+
+/**
+ * Blend two landmark lists point by point (b alone if they don't line up)
+ */
+function blendPoints(a, b, t) {
+  if (!a || !b || a.length !== b.length) return b;
+  return b.map((point, i) => {
+    const from = a[i];
+    const blended = {
+      x: from.x + (point.x - from.x) * t,
+      y: from.y + (point.y - from.y) * t,
+      z: from.z + (point.z - from.z) * t
+    };
+    if (point.visibility !== undefined) {
+      blended.visibility = from.visibility + (point.visibility - from.visibility) * t;
+    }
+    return blended;
+  });
+}
+
+/**
+ * Blends the two latest tracking frames so the avatar moves at display
+ * refresh rate however slowly inference runs. Frames are sampled one
+ * tracking interval in the past, which keeps the sample between the two
+ * frames it blends at the cost of that interval in latency.
+ */
+class TrackingInterpolator {
+  constructor() {
+    this.previous = null;
+    this.latest = null;
+    this.interval = 33; // Running average time between results (ms)
+
+    this._matrixA = new THREE.Matrix4();
+    this._matrixB = new THREE.Matrix4();
+    this._positionA = new THREE.Vector3();
+    this._positionB = new THREE.Vector3();
+    this._quaternionA = new THREE.Quaternion();
+    this._quaternionB = new THREE.Quaternion();
+    this._scaleA = new THREE.Vector3();
+    this._scaleB = new THREE.Vector3();
+  }
+
+  push(frame, time) {
+    if (this.latest) {
+      this.interval = this.interval * 0.9 + Math.min(time - this.latest.time, 250) * 0.1;
+    }
+    this.previous = this.latest;
+    this.latest = { frame, time };
+  }
+
+  reset() {
+    this.previous = null;
+    this.latest = null;
+  }
+
+  /**
+   * Tracking frame at render time, or null when there is no recent result
+   */
+  sample(now) {
+    if (!this.latest || now - this.latest.time > TRACKING_STALE_TIME) return null;
+    if (!this.previous) return this.latest.frame;
+
+    const span = this.latest.time - this.previous.time;
+    const t = span > 0 ? THREE.MathUtils.clamp((now - this.interval - this.previous.time) / span, 0, 1) : 1;
+    if (t === 1) return this.latest.frame;
+
+    const a = this.previous.frame;
+    const b = this.latest.frame;
+    // Faces are indexed by person slot (see FaceIdentityTracker)
+    const faces = b.faces.map((face, slot) => (face && a.faces[slot] ? this.blendFace(a.faces[slot], face, t) : face));
+    return {
+      face: faces[0] || null,
+      faces,
+      hands: b.hands.map((hand) => {
+        const from = a.hands.find(({ side }) => side === hand.side);
+        return from ? {
+          ...hand,
+          landmarks: blendPoints(from.landmarks, hand.landmarks, t),
+          worldLandmarks: blendPoints(from.worldLandmarks, hand.worldLandmarks, t)
+        } : hand;
+      }),
+      pose: a.pose && b.pose ? blendPoints(a.pose, b.pose, t) : b.pose
+    };
+  }
+
+  blendFace(a, b, t) {
+    return {
+      landmarks: blendPoints(a.landmarks, b.landmarks, t),
+      blendshapes: a.blendshapes && b.blendshapes
+        ? b.blendshapes.map((category, i) => ({
+          ...category,
+          score: a.blendshapes[i] ? a.blendshapes[i].score + (category.score - a.blendshapes[i].score) * t : category.score
+        }))
+        : b.blendshapes,
+      transformMatrix: a.transformMatrix && b.transformMatrix
+        ? this.blendMatrix(a.transformMatrix, b.transformMatrix, t)
+        : b.transformMatrix
+    };
+  }
+
+  /**
+   * Blend two rigid transforms (lerp position and scale, slerp rotation)
+   */
+  blendMatrix(a, b, t) {
+    this._matrixA.fromArray(a).decompose(this._positionA, this._quaternionA, this._scaleA);
+    this._matrixB.fromArray(b).decompose(this._positionB, this._quaternionB, this._scaleB);
+    this._positionA.lerp(this._positionB, t);
+    this._quaternionA.slerp(this._quaternionB, t);
+    this._scaleA.lerp(this._scaleB, t);
+    return this._matrixA.compose(this._positionA, this._quaternionA, this._scaleA).toArray();
+  }
+}
+
+/**
+ * Performance Monitor
+ * Tracks FPS, latency, and other metrics
+ */
+class PerformanceMonitor {
+  constructor() {
+    this.frameTimes = [];
+    this.maxSamples = 60;
+    this.lastUpdateTime = Date.now();
+    this.faceDetectStart = 0;
+    this.latency = 0;
+
+    // UI elements
+    this.fpsElement = document.getElementById('fps-value');
+    this.latencyElement = document.getElementById('latency-value');
+    this.faceStatusElement = document.getElementById('face-status');
+    this.handsCountElement = document.getElementById('hands-count');
+    this.poseStatusElement = document.getElementById('pose-status');
+    this.inferenceElement = document.getElementById('inference-mode');
+    this.qualityElement = document.getElementById('quality-tier');
+  }
+
+  startFrame() {
+    this.frameStart = performance.now();
+  }
+
+  endFrame() {
+    const frameTime = performance.now() - this.frameStart;
+    this.frameTimes.push(frameTime);
+    if (this.frameTimes.length > this.maxSamples) {
+      this.frameTimes.shift();
+    }
+  }
+
+  startFaceDetect() {
+    this.faceDetectStart = performance.now();
+  }
+
+  endFaceDetect() {
+    this.latency = performance.now() - this.faceDetectStart;
+  }
+
+  /**
+   * Latency measured elsewhere, e.g. a worker round trip
+   */
+  setLatency(latency) {
+    this.latency = latency;
+  }
+
+  setQualityTier(label, auto) {
+    this.qualityElement.textContent = auto ? `${label} (auto)` : label;
+  }
+
+  setInferenceMode(mode) {
+    this.inferenceElement.textContent = mode === 'worker' ? 'Worker' : 'Main thread';
+  }
+
+  getFPS() {
+    if (this.frameTimes.length === 0) return 0;
+    const avgFrameTime = this.frameTimes.reduce((a, b) => a + b, 0) / this.frameTimes.length;
+    return Math.round(1000 / avgFrameTime);
+  }
+
+  updateUI(faceDetected, handCount, poseDetected = null) {
+    const now = Date.now();
+    if (now - this.lastUpdateTime < 500) return; // Update every 500ms
+    this.lastUpdateTime = now;
+
+    // Update FPS
+    const fps = this.getFPS();
+    this.fpsElement.textContent = fps;
+    this.fpsElement.className = 'stats-value ' +
+      (fps > 55 ? 'good' : fps > 45 ? 'medium' : 'bad');
+
+    // Update Latency
+    const latencyMs = Math.round(this.latency);
+    this.latencyElement.textContent = `${latencyMs}ms`;
+    this.latencyElement.className = 'stats-value ' +
+      (latencyMs < 50 ? 'good' : latencyMs < 100 ? 'medium' : 'bad');
+
+    // Update Face Status
+    this.faceStatusElement.textContent = faceDetected ? '✓' : '✗';
+    this.faceStatusElement.className = 'stats-value ' + (faceDetected ? 'good' : 'bad');
+
+    // Update Hands Count
+    this.handsCountElement.textContent = handCount;
+    this.handsCountElement.className = 'stats-value ' + (handCount > 0 ? 'good' : '');
+
+    // Update Pose Status (null while pose tracking is off)
+    this.poseStatusElement.textContent = poseDetected === null ? '--' : poseDetected ? '✓' : '✗';
+    this.poseStatusElement.className = 'stats-value ' + (poseDetected === null ? '' : poseDetected ? 'good' : 'bad');
+  }
+}
+
+/**
+ * Quality tiers the performance governor steps between, cheapest first.
+ * pixelRatio caps window.devicePixelRatio; a shadowMapSize of 0 turns the
+ * key light's shadow off; backgroundDetail is the number of shader waves
+ */
+const QUALITY_TIERS = {
+  low: { label: 'Low', handInterval: 4, pixelRatio: 0.75, shadowMapSize: 0, ambientParticles: 30, backgroundDetail: 0 },
+  medium: { label: 'Medium', handInterval: 3, pixelRatio: 1, shadowMapSize: 512, ambientParticles: 70, backgroundDetail: 1 },
+  high: { label: 'High', handInterval: 2, pixelRatio: 2, shadowMapSize: 1024, ambientParticles: 120, backgroundDetail: 2 }
+};
+
+const QUALITY_TIER_ORDER = ['low', 'medium', 'high'];
+
+const GOVERNOR_TARGET_FPS = 55;
+const GOVERNOR_MAX_LATENCY = 100; // Tracking latency (ms) that also counts as struggling
+const GOVERNOR_SAMPLE_TIME = 2000; // Frame rate is measured over windows of this length (ms)
+const GOVERNOR_UPGRADE_DELAY = 10000; // Time at a tier before trying the next one up (ms)
+const GOVERNOR_MAX_UPGRADE_DELAY = 120000;
+
+/**
+ * Performance Governor
+ * Measures the render frame rate and steps the quality tier down when it
+ * falls below target (or tracking latency climbs), and back up after a
+ * quiet period. A tier that fails right after an upgrade doubles the wait
+ * before the next attempt, so the governor settles instead of oscillating.
+ */
+class PerformanceGovernor {
+  constructor(applyTier) {
+    this.applyTier = applyTier;
+    this.mode = 'auto'; // 'auto' or a fixed tier
+    this.tier = 'high';
+    this.fps = 0;
+    this.peakFps = 0; // Best rate measured at the lowest tier, i.e. what the display allows
+    this.frameRateCap = Infinity; // e.g. the broadcast frame rate
+
+    this.windowStart = 0;
+    this.windowFrames = 0;
+    this.lastFrameTime = 0;
+    this.lastChangeTime = 0;
+    this.lastChangeWasUpgrade = false;
+    this.upgradeDelay = GOVERNOR_UPGRADE_DELAY;
+  }
+
+  /**
+   * Frame rate to hold: the target, lowered for displays (or broadcast
+   * frame rates) that can't reach it
+   */
+  getTargetFps() {
+    const reachable = this.peakFps > 0 ? this.peakFps * 0.9 : Infinity;
+    return Math.min(GOVERNOR_TARGET_FPS, reachable, this.frameRateCap * 0.9);
+  }
+
+  /**
+   * Fix the tier, or hand it back to the governor with 'auto'
+   */
+  setMode(mode, now = performance.now()) {
+    this.mode = mode;
+    this.upgradeDelay = GOVERNOR_UPGRADE_DELAY;
+    this.setTier(mode === 'auto' ? this.tier : mode, now);
+  }
+
+  setTier(tier, now, upgrade = false) {
+    this.tier = tier;
+    this.lastChangeTime = now;
+    this.lastChangeWasUpgrade = upgrade;
+    this.windowStart = 0; // Measure the new tier from scratch
+    this.applyTier(tier);
+  }
+
+  /**
+   * Count a rendered frame; re-evaluates the tier once per sample window
+   * @param {number} now - performance.now()
+   * @param {number} latency - Latest tracking latency (ms)
+   */
+  recordFrame(now, latency) {
+    // Hidden tabs and long stalls (e.g. loading an avatar) say nothing about steady-state cost
+    if (!this.windowStart || now - this.lastFrameTime > 250) {
+      this.windowStart = now;
+      this.windowFrames = 0;
+    }
+    this.lastFrameTime = now;
+    this.windowFrames++;
+
+    const elapsed = now - this.windowStart;
+    if (elapsed < GOVERNOR_SAMPLE_TIME) return;
+
+    this.fps = (this.windowFrames - 1) * 1000 / elapsed;
+    if (this.tier === QUALITY_TIER_ORDER[0]) {
+      this.peakFps = Math.max(this.peakFps, this.fps);
+    }
+    this.windowStart = now;
+    this.windowFrames = 1;
+
+    if (this.mode === 'auto') {
+      this.evaluate(now, latency);
+    }
+  }
+
+  evaluate(now, latency) {
+    const index = QUALITY_TIER_ORDER.indexOf(this.tier);
+    const struggling = this.fps < this.getTargetFps() || latency > GOVERNOR_MAX_LATENCY;
+
+    if (struggling && index > 0) {
+      if (this.lastChangeWasUpgrade && now - this.lastChangeTime < this.upgradeDelay) {
+        this.upgradeDelay = Math.min(this.upgradeDelay * 2, GOVERNOR_MAX_UPGRADE_DELAY);
+      }
+      console.log(`[Governor] ${Math.round(this.fps)} fps, ${Math.round(latency)}ms latency: stepping down to ${QUALITY_TIER_ORDER[index - 1]}`);
+      this.setTier(QUALITY_TIER_ORDER[index - 1], now);
+    } else if (!struggling && index < QUALITY_TIER_ORDER.length - 1 && now - this.lastChangeTime >= this.upgradeDelay) {
+      console.log(`[Governor] ${Math.round(this.fps)} fps: trying ${QUALITY_TIER_ORDER[index + 1]}`);
+      this.setTier(QUALITY_TIER_ORDER[index + 1], now, true);
+    }
+  }
+}
+
+// ============================================================================
+// LIP SYNC
+// ============================================================================
+
+/**
+ * Oculus/Ready Player Me viseme set (morph targets are named viseme_<name>)
+ */
+const VISEMES = ['sil', 'PP', 'FF', 'TH', 'DD', 'kk', 'CH', 'SS', 'nn', 'RR', 'aa', 'E', 'I', 'O', 'U'];
+
+/**
+ * ARKit blendshapes each viseme folds into, for rigs (and VRM presets)
+ * without viseme_* targets
+ */
+const VISEME_BLENDSHAPES = {
+  PP: { mouthClose: 0.6, mouthPressLeft: 0.4, mouthPressRight: 0.4 },
+  FF: { mouthRollLower: 0.5, mouthUpperUpLeft: 0.2, mouthUpperUpRight: 0.2, jawOpen: 0.1 },
+  CH: { mouthFunnel: 0.4, mouthShrugUpper: 0.3, jawOpen: 0.15 },
+  SS: { mouthStretchLeft: 0.4, mouthStretchRight: 0.4, jawOpen: 0.05 },
+  nn: { mouthClose: 0.2, jawOpen: 0.1 },
+  aa: { jawOpen: 0.7 },
+  E: { mouthStretchLeft: 0.5, mouthStretchRight: 0.5, jawOpen: 0.3 },
+  I: { mouthLowerDownLeft: 0.5, mouthLowerDownRight: 0.5, mouthStretchLeft: 0.2, mouthStretchRight: 0.2, jawOpen: 0.15 },
+  O: { mouthFunnel: 0.7, jawOpen: 0.4 },
+  U: { mouthPucker: 0.8, jawOpen: 0.1 }
+};
+
+/**
+ * Mouth channels that lip sync blends with camera tracking
+ */
+const LIPSYNC_CHANNELS = [...new Set(['mouthOpen', ...Object.values(VISEME_BLENDSHAPES).flatMap(Object.keys)])];
+
+/**
+ * Typical formants (F1, F2, F3 in Hz) of the visemes recognised from the
+ * spectral envelope; the nasal murmur is a low resonance with little above it
+ */
+const VISEME_FORMANTS = {
+  aa: [750, 1250, 2600],
+  E: [520, 1850, 2600],
+  I: [320, 2300, 3000],
+  O: [520, 950, 2500],
+  U: [340, 800, 2400],
+  nn: [250, 1100, 2500]
+};
+
+/**
+ * Frequency bands the spectral envelope is compared over: at least 250 Hz
+ * wide so every band holds a harmonic of the voice
+ */
+const LIPSYNC_BANDS = (() => {
+  const bands = [];
+  for (let low = 150; low < 4000;) {
+    const high = Math.min(low + Math.max(250, low * 0.25), 4000);
+    bands.push([low, high]);
+    low = high;
+  }
+  return bands;
+})();
+
+const LIPSYNC_CAMERA_TRUST = 0.5; // Camera weight against audio confidence (0-1) in the mouth mix
+const LIPSYNC_FACE_TIMEOUT = 300; // ms without a face before lip sync drives the mouth alone
+const LIPSYNC_ATTACK_TIME = 0.02; // Viseme smoothing time constants (s): open quickly...
+const LIPSYNC_RELEASE_TIME = 0.06; // ...close a little slower
+
+/**
+ * Subtract the mean so envelopes compare by shape rather than loudness
+ */
+function centerValues(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  return values.map(value => value - mean);
+}
+
+/**
+ * Band levels (dB, mean removed) of a vocal tract with the given formants,
+ * driven by a source falling at 6 dB/octave
+ */
+function synthesizeEnvelope([f1, f2, f3], nasal = false) {
+  const resonance = (f, formant, bandwidth) =>
+    1 / Math.hypot(1 - (f / formant) ** 2, f * bandwidth / (formant * formant));
+
+  return centerValues(LIPSYNC_BANDS.map(([low, high]) => {
+    let power = 0;
+    let count = 0;
+    for (let f = low; f < high; f += 10) {
+      let amplitude = (150 / f) * resonance(f, f1, 80) * resonance(f, f2, 100) * resonance(f, f3, 150);
+      if (nasal && f > 500) amplitude *= 0.03;
+      power += amplitude * amplitude;
+      count++;
+    }
+    return 10 * Math.log10(power / count);
+  }));
+}
+
+const VISEME_ENVELOPES = Object.fromEntries(Object.entries(VISEME_FORMANTS)
+  .map(([viseme, formants]) => [viseme, synthesizeEnvelope(formants, viseme === 'nn')]));
+
+/**
+ * Estimate viseme weights from one magnitude spectrum: vowels and nasals by
+ * matching the spectral envelope against formant templates, sibilants from
+ * high-band energy
+ * @param {Float32Array} spectrum - AnalyserNode frequency data in dB
+ * @param {number} binHz - Width of one frequency bin
+ * @returns {{weights: Object<string, number>, clarity: number}} Weights and how well they fit (0-1)
+ */
+function estimateVisemes(spectrum, binHz) {
+  const band = (low, high) => {
+    let energy = 0;
+    let weighted = 0;
+    let count = 0;
+    const last = Math.min(Math.ceil(high / binHz) - 1, spectrum.length - 1);
+    for (let i = Math.ceil(low / binHz); i <= last; i++) {
+      const power = Math.pow(10, spectrum[i] / 10);
+      energy += power;
+      weighted += power * i * binHz;
+      count++;
+    }
+    return { energy, mean: count > 0 ? energy / count : 0, centroid: energy > 0 ? weighted / energy : 0 };
+  };
+
+  const voiced = band(80, 1000);
+  const hiss = band(3500, 8000);
+  const weights = {};
+  if (voiced.energy + hiss.energy <= 0) return { weights, clarity: 0 };
+
+  // ===== VOWELS AND NASALS =====
+  const voicing = voiced.energy / (voiced.energy + hiss.energy);
+  const envelope = centerValues(LIPSYNC_BANDS.map(([low, high]) => 10 * Math.log10(band(low, high).mean + 1e-20)));
+
+  let best = 0;
+  let total = 0;
+  for (const [viseme, template] of Object.entries(VISEME_ENVELOPES)) {
+    const squared = template.reduce((sum, level, i) => sum + (level - envelope[i]) ** 2, 0);
+    const distance = Math.sqrt(squared / template.length); // RMS difference in dB
+    weights[viseme] = Math.exp(-((distance / 8) ** 2));
+    best = Math.max(best, weights[viseme]);
+    total += weights[viseme];
+  }
+  Object.keys(VISEME_ENVELOPES).forEach((viseme) => {
+    weights[viseme] = total > 0 ? weights[viseme] / total * voicing : 0;
+  });
+
+  // ===== FRICATIVES =====
+  const sibilance = THREE.MathUtils.clamp((1 - voicing - 0.3) / 0.4, 0, 1);
+  if (hiss.centroid > 5500) {
+    weights.SS = sibilance;
+  } else {
+    weights.CH = sibilance * 0.8;
+    weights.FF = sibilance * 0.4;
+  }
+
+  return { weights, clarity: Math.max(best * voicing, sibilance) };
+}
+
+/**
+ * Fold viseme weights into ARKit blendshapes plus the landmark mouthOpen channel
+ */
+function foldVisemes(visemes) {
+  const blendshapes = {};
+  for (const [viseme, targets] of Object.entries(VISEME_BLENDSHAPES)) {
+    const weight = visemes[viseme] || 0;
+    if (weight === 0) continue;
+    for (const [channel, amount] of Object.entries(targets)) {
+      blendshapes[channel] = Math.min(1, (blendshapes[channel] || 0) + weight * amount);
+    }
+  }
+  blendshapes.mouthOpen = Math.min(1, (blendshapes.jawOpen || 0) / VISEME_BLENDSHAPES.aa.jawOpen);
+  return blendshapes;
+}
+
+/**
+ * Turn a getUserMedia error for the microphone into a message for the user
+ */
+function describeMicrophoneError(error) {
+  switch (error.name) {
+    case 'NotAllowedError':
+    case 'SecurityError':
+      return 'Microphone access is blocked. Allow the microphone for this site (usually from the icon in the address bar), then try again.';
+    case 'NotFoundError':
+    case 'OverconstrainedError':
+      return 'No microphone found. Connect one, then try again.';
+    case 'NotReadableError':
+    case 'AbortError':
+      return 'The microphone could not be started. It may be in use by another application.';
+    default:
+      return `Could not open the microphone: ${error.message}`;
+  }
+}
+
+/**
+ * Lip Sync
+ * Analyses the microphone with Web Audio and estimates visemes from its
+ * spectrum, with an adaptive noise floor for voice activity
+ */
+class LipSync {
+  constructor() {
+    this.stream = null;
+    this.audioContext = null;
+    this.analyser = null;
+    this.spectrum = null;
+    this.waveform = null;
+    this.reset();
+  }
+
+  reset() {
+    this.noiseFloor = -70; // dBFS
+    this.activity = 0;
+    this.plosive = 0;
+    this.confidence = 0;
+    this.visemes = Object.fromEntries(VISEMES.map(viseme => [viseme, 0]));
+    this.lastTime = 0;
+  }
+
+  isActive() {
+    return !!this.analyser;
+  }
+
+  async start() {
+    if (this.analyser) return;
+
+    try {
+      this.stream = await navigator.mediaDevices.getUserMedia({
+        audio: { echoCancellation: true, noiseSuppression: true, autoGainControl: true }
+      });
+    } catch (error) {
+      throw new Error(describeMicrophoneError(error));
+    }
+
+    this.audioContext = new AudioContext();
+    this.analyser = this.audioContext.createAnalyser();
+    this.analyser.fftSize = 2048;
+    this.analyser.smoothingTimeConstant = 0.3;
+    this.audioContext.createMediaStreamSource(this.stream).connect(this.analyser);
+
+    this.spectrum = new Float32Array(this.analyser.frequencyBinCount);
+    this.waveform = new Float32Array(this.analyser.fftSize);
+    this.reset();
+
+    console.log(`[LipSync] Listening at ${this.audioContext.sampleRate} Hz`);
+  }
+
+  stop() {
+    if (!this.analyser) return;
+
+    this.stream.getTracks().forEach(track => track.stop());
+    this.audioContext.close();
+    this.stream = null;
+    this.audioContext = null;
+    this.analyser = null;
+    this.reset();
+  }
+
+  /**
+   * Analyse the latest audio
+   * @returns {{visemes: Object<string, number>, blendshapes: Object<string, number>, confidence: number, activity: number}|null}
+   */
+  update(now) {
+    if (!this.analyser) return null;
+
+    const dt = this.lastTime ? Math.min((now - this.lastTime) / 1000, 0.1) : 0;
+    this.lastTime = now;
+
+    // ===== VOICE ACTIVITY =====
+    this.analyser.getFloatTimeDomainData(this.waveform);
+    let sum = 0;
+    for (let i = 0; i < this.waveform.length; i++) sum += this.waveform[i] * this.waveform[i];
+    const level = 10 * Math.log10(sum / this.waveform.length + 1e-12);
+
+    // The floor drops straight to quiet passages and creeps back up slowly
+    this.noiseFloor = level < this.noiseFloor ? level : Math.min(this.noiseFloor + 2 * dt, -30);
+    const previousActivity = this.activity;
+    this.activity = THREE.MathUtils.clamp((level - this.noiseFloor - 8) / 20, 0, 1);
+
+    // A burst out of silence reads as a plosive (p, b, m)
+    if (previousActivity < 0.15 && this.activity > 0.5) {
+      this.plosive = 1;
+    }
+    this.plosive *= Math.exp(-dt / 0.06);
+
+    // ===== VISEMES =====
+    this.analyser.getFloatFrequencyData(this.spectrum);
+    const { weights, clarity } = estimateVisemes(this.spectrum, this.audioContext.sampleRate / this.analyser.fftSize);
+
+    VISEMES.forEach((viseme) => {
+      let target = (weights[viseme] || 0) * this.activity;
+      if (viseme === 'PP') target = Math.max(target, this.plosive);
+      if (viseme === 'sil') target = 1 - this.activity;
+
+      // Open quickly, close a little slower
+      const current = this.visemes[viseme];
+      this.visemes[viseme] = current + (target - current) * smoothingFactor(dt, target > current ? LIPSYNC_ATTACK_TIME : LIPSYNC_RELEASE_TIME);
+    });
+    this.confidence += (this.activity * clarity - this.confidence) * smoothingFactor(dt, LIPSYNC_RELEASE_TIME);
+
+    return {
+      visemes: this.visemes,
+      blendshapes: foldVisemes(this.visemes),
+      confidence: this.confidence,
+      activity: this.activity
+    };
+  }
+
+  /**
+   * Strongest viseme other than silence, for display
+   */
+  getDominantViseme() {
+    return VISEMES.slice(1).reduce((best, viseme) => (this.visemes[viseme] > this.visemes[best] ? viseme : best), 'aa');
+  }
+}
+
+// ============================================================================
+// CALIBRATION
+// ============================================================================
+
+/**
+ * Calibration Profile Store
+ * Persists named per-user calibration profiles in localStorage
+ */
+class CalibrationProfileStore {
+  constructor() {
+    this.storageKey = 'avatar.calibrationProfiles';
+    this.activeKey = 'avatar.activeCalibrationProfile';
+  }
+
+  load() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+    } catch (error) {
+      console.warn('[Calibration] Could not read saved profiles:', error.message);
+      return {};
+    }
+  }
+
+  getNames() {
+    return Object.keys(this.load()).sort();
+  }
+
+  get(name) {
+    return this.load()[name] || null;
+  }
+
+  save(profile) {
+    const profiles = this.load();
+    profiles[profile.name] = profile;
+    localStorage.setItem(this.storageKey, JSON.stringify(profiles));
+  }
+
+  remove(name) {
+    const profiles = this.load();
+    delete profiles[name];
+    localStorage.setItem(this.storageKey, JSON.stringify(profiles));
+    if (this.getActiveName() === name) {
+      this.setActiveName(null);
+    }
+  }
+
+  getActiveName() {
+    return localStorage.getItem(this.activeKey);
+  }
+
+  setActiveName(name) {
+    if (name) {
+      localStorage.setItem(this.activeKey, name);
+    } else {
+      localStorage.removeItem(this.activeKey);
+    }
+  }
+}
+
+/**
+ * Calibration Wizard
+ * Walks the user through a set of poses, samples expression channels and
+ * blendshapes for each, and turns them into a calibration profile
+ */
+class CalibrationWizard {
+  constructor(onComplete) {
+    this.onComplete = onComplete;
+
+    this.steps = [
+      { id: 'neutral', instruction: '😐 Relax your face and look at the camera' },
+      { id: 'eyesClosed', instruction: '😌 Gently close both eyes' },
+      { id: 'mouthOpen', instruction: '😮 Open your mouth as wide as you can' },
+      { id: 'smile', instruction: '😁 Give a big smile' },
+      { id: 'browsRaised', instruction: '🤨 Raise your eyebrows' }
+    ];
+    this.countdownSeconds = 3;
+    this.captureDuration = 1500; // ms of samples per pose
+
+    this.stepIndex = 0;
+    this.captures = {};
+    this.samples = [];
+    this.capturing = false;
+    this.timer = null;
+
+    // UI elements
+    this.overlayEl = document.getElementById('calibration-wizard');
+    this.stepEl = document.getElementById('calibration-step');
+    this.instructionEl = document.getElementById('calibration-instruction');
+    this.countdownEl = document.getElementById('calibration-countdown');
+    this.saveEl = document.getElementById('calibration-save');
+    this.nameInputEl = document.getElementById('calibration-name');
+    this.nextButton = document.getElementById('calibration-next');
+    this.cancelButton = document.getElementById('calibration-cancel');
+
+    this.nextButton.addEventListener('click', () => this.handleNext());
+    this.cancelButton.addEventListener('click', () => this.close());
+  }
+
+  start() {
+    this.stepIndex = 0;
+    this.captures = {};
+    this.saveEl.classList.add('hidden');
+    this.nameInputEl.value = '';
+    this.overlayEl.classList.remove('hidden');
+    this.showStep();
+  }
+
+  close() {
+    clearInterval(this.timer);
+    this.capturing = false;
+    this.overlayEl.classList.add('hidden');
+  }
+
+  isCapturing() {
+    return this.capturing;
+  }
+
+  /**
+   * Record one frame of tracking data while a pose is being captured
+   * @param {Object} channels - Raw channels from measureExpressionChannels
+   * @param {Array|null} blendshapes - Blendshape categories
+   */
+  addSample(channels, blendshapes) {
+    if (!this.capturing) return;
+    this.samples.push({ channels, blendshapes });
+  }
+
+  showStep(message = '') {
+    const step = this.steps[this.stepIndex];
+    this.stepEl.textContent = `Step ${this.stepIndex + 1} of ${this.steps.length}`;
+    this.instructionEl.textContent = step.instruction;
+    this.countdownEl.textContent = message;
+    this.nextButton.textContent = 'Capture';
+    this.nextButton.disabled = false;
+  }
+
+  handleNext() {
+    if (this.stepIndex >= this.steps.length) {
+      this.finish();
+      return;
+    }
+
+    this.nextButton.disabled = true;
+    let remaining = this.countdownSeconds;
+    this.countdownEl.textContent = remaining;
+
+    this.timer = setInterval(() => {
+      remaining--;
+      if (remaining > 0) {
+        this.countdownEl.textContent = remaining;
+        return;
+      }
+
+      clearInterval(this.timer);
+      this.countdownEl.textContent = 'Hold it...';
+      this.samples = [];
+      this.capturing = true;
+      this.timer = setTimeout(() => this.completeCapture(), this.captureDuration);
+    }, 1000);
+  }
+
+  completeCapture() {
+    this.capturing = false;
+
+    if (this.samples.length === 0) {
+      this.showStep('No face detected - try again');
+      return;
+    }
+
+    this.captures[this.steps[this.stepIndex].id] = this.averageSamples(this.samples);
+    this.stepIndex++;
+
+    if (this.stepIndex < this.steps.length) {
+      this.showStep();
+      return;
+    }
+
+    // All poses captured - ask for a profile name
+    this.stepEl.textContent = 'Done!';
+    this.instructionEl.textContent = 'Name this profile to save it';
+    this.countdownEl.textContent = '';
+    this.saveEl.classList.remove('hidden');
+    this.nameInputEl.focus();
+    this.nextButton.textContent = 'Save';
+    this.nextButton.disabled = false;
+  }
+
+  /**
+   * Average channels and blendshape scores over a capture window
+   */
+  averageSamples(samples) {
+    const channels = {};
+    const blendshapes = {};
+    let blendshapeSamples = 0;
+
+    samples.forEach((sample) => {
+      for (const [key, value] of Object.entries(sample.channels)) {
+        channels[key] = (channels[key] || 0) + value / samples.length;
+      }
+      if (sample.blendshapes) {
+        blendshapeSamples++;
+        sample.blendshapes.forEach(({ categoryName, score }) => {
+          blendshapes[categoryName] = (blendshapes[categoryName] || 0) + score;
+        });
+      }
+    });
+
+    for (const key of Object.keys(blendshapes)) {
+      blendshapes[key] /= blendshapeSamples;
+    }
+
+    return { channels, blendshapes };
+  }
+
+  /**
+   * Turn the captured poses into min/max ranges for every expression channel
+   */
+  buildProfile(name) {
+    const { neutral, eyesClosed, mouthOpen, smile, browsRaised } = this.captures;
+    const defaults = DEFAULT_CALIBRATION.channels;
+
+    // Fall back to the default range when a pose barely moved the channel
+    const range = (key, min, max) => (
+      Math.abs(max - min) > 1e-3 ? { min, max } : { ...defaults[key] }
+    );
+
+    const channels = {
+      eyeLeft: range('eyeLeft', eyesClosed.channels.eyeLeft, neutral.channels.eyeLeft),
+      eyeRight: range('eyeRight', eyesClosed.channels.eyeRight, neutral.channels.eyeRight),
+      mouthOpen: range('mouthOpen', neutral.channels.mouthOpen, mouthOpen.channels.mouthOpen),
+      smile: range('smile', neutral.channels.smile, smile.channels.smile),
+      browRaise: range('browRaise', neutral.channels.browRaise, browsRaised.channels.browRaise)
+    };
+
+    // Blendshapes rest at their neutral score and peak at the strongest pose;
+    // categories no pose exercised keep their full range above rest
+    const blendshapes = {};
+    for (const [category, rest] of Object.entries(neutral.blendshapes)) {
+      const peak = Math.max(...Object.values(this.captures).map(c => c.blendshapes[category] ?? 0));
+      blendshapes[category] = { min: rest, max: peak - rest > 0.2 ? peak : 1 };
+    }
+
+    return { name, createdAt: new Date().toISOString(), channels, blendshapes };
+  }
+
+  finish() {
+    const name = this.nameInputEl.value.trim();
+    if (!name) {
+      this.countdownEl.textContent = 'Please enter a name';
+      return;
+    }
+
+    const profile = this.buildProfile(name);
+    this.close();
+    this.onComplete(profile);
+  }
+}
+
+// ============================================================================
+// MORPH EDITOR
+// ============================================================================
+
+/**
+ * Morph Editor Panel
+ * Lists every morph target on the current avatar with a live slider and
+ * the channel driving it, and edits/imports/exports the retarget map as JSON
+ */
+class MorphEditorPanel {
+  constructor(onRetargetMapChange) {
+    this.onRetargetMapChange = onRetargetMapChange;
+    this.controller = null;
+    this.rows = [];
+    this.lastUpdateTime = 0;
+
+    // UI elements
+    this.panelEl = document.getElementById('morph-panel');
+    this.listEl = document.getElementById('morph-list');
+    this.jsonEl = document.getElementById('retarget-json');
+    this.errorEl = document.getElementById('retarget-error');
+    this.fileInput = document.getElementById('retarget-file-input');
+
+    document.getElementById('retarget-apply').addEventListener('click', () => this.applyJSON(this.jsonEl.value));
+    document.getElementById('retarget-reset').addEventListener('click', () => this.setRetargetMap(new MorphRetargetMap()));
+    document.getElementById('retarget-export').addEventListener('click', () => this.exportJSON());
+    document.getElementById('retarget-import').addEventListener('click', () => this.fileInput.click());
+    document.getElementById('morph-release').addEventListener('click', () => this.releaseOverrides());
+    this.fileInput.addEventListener('change', async () => {
+      const file = this.fileInput.files[0];
+      if (file) this.applyJSON(await file.text());
+      this.fileInput.value = '';
+    });
+  }
+
+  setVisible(visible) {
+    this.panelEl.classList.toggle('hidden', !visible);
+  }
+
+  isVisible() {
+    return !this.panelEl.classList.contains('hidden');
+  }
+
+  /**
+   * Rebuild the morph list for a (new) avatar controller
+   */
+  setController(controller) {
+    this.controller = controller;
+    this.rows = [];
+    this.listEl.innerHTML = '';
+
+    if (!controller) return;
+    this.jsonEl.value = JSON.stringify(controller.retargetMap.toJSON(), null, 2);
+
+    // Unique morph names across meshes, each with every mesh index it lives at
+    const targets = new Map();
+    controller.morphMeshes.forEach((mesh) => {
+      for (const [name, index] of Object.entries(mesh.morphTargetDictionary)) {
+        if (!targets.has(name)) targets.set(name, []);
+        targets.get(name).push({ mesh, index });
+      }
+    });
+
+    if (targets.size === 0) {
+      this.listEl.textContent = controller.vrm
+        ? 'VRM avatars are driven through their expressions'
+        : 'No morph targets found';
+      return;
+    }
+
+    const channels = ['', ...LANDMARK_CHANNELS, ...ARKIT_BLENDSHAPES];
+    for (const [name, locations] of targets) {
+      const row = document.createElement('div');
+      row.className = 'morph-row';
+
+      const label = document.createElement('span');
+      label.className = 'morph-name';
+      label.textContent = name;
+      label.title = name;
+
+      const slider = document.createElement('input');
+      slider.type = 'range';
+      slider.min = 0;
+      slider.max = 1;
+      slider.step = 0.01;
+      slider.addEventListener('input', () => {
+        controller.setMorphOverride(name, parseFloat(slider.value));
+        row.classList.add('pinned');
+      });
+
+      const select = document.createElement('select');
+      select.className = 'control-select';
+      channels.forEach((channel) => {
+        const option = document.createElement('option');
+        option.value = channel;
+        option.textContent = channel || '—';
+        select.appendChild(option);
+      });
+      select.value = controller.retargetMap.getChannelForTarget(name);
+      select.addEventListener('change', () => {
+        const retargetMap = new MorphRetargetMap(controller.retargetMap.toJSON());
+        retargetMap.setBinding(name, select.value);
+        this.setRetargetMap(retargetMap);
+      });
+
+      row.append(label, slider, select);
+      this.listEl.appendChild(row);
+      this.rows.push({ name, row, slider, select, locations });
+    }
+  }
+
+  /**
+   * Refresh sliders with live influences (throttled)
+   */
+  update() {
+    if (!this.controller || !this.isVisible()) return;
+
+    const now = Date.now();
+    if (now - this.lastUpdateTime < 100) return;
+    this.lastUpdateTime = now;
+
+    this.rows.forEach(({ name, slider, locations }) => {
+      if (this.controller.morphOverrides.has(name)) return;
+      const { mesh, index } = locations[0];
+      slider.value = mesh.morphTargetInfluences[index];
+    });
+  }
+
+  releaseOverrides() {
+    if (!this.controller) return;
+    this.rows.forEach(({ name, row }) => {
+      this.controller.setMorphOverride(name, null);
+      row.classList.remove('pinned');
+    });
+  }
+
+  applyJSON(text) {
+    try {
+      this.setRetargetMap(MorphRetargetMap.fromJSON(text));
+    } catch (error) {
+      this.errorEl.textContent = `⚠️ ${error.message}`;
+    }
+  }
+
+  setRetargetMap(retargetMap) {
+    this.errorEl.textContent = '';
+    this.jsonEl.value = JSON.stringify(retargetMap.toJSON(), null, 2);
+    this.onRetargetMapChange(retargetMap);
+
+    this.rows.forEach(({ name, select }) => {
+      select.value = retargetMap.getChannelForTarget(name);
+    });
+  }
+
+  exportJSON() {
+    if (!this.controller) return;
+    const json = JSON.stringify(this.controller.retargetMap.toJSON(), null, 2);
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    link.download = 'retarget-map.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+}
+
+// ============================================================================
+// GESTURE RECOGNITION
+// ============================================================================
+
+/**
+ * Directions for gesture orientation rules, as seen in the camera image
+ */
+const GESTURE_DIRECTIONS = {
+  up: new THREE.Vector3(0, 1, 0),
+  down: new THREE.Vector3(0, -1, 0),
+  left: new THREE.Vector3(-1, 0, 0),
+  right: new THREE.Vector3(1, 0, 0),
+  forward: new THREE.Vector3(0, 0, 1),
+  back: new THREE.Vector3(0, 0, -1)
+};
+
+const GESTURE_FINGER_STATES = ['extended', 'curled'];
+
+/**
+ * Built-in gestures. Each one is a shape rule (pose: finger states, pointing
+ * directions, fingertip distances in palm lengths; or template: recorded
+ * hand shapes), a motion rule over the wrist history, or both.
+ */
+const DEFAULT_GESTURES = [
+  {
+    id: 'wave',
+    label: 'Wave',
+    emoji: '👋',
+    motion: { axis: 'x', window: 800, minRange: 0.12, maxCrossRange: 0.15, oscillations: 2 }
+  },
+  {
+    id: 'thumbsUp',
+    label: 'Thumbs up',
+    emoji: '👍',
+    pose: {
+      fingers: { thumb: 'extended', index: 'curled', middle: 'curled', ring: 'curled', little: 'curled' },
+      directions: { thumb: 'up' }
+    }
+  },
+  {
+    id: 'peace',
+    label: 'Peace sign',
+    emoji: '✌️',
+    pose: { fingers: { index: 'extended', middle: 'extended', ring: 'curled', little: 'curled' } }
+  },
+  {
+    id: 'openPalm',
+    label: 'Open palm',
+    emoji: '🖐️',
+    hold: 600,
+    pose: {
+      fingers: { thumb: 'extended', index: 'extended', middle: 'extended', ring: 'extended', little: 'extended' },
+      directions: { palm: 'up' }
+    }
+  },
+  {
+    id: 'point',
+    label: 'Point',
+    emoji: '☝️',
+    pose: { fingers: { index: 'extended', middle: 'curled', ring: 'curled', little: 'curled' } }
+  },
+  {
+    id: 'fist',
+    label: 'Fist',
+    emoji: '✊',
+    pose: { fingers: { thumb: 'curled', index: 'curled', middle: 'curled', ring: 'curled', little: 'curled' } }
+  },
+  {
+    id: 'pinch',
+    label: 'Pinch',
+    emoji: '🤏',
+    pose: { distances: [{ from: 4, to: 8, max: 0.3 }] }
+  }
+];
+
+/**
+ * Confidence ramps: 0.5 at the threshold, saturating at 0 and 1
+ */
+function rampAbove(value, threshold) {
+  return THREE.MathUtils.clamp(0.5 + (value - threshold) / threshold, 0, 1);
+}
+
+function rampBelow(value, threshold) {
+  return THREE.MathUtils.clamp(0.5 + (threshold - value) / threshold, 0, 1);
+}
+
+/**
+ * Measure a tracked hand for gesture rules: finger extension (0 curled to
+ * 1 straight), pointing directions, palm-scaled landmark positions and a
+ * shape vector for template matching (left hands mirrored onto right)
+ * @param {Object} hand - Entry from HandTracker.getHands()
+ */
+function measureHand(hand) {
+  const points = hand.worldLandmarks.map(p => new THREE.Vector3(p.x, -p.y, -p.z));
+  const wrist = points[HAND_PALM_LANDMARKS.wrist];
+  const palmSize = wrist.distanceTo(points[HAND_PALM_LANDMARKS.middle]) || 1;
+
+  const extension = {};
+  Object.entries(HAND_FINGERS).forEach(([finger, { landmarks }]) => {
+    const [base, joint, , tip] = landmarks.map(index => points[index]);
+    if (finger === 'Thumb') {
+      // The thumb barely bends, so judge whether its tip reaches away from the
+      // little-finger knuckle or tucks across the palm
+      const little = points[HAND_PALM_LANDMARKS.little];
+      const reach = tip.distanceTo(little) / joint.distanceTo(little);
+      extension.thumb = THREE.MathUtils.clamp((reach - 0.9) / 0.5, 0, 1);
+    } else {
+      // Straight fingers keep heading the way the first segment points
+      const first = new THREE.Vector3().subVectors(joint, base).normalize();
+      const rest = new THREE.Vector3().subVectors(tip, joint).normalize();
+      extension[finger.toLowerCase()] = THREE.MathUtils.clamp((first.dot(rest) + 0.2) / 1.2, 0, 1);
+    }
+  });
+
+  const direction = (from, to) => new THREE.Vector3().subVectors(points[to], points[from]).normalize();
+  const directions = {
+    palm: direction(HAND_PALM_LANDMARKS.wrist, HAND_PALM_LANDMARKS.middle),
+    thumb: direction(2, 4),
+    index: direction(5, 8)
+  };
+
+  const mirror = hand.side === 'left' ? -1 : 1;
+  const shape = points.flatMap(p => [
+    mirror * (p.x - wrist.x) / palmSize,
+    (p.y - wrist.y) / palmSize,
+    (p.z - wrist.z) / palmSize
+  ]);
+
+  return { points, palmSize, extension, directions, shape };
+}
+
+/**
+ * Gesture Recognizer
+ * Registry of declarative gestures scored against tracked hands every frame.
+ * Shape gestures compete per hand (only the best match can fire); motion
+ * gestures are scored on their own. Each gesture fires once per onset after
+ * its hold duration, then waits out its cooldown.
+ */
+class GestureRecognizer {
+  constructor(gestures = DEFAULT_GESTURES) {
+    this.gestures = new Map();
+    this.historyDuration = 1500; // ms of wrist history kept per hand
+    this.wristHistory = { left: [], right: [] };
+    this.states = new Map();
+    this.lastFired = new Map();
+    this.confidences = new Map();
+
+    this.setGestures(gestures);
+  }
+
+  /**
+   * Check a gesture definition
+   * @throws {Error} If the definition is incomplete or uses unknown rules
+   */
+  static validate(gesture) {
+    if (!gesture || typeof gesture.id !== 'string' || !gesture.id) {
+      throw new Error('Gesture needs an "id"');
+    }
+    const { id, pose, motion, template } = gesture;
+    if (!pose && !motion && !template) {
+      throw new Error(`Gesture "${id}" needs a pose, motion or template rule`);
+    }
+
+    if (pose) {
+      for (const [finger, state] of Object.entries(pose.fingers || {})) {
+        if (!HAND_FINGERS[finger.charAt(0).toUpperCase() + finger.slice(1)]) {
+          throw new Error(`Unknown finger "${finger}" in gesture "${id}"`);
+        }
+        if (!GESTURE_FINGER_STATES.includes(state)) {
+          throw new Error(`Finger "${finger}" in gesture "${id}" must be extended or curled`);
+        }
+      }
+      for (const [part, direction] of Object.entries(pose.directions || {})) {
+        if (!['palm', 'thumb', 'index'].includes(part) || !GESTURE_DIRECTIONS[direction]) {
+          throw new Error(`Unknown direction rule "${part}: ${direction}" in gesture "${id}"`);
+        }
+      }
+      (pose.distances || []).forEach(({ from, to, max }) => {
+        if (!(from >= 0 && from <= 20 && to >= 0 && to <= 20 && max > 0)) {
+          throw new Error(`Gesture "${id}" has a distance rule without landmarks 0-20 and a positive max`);
+        }
+      });
+    }
+
+    if (motion && (!['x', 'y'].includes(motion.axis) || !(motion.minRange > 0))) {
+      throw new Error(`Motion in gesture "${id}" needs an x/y axis and a positive minRange`);
+    }
+
+    if (template && (!Array.isArray(template.samples) || template.samples.length === 0 ||
+                     template.samples.some(sample => sample.length !== 63))) {
+      throw new Error(`Template in gesture "${id}" needs samples of 21 landmarks`);
+    }
+  }
+
+  /**
+   * Replace the registry, keeping cooldowns of gestures that stay
+   */
+  setGestures(gestures) {
+    this.gestures.clear();
+    this.states.clear();
+    gestures.forEach(gesture => this.register(gesture));
+  }
+
+  register(gesture) {
+    GestureRecognizer.validate(gesture);
+    this.gestures.set(gesture.id, {
+      label: gesture.id,
+      emoji: '✨',
+      enabled: true,
+      hold: gesture.motion ? 0 : 300,
+      cooldown: 2000,
+      minConfidence: 0.6,
+      ...gesture
+    });
+  }
+
+  unregister(id) {
+    this.gestures.delete(id);
+  }
+
+  setEnabled(id, enabled) {
+    const gesture = this.gestures.get(id);
+    if (gesture) gesture.enabled = enabled;
+  }
+
+  /**
+   * Best confidence of a gesture across hands in the last update
+   */
+  getConfidence(id) {
+    return this.confidences.get(id) || 0;
+  }
+
+  /**
+   * Score every gesture against the current hands
+   * @param {Array} hands - From HandTracker.getHands()
+   * @param {number} now - Timestamp in ms
+   * @returns {Array<{id: string, label: string, emoji: string, side: string, confidence: number}>} Gestures that fired
+   */
+  update(hands, now) {
+    const fired = [];
+    const seen = new Set();
+    this.confidences.clear();
+
+    hands.forEach((hand) => {
+      if (!hand.worldLandmarks || seen.has(hand.side)) return;
+      seen.add(hand.side);
+
+      const history = this.wristHistory[hand.side];
+      history.push({ x: hand.landmarks[0].x, y: hand.landmarks[0].y, time: now });
+      while (history.length > 0 && now - history[0].time > this.historyDuration) {
+        history.shift();
+      }
+
+      const measurements = measureHand(hand);
+      const shapeScores = [];
+      for (const gesture of this.gestures.values()) {
+        if (!gesture.enabled) continue;
+
+        const confidence = this.score(gesture, measurements, hand.side, now);
+        this.confidences.set(gesture.id, Math.max(confidence, this.getConfidence(gesture.id)));
+
+        if (gesture.motion) {
+          this.advance(gesture, hand.side, confidence, now, fired);
+        } else {
+          shapeScores.push({ gesture, confidence });
+        }
+      }
+
+      // Shape gestures are exclusive: only the best match on this hand can be active
+      const best = shapeScores.reduce((top, entry) => (!top || entry.confidence > top.confidence ? entry : top), null);
+      shapeScores.forEach(({ gesture, confidence }) => {
+        this.advance(gesture, hand.side, gesture === best.gesture ? confidence : 0, now, fired);
+      });
+    });
+
+    // Hands that left the frame drop their history and active gestures
+    ['left', 'right'].forEach((side) => {
+      if (seen.has(side)) return;
+      this.wristHistory[side] = [];
+      this.gestures.forEach(gesture => this.advance(gesture, side, 0, now, fired));
+    });
+
+    return fired;
+  }
+
+  /**
+   * Hold/cooldown state machine for one gesture on one hand
+   */
+  advance(gesture, side, confidence, now, fired) {
+    const key = `${gesture.id}:${side}`;
+    const state = this.states.get(key) || { since: null, latched: false };
+    this.states.set(key, state);
+
+    if (confidence < gesture.minConfidence) {
+      state.since = null;
+      state.latched = false;
+      return;
+    }
+
+    if (state.since === null) state.since = now;
+    if (state.latched || now - state.since < gesture.hold) return;
+    if (now - (this.lastFired.get(gesture.id) ?? -Infinity) < gesture.cooldown) return;
+
+    state.latched = true;
+    this.lastFired.set(gesture.id, now);
+    if (gesture.motion) {
+      this.wristHistory[side] = [];
+    }
+
+    const { id, label, emoji } = gesture;
+    console.log(`[Gesture] ${label} (${side} hand, ${(confidence * 100).toFixed(0)}%)`);
+    fired.push({ id, label, emoji, side, confidence });
+  }
+
+  /**
+   * Confidence of a gesture: the weakest of its rules
+   */
+  score(gesture, measurements, side, now) {
+    const scores = [];
+    if (gesture.pose) scores.push(this.scorePose(gesture.pose, measurements));
+    if (gesture.template) scores.push(this.scoreTemplate(gesture.template, measurements));
+    if (gesture.motion) scores.push(this.scoreMotion(gesture.motion, side, now));
+    return Math.min(...scores);
+  }
+
+  scorePose(pose, { extension, directions, points, palmSize }) {
+    const scores = [1];
+
+    for (const [finger, state] of Object.entries(pose.fingers || {})) {
+      const value = extension[finger];
+      scores.push(state === 'extended' ? rampAbove(value, 0.5) : rampBelow(value, 0.5));
+    }
+    for (const [part, direction] of Object.entries(pose.directions || {})) {
+      scores.push(rampAbove(directions[part].dot(GESTURE_DIRECTIONS[direction]), 0.5));
+    }
+    (pose.distances || []).forEach(({ from, to, max }) => {
+      scores.push(rampBelow(points[from].distanceTo(points[to]) / palmSize, max));
+    });
+
+    return Math.min(...scores);
+  }
+
+  /**
+   * Nearest-neighbour match: mean landmark distance (in palm lengths) to the closest sample
+   */
+  scoreTemplate(template, { shape }) {
+    let nearest = Infinity;
+    template.samples.forEach((sample) => {
+      let total = 0;
+      for (let i = 0; i < shape.length; i += 3) {
+        total += Math.hypot(shape[i] - sample[i], shape[i + 1] - sample[i + 1], shape[i + 2] - sample[i + 2]);
+      }
+      nearest = Math.min(nearest, total / (shape.length / 3));
+    });
+    return rampBelow(nearest, template.threshold || 0.25);
+  }
+
+  /**
+   * Trajectory rule over the wrist history (normalized image coordinates)
+   */
+  scoreMotion(motion, side, now) {
+    const window = motion.window || 1000;
+    const history = this.wristHistory[side].filter(point => now - point.time <= window);
+    if (history.length < 4) return 0;
+
+    const values = history.map(point => point[motion.axis]);
+    const crossValues = history.map(point => point[motion.axis === 'x' ? 'y' : 'x']);
+    const scores = [];
+
+    if (motion.direction) {
+      scores.push(rampAbove((values[values.length - 1] - values[0]) * Math.sign(motion.direction), motion.minRange));
+    } else {
+      scores.push(rampAbove(Math.max(...values) - Math.min(...values), motion.minRange));
+    }
+
+    if (motion.maxCrossRange) {
+      scores.push(rampBelow(Math.max(...crossValues) - Math.min(...crossValues), motion.maxCrossRange));
+    }
+
+    if (motion.oscillations) {
+      let changes = 0;
+      let lastDirection = 0;
+      for (let i = 1; i < values.length; i++) {
+        const delta = values[i] - values[i - 1];
+        if (Math.abs(delta) < 0.005) continue; // Ignore jitter
+        const direction = Math.sign(delta);
+        if (lastDirection !== 0 && direction !== lastDirection) changes++;
+        lastDirection = direction;
+      }
+      scores.push(changes >= motion.oscillations ? 1 : 0);
+    }
+
+    return Math.min(...scores);
+  }
+}
+
+/**
+ * Facial events that can trigger actions alongside gestures
+ */
+const FACE_EVENTS = [
+  { id: 'doubleBlink', label: 'Double blink', emoji: '😉' },
+  { id: 'mouthHold', label: 'Mouth held open', emoji: '😮' },
+  { id: 'nod', label: 'Head nod', emoji: '🙆' },
+  { id: 'shake', label: 'Head shake', emoji: '🙅' }
+];
+
+/**
+ * Face Event Detector
+ * Turns the tracked face state (AvatarController.getFaceState) into
+ * discrete events: double blinks, a mouth held open, nods and shakes
+ */
+class FaceEventDetector {
+  constructor() {
+    this.closedThreshold = 0.3; // Eye openness below this counts as closed
+    this.openThreshold = 0.6;
+    this.maxBlinkDuration = 400; // ms; longer closures aren't blinks
+    this.doubleBlinkWindow = 700; // ms between the two blinks
+    this.mouthOpenThreshold = 0.6;
+    this.mouthHoldDuration = 1000;
+    this.headWindow = 1000; // ms of head rotation history for nods/shakes
+    this.headMinRange = 0.25; // radians
+    this.cooldown = 1500;
+
+    this.reset();
+  }
+
+  reset() {
+    this.eyesClosedSince = null;
+    this.lastBlinkTime = -Infinity;
+    this.mouthOpenSince = null;
+    this.mouthLatched = false;
+    this.headHistory = [];
+    this.lastFired = new Map();
+  }
+
+  /**
+   * @param {Object} state - From AvatarController.getFaceState()
+   * @param {number} now - Timestamp in ms
+   * @returns {Array<{id: string, label: string, emoji: string}>} Events that fired
+   */
+  update({ blink, mouthOpen, headRotation }, now) {
+    const events = [];
+    const fire = (id) => {
+      if (now - (this.lastFired.get(id) ?? -Infinity) < this.cooldown) return;
+      this.lastFired.set(id, now);
+      console.log(`[FaceEvent] ${id}`);
+      events.push(FACE_EVENTS.find(event => event.id === id));
+    };
+
+    // Double blink: two short closures of both eyes in quick succession
+    const openness = Math.max(blink.left, blink.right);
+    if (openness < this.closedThreshold && this.eyesClosedSince === null) {
+      this.eyesClosedSince = now;
+    } else if (openness > this.openThreshold && this.eyesClosedSince !== null) {
+      if (now - this.eyesClosedSince <= this.maxBlinkDuration) {
+        if (now - this.lastBlinkTime <= this.doubleBlinkWindow) {
+          fire('doubleBlink');
+          this.lastBlinkTime = -Infinity;
+        } else {
+          this.lastBlinkTime = now;
+        }
+      }
+      this.eyesClosedSince = null;
+    }
+
+    // Mouth held open, once per opening
+    if (mouthOpen > this.mouthOpenThreshold) {
+      if (this.mouthOpenSince === null) this.mouthOpenSince = now;
+      if (!this.mouthLatched && now - this.mouthOpenSince >= this.mouthHoldDuration) {
+        this.mouthLatched = true;
+        fire('mouthHold');
+      }
+    } else if (mouthOpen < this.mouthOpenThreshold / 2) {
+      this.mouthOpenSince = null;
+      this.mouthLatched = false;
+    }
+
+    // Nod / shake: back-and-forth pitch or yaw while the other axis stays put
+    this.headHistory.push({ pitch: headRotation.pitch, yaw: headRotation.yaw, time: now });
+    while (now - this.headHistory[0].time > this.headWindow) {
+      this.headHistory.shift();
+    }
+    const pitchSwing = this.measureSwing('pitch');
+    const yawSwing = this.measureSwing('yaw');
+    if (pitchSwing.range > this.headMinRange && pitchSwing.reversals >= 2 && yawSwing.range < pitchSwing.range / 2) {
+      fire('nod');
+      this.headHistory = [];
+    } else if (yawSwing.range > this.headMinRange && yawSwing.reversals >= 2 && pitchSwing.range < yawSwing.range / 2) {
+      fire('shake');
+      this.headHistory = [];
+    }
+
+    return events;
+  }
+
+  /**
+   * Range and number of direction reversals of one rotation axis over the history
+   */
+  measureSwing(axis) {
+    const values = this.headHistory.map(entry => entry[axis]);
+    let reversals = 0;
+    let lastDirection = 0;
+    for (let i = 1; i < values.length; i++) {
+      const delta = values[i] - values[i - 1];
+      if (Math.abs(delta) < 0.01) continue; // Ignore jitter
+      const direction = Math.sign(delta);
+      if (lastDirection !== 0 && direction !== lastDirection) reversals++;
+      lastDirection = direction;
+    }
+    return { range: values.length > 0 ? Math.max(...values) - Math.min(...values) : 0, reversals };
+  }
+}
+
+/**
+ * Gesture Store
+ * Persists user-defined (recorded or imported) gestures and which
+ * gestures are switched off in localStorage
+ */
+class GestureStore {
+  constructor() {
+    this.storageKey = 'avatar.gestures';
+  }
+
+  load() {
+    try {
+      const data = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+      return { custom: data.custom || [], disabled: data.disabled || [] };
+    } catch (error) {
+      console.warn('[Gesture] Could not read saved gestures:', error.message);
+      return { custom: [], disabled: [] };
+    }
+  }
+
+  save(data) {
+    localStorage.setItem(this.storageKey, JSON.stringify(data));
+  }
+
+  /**
+   * Built-in gestures merged with user gestures (which override by id)
+   */
+  getGestures() {
+    const { custom, disabled } = this.load();
+    const gestures = new Map(DEFAULT_GESTURES.map(gesture => [gesture.id, gesture]));
+    custom.forEach(gesture => gestures.set(gesture.id, gesture));
+    return [...gestures.values()].map(gesture => ({ ...gesture, enabled: !disabled.includes(gesture.id) }));
+  }
+
+  isCustom(id) {
+    return this.load().custom.some(gesture => gesture.id === id);
+  }
+
+  addCustom(gestures) {
+    const data = this.load();
+    const ids = new Set(gestures.map(gesture => gesture.id));
+    data.custom = [...data.custom.filter(gesture => !ids.has(gesture.id)), ...gestures];
+    this.save(data);
+  }
+
+  removeCustom(id) {
+    const data = this.load();
+    data.custom = data.custom.filter(gesture => gesture.id !== id);
+    this.save(data);
+  }
+
+  setEnabled(id, enabled) {
+    const data = this.load();
+    data.disabled = data.disabled.filter(disabledId => disabledId !== id);
+    if (!enabled) data.disabled.push(id);
+    this.save(data);
+  }
+
+  reset() {
+    localStorage.removeItem(this.storageKey);
+  }
+}
+
+/**
+ * Gesture Recorder
+ * Captures a hand shape over a few countdown-led takes and turns the
+ * samples into a nearest-neighbour template gesture
+ */
+class GestureRecorder {
+  constructor(onStatus, onComplete) {
+    this.onStatus = onStatus;
+    this.onComplete = onComplete;
+
+    this.takes = 3;
+    this.countdownSeconds = 3;
+    this.captureDuration = 1000; // ms of samples per take
+    this.samplesPerTake = 10;
+
+    this.label = '';
+    this.takeIndex = 0;
+    this.samples = [];
+    this.takeSamples = [];
+    this.capturing = false;
+    this.timer = null;
+  }
+
+  isRecording() {
+    return this.timer !== null || this.capturing;
+  }
+
+  isCapturing() {
+    return this.capturing;
+  }
+
+  start(label) {
+    this.cancel();
+    this.label = label;
+    this.takeIndex = 0;
+    this.samples = [];
+    this.startTake();
+  }
+
+  cancel() {
+    clearInterval(this.timer);
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.capturing = false;
+  }
+
+  /**
+   * Record the first tracked hand's shape while a take is being captured
+   */
+  addSample(hands) {
+    if (!this.capturing) return;
+    const hand = hands.find(h => h.worldLandmarks);
+    if (hand) this.takeSamples.push(measureHand(hand).shape);
+  }
+
+  startTake() {
+    let remaining = this.countdownSeconds;
+    const status = () => `Take ${this.takeIndex + 1} of ${this.takes}: ${remaining}...`;
+    this.onStatus(status());
+
+    this.timer = setInterval(() => {
+      remaining--;
+      if (remaining > 0) {
+        this.onStatus(status());
+        return;
+      }
+
+      clearInterval(this.timer);
+      this.onStatus(`Take ${this.takeIndex + 1} of ${this.takes}: hold it...`);
+      this.takeSamples = [];
+      this.capturing = true;
+      this.timer = setTimeout(() => this.completeTake(), this.captureDuration);
+    }, 1000);
+  }
+
+  completeTake() {
+    this.capturing = false;
+    this.timer = null;
+
+    if (this.takeSamples.length === 0) {
+      this.onStatus('No hand detected - try again');
+      this.timer = setTimeout(() => this.startTake(), 1000);
+      return;
+    }
+
+    // Spread the kept samples evenly over the take
+    const step = Math.max(1, Math.floor(this.takeSamples.length / this.samplesPerTake));
+    for (let i = 0; i < this.takeSamples.length && this.samples.length < (this.takeIndex + 1) * this.samplesPerTake; i += step) {
+      this.samples.push(this.takeSamples[i].map(value => Math.round(value * 1000) / 1000));
+    }
+
+    this.takeIndex++;
+    if (this.takeIndex < this.takes) {
+      this.startTake();
+      return;
+    }
+
+    const id = `custom-${this.label.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-${Date.now().toString(36)}`;
+    this.onStatus(`Saved "${this.label}"`);
+    this.onComplete({ id, label: this.label, emoji: '✨', template: { samples: this.samples, threshold: 0.25 } });
+  }
+}
+
+/**
+ * Gesture Panel
+ * Lists registered gestures with live confidence and on/off switches,
+ * records new template gestures and imports/exports user gestures as JSON
+ */
+class GesturePanel {
+  constructor(recognizer, store, recorder) {
+    this.recognizer = recognizer;
+    this.store = store;
+    this.recorder = recorder;
+    this.rows = new Map();
+    this.lastUpdateTime = 0;
+
+    // UI elements
+    this.panelEl = document.getElementById('gesture-panel');
+    this.listEl = document.getElementById('gesture-list');
+    this.nameInputEl = document.getElementById('gesture-name');
+    this.recordButton = document.getElementById('gesture-record');
+    this.statusEl = document.getElementById('gesture-status');
+    this.fileInput = document.getElementById('gesture-file-input');
+
+    this.recordButton.addEventListener('click', () => this.toggleRecording());
+    document.getElementById('gesture-import').addEventListener('click', () => this.fileInput.click());
+    document.getElementById('gesture-export').addEventListener('click', () => this.exportJSON());
+    document.getElementById('gesture-reset').addEventListener('click', () => {
+      this.store.reset();
+      this.reload();
+    });
+    this.fileInput.addEventListener('change', async () => {
+      const file = this.fileInput.files[0];
+      if (file) this.importJSON(await file.text());
+      this.fileInput.value = '';
+    });
+
+    this.reload();
+  }
+
+  setVisible(visible) {
+    this.panelEl.classList.toggle('hidden', !visible);
+  }
+
+  isVisible() {
+    return !this.panelEl.classList.contains('hidden');
+  }
+
+  /**
+   * Reload gestures from the store into the recognizer and rebuild the list
+   */
+  reload() {
+    this.recognizer.setGestures(this.store.getGestures());
+    this.rows.clear();
+    this.listEl.innerHTML = '';
+
+    for (const gesture of this.recognizer.gestures.values()) {
+      const row = document.createElement('div');
+      row.className = 'gesture-row';
+
+      const label = document.createElement('span');
+      label.className = 'gesture-name';
+      label.textContent = `${gesture.emoji} ${gesture.label}`;
+      label.title = gesture.id;
+
+      const kind = document.createElement('span');
+      kind.className = 'gesture-kind';
+      kind.textContent = gesture.template ? 'trained' : gesture.motion ? 'motion' : 'pose';
+
+      const confidence = document.createElement('span');
+      confidence.className = 'gesture-confidence';
+
+      const toggle = document.createElement('input');
+      toggle.type = 'checkbox';
+      toggle.checked = gesture.enabled;
+      toggle.addEventListener('change', () => {
+        this.recognizer.setEnabled(gesture.id, toggle.checked);
+        this.store.setEnabled(gesture.id, toggle.checked);
+      });
+
+      row.append(label, kind, confidence, toggle);
+
+      if (this.store.isCustom(gesture.id)) {
+        const remove = document.createElement('button');
+        remove.className = 'control-button';
+        remove.textContent = '✕';
+        remove.title = 'Delete gesture';
+        remove.addEventListener('click', () => {
+          this.store.removeCustom(gesture.id);
+          this.reload();
+        });
+        row.appendChild(remove);
+      }
+
+      this.listEl.appendChild(row);
+      this.rows.set(gesture.id, { row, confidence });
+    }
+  }
+
+  toggleRecording() {
+    if (this.recorder.isRecording()) {
+      this.recorder.cancel();
+      this.setStatus('Recording cancelled');
+      this.recordButton.textContent = '⏺ Record';
+      return;
+    }
+
+    const label = this.nameInputEl.value.trim();
+    if (!label) {
+      this.setStatus('Please enter a name');
+      return;
+    }
+
+    this.recordButton.textContent = 'Cancel';
+    this.recorder.start(label);
+  }
+
+  /**
+   * Save a freshly recorded gesture
+   */
+  addRecordedGesture(gesture) {
+    this.recordButton.textContent = '⏺ Record';
+    this.nameInputEl.value = '';
+    this.store.addCustom([gesture]);
+    this.reload();
+  }
+
+  setStatus(message) {
+    this.statusEl.textContent = message;
+  }
+
+  /**
+   * Highlight a gesture's row when it fires
+   */
+  flash(id) {
+    const entry = this.rows.get(id);
+    if (!entry) return;
+    entry.row.classList.add('fired');
+    setTimeout(() => entry.row.classList.remove('fired'), 600);
+  }
+
+  /**
+   * Refresh live confidences (throttled)
+   */
+  update() {
+    if (!this.isVisible()) return;
+
+    const now = Date.now();
+    if (now - this.lastUpdateTime < 100) return;
+    this.lastUpdateTime = now;
+
+    this.rows.forEach(({ confidence }, id) => {
+      const value = this.recognizer.getConfidence(id);
+      confidence.textContent = value > 0 ? `${(value * 100).toFixed(0)}%` : '';
+    });
+  }
+
+  importJSON(text) {
+    try {
+      const data = JSON.parse(text);
+      const gestures = Array.isArray(data) ? data : data.gestures;
+      if (!Array.isArray(gestures)) {
+        throw new Error('Expected a "gestures" list');
+      }
+      gestures.forEach(gesture => GestureRecognizer.validate(gesture));
+
+      this.store.addCustom(gestures);
+      this.reload();
+      this.setStatus(`Imported ${gestures.length} gesture${gestures.length === 1 ? '' : 's'}`);
+    } catch (error) {
+      this.setStatus(`⚠️ ${error.message}`);
+    }
+  }
+
+  exportJSON() {
+    const json = JSON.stringify({ version: 1, gestures: this.store.load().custom }, null, 2);
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    link.download = 'gestures.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+}
+
+// ============================================================================
+// ACTION BINDINGS
+// ============================================================================
+
+/**
+ * Bindings used until the user edits them; triggers are "gesture:<id>" or "face:<id>"
+ */
+const DEFAULT_ACTION_BINDINGS = [
+  { trigger: 'gesture:wave', action: 'confetti', param: '' },
+  { trigger: 'gesture:wave', action: 'notify', param: '👋 Wave detected!' },
+  { trigger: 'gesture:thumbsUp', action: 'sparkle', param: '' },
+  { trigger: 'gesture:thumbsUp', action: 'notify', param: '👍 Awesome! Keep it up!' }
+];
+
+/**
+ * Action Bindings
+ * Maps triggers (recognized gestures and face events) to registered
+ * actions, persisted in localStorage
+ */
+class ActionBindings {
+  constructor() {
+    this.storageKey = 'avatar.actionBindings';
+    this.actions = new Map();
+    this.bindings = this.load();
+  }
+
+  /**
+   * Make an action available to bindings
+   * @param {string} type - Action id stored in bindings
+   * @param {{label: string, paramHint?: string, run: Function}} action - run(param, event)
+   */
+  registerAction(type, action) {
+    this.actions.set(type, action);
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey));
+      if (Array.isArray(saved)) return saved;
+    } catch (error) {
+      console.warn('[Actions] Could not read saved bindings:', error.message);
+    }
+    return DEFAULT_ACTION_BINDINGS.map(binding => ({ ...binding }));
+  }
+
+  save() {
+    localStorage.setItem(this.storageKey, JSON.stringify(this.bindings));
+  }
+
+  reset() {
+    localStorage.removeItem(this.storageKey);
+    this.bindings = this.load();
+  }
+
+  add(binding) {
+    this.bindings.push(binding);
+    this.save();
+  }
+
+  update(index, changes) {
+    Object.assign(this.bindings[index], changes);
+    this.save();
+  }
+
+  remove(index) {
+    this.bindings.splice(index, 1);
+    this.save();
+  }
+
+  /**
+   * Run every action bound to a trigger
+   * @returns {number} Number of actions run
+   */
+  dispatch(trigger, event = {}) {
+    let count = 0;
+    this.bindings.forEach((binding) => {
+      if (binding.trigger !== trigger) return;
+
+      const action = this.actions.get(binding.action);
+      if (!action) {
+        console.warn(`[Actions] Unknown action "${binding.action}" bound to ${trigger}`);
+        return;
+      }
+
+      console.log(`[Actions] ${trigger} -> ${binding.action}${binding.param ? ` (${binding.param})` : ''}`);
+      action.run(binding.param || '', { trigger, ...event });
+      count++;
+    });
+    return count;
+  }
+}
+
+/**
+ * Bindings Panel
+ * Edits trigger -> action bindings; changes are saved as they're made
+ */
+class BindingsPanel {
+  constructor(bindings, getTriggers) {
+    this.bindings = bindings;
+    this.getTriggers = getTriggers;
+
+    // UI elements
+    this.panelEl = document.getElementById('bindings-panel');
+    this.listEl = document.getElementById('bindings-list');
+
+    document.getElementById('binding-add').addEventListener('click', () => {
+      const [first] = this.getTriggers();
+      this.bindings.add({ trigger: first ? first.value : '', action: 'notify', param: '' });
+      this.render();
+    });
+    document.getElementById('bindings-reset').addEventListener('click', () => {
+      this.bindings.reset();
+      this.render();
+    });
+  }
+
+  /**
+   * Show or hide the panel, rebuilding it so new gestures are listed
+   */
+  setVisible(visible) {
+    this.panelEl.classList.toggle('hidden', !visible);
+    if (visible) this.render();
+  }
+
+  isVisible() {
+    return !this.panelEl.classList.contains('hidden');
+  }
+
+  render() {
+    this.listEl.innerHTML = '';
+    const triggers = this.getTriggers();
+    const actions = [...this.bindings.actions.entries()].map(([value, { label }]) => ({ value, label }));
+
+    const createSelect = (options, value) => {
+      const select = document.createElement('select');
+      select.className = 'control-select';
+      options.forEach((option) => {
+        const optionEl = document.createElement('option');
+        optionEl.value = option.value;
+        optionEl.textContent = option.label;
+        select.appendChild(optionEl);
+      });
+      // Keep bindings to gestures that no longer exist visible
+      if (!options.some(option => option.value === value)) {
+        const optionEl = document.createElement('option');
+        optionEl.value = value;
+        optionEl.textContent = `${value} (missing)`;
+        select.appendChild(optionEl);
+      }
+      select.value = value;
+      return select;
+    };
+
+    this.bindings.bindings.forEach((binding, index) => {
+      const row = document.createElement('div');
+      row.className = 'binding-row';
+
+      const triggerSelect = createSelect(triggers, binding.trigger);
+      triggerSelect.addEventListener('change', () => this.bindings.update(index, { trigger: triggerSelect.value }));
+
+      const actionSelect = createSelect(actions, binding.action);
+      const paramInput = document.createElement('input');
+      paramInput.type = 'text';
+      paramInput.className = 'control-input';
+      paramInput.value = binding.param || '';
+      const updateHint = () => {
+        const action = this.bindings.actions.get(actionSelect.value);
+        paramInput.placeholder = action && action.paramHint ? action.paramHint : '';
+        paramInput.disabled = !action || !action.paramHint;
+      };
+      updateHint();
+
+      actionSelect.addEventListener('change', () => {
+        this.bindings.update(index, { action: actionSelect.value });
+        updateHint();
+      });
+      paramInput.addEventListener('change', () => this.bindings.update(index, { param: paramInput.value }));
+
+      const remove = document.createElement('button');
+      remove.className = 'control-button';
+      remove.textContent = '✕';
+      remove.title = 'Delete binding';
+      remove.addEventListener('click', () => {
+        this.bindings.remove(index);
+        this.render();
+      });
+
+      row.append(triggerSelect, actionSelect, paramInput, remove);
+      this.listEl.appendChild(row);
+    });
+  }
+}
+
+// ============================================================================
+// SESSION RECORDING
+// ============================================================================
+
+const SESSION_FORMAT = 'avatar-session';
+const SESSION_VERSION = 1;
+const SESSION_MAGIC = 'AVSN';
+const SESSION_FIXED_SCALE = 16384; // Landmarks are stored as 16-bit fixed point in binary sessions
+
+/**
+ * Round to 5 decimals to keep JSON sessions compact
+ */
+function roundSessionValue(value) {
+  return Math.round(value * 1e5) / 1e5;
+}
+
+function flattenPoints(points) {
+  return points.flatMap(p => [roundSessionValue(p.x), roundSessionValue(p.y), roundSessionValue(p.z)]);
+}
+
+function unflattenPoints(values) {
+  const points = [];
+  for (let i = 0; i < values.length; i += 3) {
+    points.push({ x: values[i], y: values[i + 1], z: values[i + 2] });
+  }
+  return points;
+}
+
+/**
+ * Expand a stored session frame into the shape the tracking pipeline uses
+ * @returns {{face: Object|null, hands: Array}} Tracking frame
+ */
+function unpackSessionFrame(session, frame) {
+  const { face } = frame;
+  return {
+    face: face ? {
+      landmarks: face.landmarks.length > 0 ? unflattenPoints(face.landmarks) : null,
+      blendshapes: face.blendshapes
+        ? face.blendshapes.map((score, index) => ({ index, categoryName: session.blendshapeNames[index], score }))
+        : null,
+      transformMatrix: face.matrix
+    } : null,
+    hands: frame.hands.map(hand => ({
+      side: hand.side,
+      score: hand.score,
+      landmarks: unflattenPoints(hand.landmarks),
+      worldLandmarks: unflattenPoints(hand.worldLandmarks)
+    }))
+  };
+}
+
+function encodeSessionJSON(session) {
+  return JSON.stringify({ format: SESSION_FORMAT, version: SESSION_VERSION, ...session });
+}
+
+/**
+ * Binary session layout (little-endian):
+ *   "AVSN", uint16 version, uint16 blendshape count, uint32 frame count,
+ *   uint32 meta length, meta JSON (createdAt, blendshapeNames), then per frame:
+ *   float32 t, uint8 flags (1 face, 2 blendshapes, 4 matrix), uint8 hand count,
+ *   uint16 landmark count, int16 landmarks, uint16 blendshapes, float32 matrix,
+ *   and per hand: uint8 side (0 left, 1 right), float32 score, int16 landmarks
+ *   and world landmarks. int16/uint16 values are fixed point.
+ */
+function encodeSessionBinary(session) {
+  const { frames, blendshapeNames = [] } = session;
+  const meta = new TextEncoder().encode(JSON.stringify({ createdAt: session.createdAt, blendshapeNames }));
+
+  let size = 4 + 2 + 2 + 4 + 4 + meta.length;
+  frames.forEach(({ face, hands }) => {
+    size += 4 + 1 + 1 + 2;
+    if (face) {
+      size += face.landmarks.length * 2;
+      if (face.blendshapes) size += face.blendshapes.length * 2;
+      if (face.matrix) size += 16 * 4;
+    }
+    hands.forEach((hand) => {
+      size += 1 + 4 + (hand.landmarks.length + hand.worldLandmarks.length) * 2;
+    });
+  });
+
+  const view = new DataView(new ArrayBuffer(size));
+  let offset = 0;
+  const fixed = value => THREE.MathUtils.clamp(Math.round(value * SESSION_FIXED_SCALE), -32768, 32767);
+  const writeFixed = values => values.forEach((value) => {
+    view.setInt16(offset, fixed(value), true);
+    offset += 2;
+  });
+
+  for (let i = 0; i < 4; i++) view.setUint8(offset++, SESSION_MAGIC.charCodeAt(i));
+  view.setUint16(offset, SESSION_VERSION, true);
+  view.setUint16(offset + 2, blendshapeNames.length, true);
+  view.setUint32(offset + 4, frames.length, true);
+  view.setUint32(offset + 8, meta.length, true);
+  offset += 12;
+  new Uint8Array(view.buffer, offset, meta.length).set(meta);
+  offset += meta.length;
+
+  frames.forEach(({ t, face, hands }) => {
+    const flags = (face ? 1 : 0) | (face && face.blendshapes ? 2 : 0) | (face && face.matrix ? 4 : 0);
+    view.setFloat32(offset, t, true);
+    view.setUint8(offset + 4, flags);
+    view.setUint8(offset + 5, hands.length);
+    view.setUint16(offset + 6, face ? face.landmarks.length / 3 : 0, true);
+    offset += 8;
+
+    if (face) {
+      writeFixed(face.landmarks);
+      if (face.blendshapes) {
+        face.blendshapes.forEach((score) => {
+          view.setUint16(offset, Math.round(THREE.MathUtils.clamp(score, 0, 1) * 65535), true);
+          offset += 2;
+        });
+      }
+      if (face.matrix) {
+        face.matrix.forEach((value) => {
+          view.setFloat32(offset, value, true);
+          offset += 4;
+        });
+      }
+    }
+
+    hands.forEach((hand) => {
+      view.setUint8(offset, hand.side === 'left' ? 0 : 1);
+      view.setFloat32(offset + 1, hand.score, true);
+      offset += 5;
+      writeFixed(hand.landmarks);
+      writeFixed(hand.worldLandmarks);
+    });
+  });
+
+  return view.buffer;
+}
+
+/**
+ * Read a JSON or binary session
+ * @param {ArrayBuffer} buffer - File contents
+ * @throws {Error} If the file isn't a session this version understands
+ */
+function decodeSession(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const magic = String.fromCharCode(...bytes.subarray(0, 4));
+
+  if (magic !== SESSION_MAGIC) {
+    const data = JSON.parse(new TextDecoder().decode(bytes));
+    if (!data || data.format !== SESSION_FORMAT || !Array.isArray(data.frames)) {
+      throw new Error('Not an avatar session file');
+    }
+    if (data.version > SESSION_VERSION) {
+      throw new Error(`Session version ${data.version} is newer than this app supports`);
+    }
+    return { createdAt: data.createdAt, blendshapeNames: data.blendshapeNames || [], frames: data.frames };
+  }
+
+  const view = new DataView(buffer);
+  let offset = 4;
+  const version = view.getUint16(offset, true);
+  if (version > SESSION_VERSION) {
+    throw new Error(`Session version ${version} is newer than this app supports`);
+  }
+  const blendshapeCount = view.getUint16(offset + 2, true);
+  const frameCount = view.getUint32(offset + 4, true);
+  const metaLength = view.getUint32(offset + 8, true);
+  offset += 12;
+  const meta = JSON.parse(new TextDecoder().decode(bytes.subarray(offset, offset + metaLength)));
+  offset += metaLength;
+
+  const readFixed = (count) => {
+    const values = new Array(count);
+    for (let i = 0; i < count; i++) {
+      values[i] = view.getInt16(offset, true) / SESSION_FIXED_SCALE;
+      offset += 2;
+    }
+    return values;
+  };
+
+  const frames = [];
+  for (let f = 0; f < frameCount; f++) {
+    const t = view.getFloat32(offset, true);
+    const flags = view.getUint8(offset + 4);
+    const handCount = view.getUint8(offset + 5);
+    const landmarkCount = view.getUint16(offset + 6, true);
+    offset += 8;
+
+    let face = null;
+    if (flags & 1) {
+      face = { landmarks: readFixed(landmarkCount * 3), blendshapes: null, matrix: null };
+      if (flags & 2) {
+        face.blendshapes = [];
+        for (let i = 0; i < blendshapeCount; i++) {
+          face.blendshapes.push(view.getUint16(offset, true) / 65535);
+          offset += 2;
+        }
+      }
+      if (flags & 4) {
+        face.matrix = [];
+        for (let i = 0; i < 16; i++) {
+          face.matrix.push(view.getFloat32(offset, true));
+          offset += 4;
+        }
+      }
+    }
+
+    const hands = [];
+    for (let h = 0; h < handCount; h++) {
+      const side = view.getUint8(offset) === 0 ? 'left' : 'right';
+      const score = view.getFloat32(offset + 1, true);
+      offset += 5;
+      hands.push({ side, score, landmarks: readFixed(63), worldLandmarks: readFixed(63) });
+    }
+
+    frames.push({ t, face, hands });
+  }
+
+  return { createdAt: meta.createdAt, blendshapeNames: meta.blendshapeNames || [], frames };
+}
+
+/**
+ * Session Recorder
+ * Captures timestamped tracking frames (face landmarks, blendshapes,
+ * transformation matrix and hands) into a session
+ */
+class SessionRecorder {
+  constructor() {
+    this.recording = false;
+    this.startTime = 0;
+    this.frames = [];
+    this.blendshapeNames = null;
+  }
+
+  isRecording() {
+    return this.recording;
+  }
+
+  start(now) {
+    this.recording = true;
+    this.startTime = now;
+    this.frames = [];
+    this.blendshapeNames = null;
+    console.log('[Session] Recording started');
+  }
+
+  /**
+   * Stop recording
+   * @returns {Object} The recorded session
+   */
+  stop() {
+    this.recording = false;
+    console.log(`[Session] Recorded ${this.frames.length} frames`);
+    return {
+      createdAt: new Date().toISOString(),
+      blendshapeNames: this.blendshapeNames || [],
+      frames: this.frames
+    };
+  }
+
+  getElapsed(now) {
+    return this.recording ? now - this.startTime : 0;
+  }
+
+  /**
+   * Add a tracking frame
+   * @param {{face: Object|null, hands: Array}} frame - Tracking frame
+   */
+  capture({ face, hands }, now) {
+    if (!this.recording) return;
+
+    if (face && face.blendshapes && !this.blendshapeNames) {
+      this.blendshapeNames = face.blendshapes.map(category => category.categoryName);
+    }
+
+    this.frames.push({
+      t: now - this.startTime,
+      face: face ? {
+        landmarks: face.landmarks ? flattenPoints(face.landmarks) : [],
+        blendshapes: face.blendshapes ? face.blendshapes.map(category => roundSessionValue(category.score)) : null,
+        matrix: face.transformMatrix ? Array.from(face.transformMatrix) : null
+      } : null,
+      hands: hands.map(hand => ({
+        side: hand.side,
+        score: roundSessionValue(hand.score),
+        landmarks: flattenPoints(hand.landmarks),
+        worldLandmarks: flattenPoints(hand.worldLandmarks)
+      }))
+    });
+  }
+}
+
+/**
+ * Session Player
+ * Plays a recorded session back as tracking frames in place of the webcam,
+ * with seeking, looping and variable speed
+ */
+class SessionPlayer {
+  constructor() {
+    this.session = null;
+    this.active = false;
+    this.playing = false;
+    this.loop = true;
+    this.speed = 1;
+    this.position = 0; // ms into the session
+    this.lastTick = null;
+    this.frameIndex = -1;
+    this.frame = null;
+  }
+
+  load(session) {
+    this.session = session;
+    this.position = 0;
+    this.frameIndex = -1;
+    this.active = session.frames.length > 0;
+    this.playing = false;
+  }
+
+  isActive() {
+    return this.active;
+  }
+
+  isPlaying() {
+    return this.playing;
+  }
+
+  getDuration() {
+    const { frames } = this.session || { frames: [] };
+    return frames.length > 0 ? frames[frames.length - 1].t : 0;
+  }
+
+  play() {
+    if (!this.session) return;
+    if (this.position >= this.getDuration()) this.position = 0;
+    this.active = true;
+    this.playing = true;
+    this.lastTick = null;
+  }
+
+  pause() {
+    this.playing = false;
+    this.lastTick = null;
+  }
+
+  seek(position) {
+    this.position = THREE.MathUtils.clamp(position, 0, this.getDuration());
+  }
+
+  /**
+   * Stop playback and hand control back to the webcam
+   */
+  stop() {
+    this.pause();
+    this.active = false;
+  }
+
+  /**
+   * Advance the playhead
+   * @returns {{face: Object|null, hands: Array}|null} Tracking frame at the playhead
+   */
+  update(now) {
+    if (!this.active || !this.session) return null;
+
+    if (this.playing) {
+      if (this.lastTick !== null) {
+        this.position += (now - this.lastTick) * this.speed;
+      }
+      this.lastTick = now;
+
+      const duration = this.getDuration();
+      if (this.position > duration) {
+        if (this.loop && duration > 0) {
+          this.position %= duration;
+        } else {
+          this.position = duration;
+          this.pause();
+        }
+      }
+    }
+
+    const index = this.findFrameIndex(this.position);
+    if (index !== this.frameIndex) {
+      this.frameIndex = index;
+      this.frame = unpackSessionFrame(this.session, this.session.frames[index]);
+    }
+    return this.frame;
+  }
+
+  /**
+   * Index of the last frame at or before a position (binary search)
+   */
+  findFrameIndex(position) {
+    const { frames } = this.session;
+    let low = 0;
+    let high = frames.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (frames[mid].t <= position) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return low;
+  }
+}
+
+/**
+ * Format milliseconds as m:ss.s
+ */
+function formatSessionTime(ms) {
+  const seconds = ms / 1000;
+  return `${Math.floor(seconds / 60)}:${(seconds % 60).toFixed(1).padStart(4, '0')}`;
+}
+
+/**
+ * Session Panel
+ * Record, save and load tracking sessions, and control their playback
+ */
+class SessionPanel {
+  constructor(recorder, player, onPlaybackChange) {
+    this.recorder = recorder;
+    this.player = player;
+    this.onPlaybackChange = onPlaybackChange;
+    this.session = null;
+    this.lastUpdateTime = 0;
+    this.scrubbing = false;
+
+    // UI elements
+    this.panelEl = document.getElementById('session-panel');
+    this.recordButton = document.getElementById('session-record');
+    this.saveJSONButton = document.getElementById('session-save-json');
+    this.saveBinaryButton = document.getElementById('session-save-binary');
+    this.infoEl = document.getElementById('session-info');
+    this.playButton = document.getElementById('session-play');
+    this.scrubEl = document.getElementById('session-scrub');
+    this.timeEl = document.getElementById('session-time');
+    this.speedEl = document.getElementById('session-speed');
+    this.loopEl = document.getElementById('session-loop');
+    this.stopButton = document.getElementById('session-stop');
+    this.fileInput = document.getElementById('session-file-input');
+
+    this.recordButton.addEventListener('click', () => this.toggleRecording());
+    this.saveJSONButton.addEventListener('click', () => this.save('json'));
+    this.saveBinaryButton.addEventListener('click', () => this.save('binary'));
+    document.getElementById('session-load').addEventListener('click', () => this.fileInput.click());
+    this.fileInput.addEventListener('change', async () => {
+      const file = this.fileInput.files[0];
+      if (file) this.loadFile(file);
+      this.fileInput.value = '';
+    });
+
+    this.playButton.addEventListener('click', () => {
+      if (this.player.isPlaying()) {
+        this.player.pause();
+      } else {
+        this.player.play();
+      }
+      this.refresh();
+      this.onPlaybackChange();
+    });
+    this.scrubEl.addEventListener('input', () => {
+      this.player.seek(parseFloat(this.scrubEl.value));
+      this.refresh();
+    });
+    this.scrubEl.addEventListener('pointerdown', () => { this.scrubbing = true; });
+    this.scrubEl.addEventListener('pointerup', () => { this.scrubbing = false; });
+    this.speedEl.addEventListener('change', () => {
+      this.player.speed = parseFloat(this.speedEl.value);
+    });
+    this.loopEl.addEventListener('change', () => {
+      this.player.loop = this.loopEl.checked;
+    });
+    this.stopButton.addEventListener('click', () => {
+      this.player.stop();
+      this.refresh();
+      this.onPlaybackChange();
+    });
+
+    this.loopEl.checked = this.player.loop;
+    this.refresh();
+  }
+
+  setVisible(visible) {
+    this.panelEl.classList.toggle('hidden', !visible);
+  }
+
+  isVisible() {
+    return !this.panelEl.classList.contains('hidden');
+  }
+
+  /**
+   * Start or stop recording the live tracking
+   * @param {boolean} [recording] - Desired state; toggles when omitted
+   */
+  toggleRecording(recording = !this.recorder.isRecording()) {
+    if (recording === this.recorder.isRecording()) return;
+
+    if (recording) {
+      this.player.stop();
+      this.recorder.start(Date.now());
+      this.onPlaybackChange();
+    } else {
+      this.setSession(this.recorder.stop());
+    }
+    this.refresh();
+  }
+
+  setSession(session) {
+    this.session = session;
+    this.player.load(session);
+    this.player.stop();
+    this.refresh();
+  }
+
+  loadFile(file) {
+    return this.load(file.name, () => file.arrayBuffer());
+  }
+
+  loadURL(url) {
+    return this.load(url, async () => {
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(`HTTP ${response.status} loading ${url}`);
+      return response.arrayBuffer();
+    });
+  }
+
+  /**
+   * Decode a session and play it in place of the live input
+   * @param {string} name - File name or URL, for the log
+   * @param {function(): Promise<ArrayBuffer>} read - Reads the session data
+   */
+  async load(name, read) {
+    try {
+      this.setSession(decodeSession(await read()));
+      this.player.play();
+      this.refresh();
+      this.onPlaybackChange();
+    } catch (error) {
+      console.error('[Session] Could not load', name, error);
+      this.infoEl.textContent = `⚠️ ${error.message}`;
+    }
+  }
+
+  save(format) {
+    if (!this.session) return;
+
+    const binary = format === 'binary';
+    const data = binary ? encodeSessionBinary(this.session) : encodeSessionJSON(this.session);
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([data], { type: binary ? 'application/octet-stream' : 'application/json' }));
+    link.download = `session-${this.session.createdAt.replace(/[:.]/g, '-')}.${binary ? 'avs' : 'json'}`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  /**
+   * Sync buttons, info and the scrub bar with the recorder and player
+   */
+  refresh() {
+    const recording = this.recorder.isRecording();
+    const hasSession = !!this.session;
+
+    this.recordButton.textContent = recording
+      ? `⏹ Stop ${formatSessionTime(this.recorder.getElapsed(Date.now()))}`
+      : '⏺ Record';
+    this.saveJSONButton.disabled = !hasSession || recording;
+    this.saveBinaryButton.disabled = !hasSession || recording;
+    this.playButton.disabled = !hasSession || recording;
+    this.scrubEl.disabled = !hasSession || recording;
+    this.stopButton.disabled = !this.player.isActive();
+    this.playButton.textContent = this.player.isPlaying() ? '⏸' : '▶';
+
+    if (recording) {
+      this.infoEl.textContent = `Recording... ${this.recorder.frames.length} frames`;
+    } else if (hasSession) {
+      const source = this.player.isActive() ? 'Playing back in place of the live input' : 'Live input';
+      this.infoEl.textContent = `${this.session.frames.length} frames · ${source}`;
+    } else {
+      this.infoEl.textContent = 'No session recorded or loaded';
+    }
+
+    const duration = this.player.getDuration();
+    this.scrubEl.max = duration;
+    if (!this.scrubbing) this.scrubEl.value = this.player.position;
+    this.timeEl.textContent = `${formatSessionTime(this.player.position)} / ${formatSessionTime(duration)}`;
+  }
+
+  /**
+   * Refresh while recording or playing (throttled)
+   */
+  update() {
+    if (!this.isVisible() || (!this.recorder.isRecording() && !this.player.isPlaying())) return;
+
+    const now = Date.now();
+    if (now - this.lastUpdateTime < 100) return;
+    this.lastUpdateTime = now;
+    this.refresh();
+  }
+}
+
+// ============================================================================
+// INPUT SOURCES
+// ============================================================================
+
+const INPUT_IMAGE_FPS = 30; // Default playback rate of image sequences
+const INPUT_FEED_RECONNECT_DELAY = 3000;
+const SYNTHETIC_FRAME_RATE = 30;
+const INPUT_HEAD_POSITION = [0, 0, -50]; // Head position (cm from the camera) for poses given as rotations
+const WEBCAM_RESOLUTIONS = { // Camera capture sizes offered in the input panel
+  '640x480': { label: '640×480', width: 640, height: 480 },
+  '1280x720': { label: '1280×720 (HD)', width: 1280, height: 720 },
+  '1920x1080': { label: '1920×1080 (Full HD)', width: 1920, height: 1080 }
+};
+const WEBCAM_FRAME_RATES = [15, 24, 30, 60];
+const DEFAULT_CAMERA_SETTINGS = { deviceId: '', resolution: '640x480', frameRate: 30, mirrored: true };
+
+/**
+ * Input Source
+ * Where tracking comes from. Image sources (webcam, video file, image
+ * sequence) hand the tracking loop images to run the trackers on; frame
+ * sources (recorded session, WebSocket feed, synthetic) produce finished
+ * tracking frames and skip inference. A source is started once; opening
+ * the same input again takes a new one.
+ */
+class InputSource {
+  constructor(kind, label) {
+    this.kind = kind; // webcam, video, images, session, feed or synthetic
+    this.label = label;
+    this.preview = null; // Element shown in the camera preview, if any
+  }
+
+  /**
+   * Open the source
+   * @throws {Error} With a message for the user if it can't be opened
+   */
+  async start() {}
+
+  stop() {}
+
+  /**
+   * Whether the trackers run on this source's images (otherwise it provides frames)
+   */
+  providesImages() {
+    return false;
+  }
+
+  /**
+   * Image sources: the current image, with a time that changes whenever the image does
+   * @returns {{image: CanvasImageSource, time: number}|null} Null until the first image is ready
+   */
+  readImage() {
+    return null;
+  }
+
+  /**
+   * Frame sources: the tracking frame to process now
+   * @returns {{face: Object|null, faces: Array, hands: Array}|null} Null when nothing new arrived
+   */
+  readFrame() {
+    return null;
+  }
+
+  /**
+   * One line for the input panel
+   */
+  describe() {
+    return this.label;
+  }
+}
+
+/**
+ * Camera Settings Store
+ * Persists the chosen camera, its capture size and frame rate, and whether
+ * image inputs are mirrored, in localStorage
+ */
+class CameraSettingsStore {
+  constructor() {
+    this.storageKey = 'avatar.camera';
+  }
+
+  load() {
+    try {
+      const data = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+      return {
+        deviceId: typeof data.deviceId === 'string' ? data.deviceId : DEFAULT_CAMERA_SETTINGS.deviceId,
+        resolution: WEBCAM_RESOLUTIONS[data.resolution] ? data.resolution : DEFAULT_CAMERA_SETTINGS.resolution,
+        frameRate: WEBCAM_FRAME_RATES.includes(data.frameRate) ? data.frameRate : DEFAULT_CAMERA_SETTINGS.frameRate,
+        mirrored: typeof data.mirrored === 'boolean' ? data.mirrored : DEFAULT_CAMERA_SETTINGS.mirrored
+      };
+    } catch (error) {
+      console.warn('[Input] Could not read saved camera settings:', error.message);
+      return { ...DEFAULT_CAMERA_SETTINGS };
+    }
+  }
+
+  /**
+   * @param {Object} changes - Any of deviceId, resolution, frameRate, mirrored
+   */
+  save(changes) {
+    localStorage.setItem(this.storageKey, JSON.stringify({ ...this.load(), ...changes }));
+  }
+}
+
+/**
+ * The cameras the browser can open. Labels stay empty until camera
+ * permission has been granted, so those are numbered instead.
+ * @returns {Promise<Array<{deviceId: string, label: string}>>}
+ */
+async function listCameras() {
+  if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices
+    .filter(device => device.kind === 'videoinput' && device.deviceId)
+    .map((device, i) => ({ deviceId: device.deviceId, label: device.label || `Camera ${i + 1}` }));
+}
+
+/**
+ * Turn a getUserMedia failure into something the user can act on
+ */
+function describeCameraError(error, deviceId) {
+  switch (error.name) {
+    case 'NotAllowedError':
+    case 'SecurityError':
+      return 'Camera access is blocked. Allow the camera for this site (usually from the icon in the address bar), then pick Webcam again.';
+    case 'NotFoundError':
+    case 'OverconstrainedError':
+      return deviceId ? 'The selected camera is not connected.' : 'No camera found. Connect one, or pick another input.';
+    case 'NotReadableError':
+    case 'AbortError':
+      return 'The camera could not be started. It may be in use by another application.';
+    default:
+      return `Could not open the camera: ${error.message}`;
+  }
+}
+
+/**
+ * A camera, by default the user-facing one. The capture size and frame
+ * rate are preferences the browser gets as close to as the camera allows.
+ * onEnded fires if the camera goes away (unplugged, or revoked by the OS).
+ */
+class WebcamSource extends InputSource {
+  /**
+   * @param {HTMLVideoElement} video - Element the stream plays in (the camera preview)
+   * @param {{deviceId?: string, resolution?: string, frameRate?: number}} settings - See CameraSettingsStore
+   */
+  constructor(video, settings = {}) {
+    super('webcam', 'Webcam');
+    this.video = video;
+    this.preview = video;
+    this.settings = { ...DEFAULT_CAMERA_SETTINGS, ...settings };
+    this.stream = null;
+    this.track = null;
+    this.onEnded = null; // () => void
+
+    this.handleEnded = () => {
+      console.warn(`[Input] ${this.label} disconnected`);
+      if (this.onEnded) this.onEnded();
+    };
+  }
+
+  async start() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+      throw new Error('Camera access needs a secure page. Open the app over HTTPS or from localhost.');
+    }
+
+    const { deviceId, resolution, frameRate } = this.settings;
+    const { width, height } = WEBCAM_RESOLUTIONS[resolution] || WEBCAM_RESOLUTIONS[DEFAULT_CAMERA_SETTINGS.resolution];
+    try {
+      this.stream = await navigator.mediaDevices.getUserMedia({
+        video: {
+          width: { ideal: width },
+          height: { ideal: height },
+          frameRate: { ideal: frameRate },
+          ...(deviceId ? { deviceId: { exact: deviceId } } : { facingMode: 'user' })
+        }
+      });
+      this.video.srcObject = this.stream;
+      await this.video.play();
+    } catch (error) {
+      this.stop();
+      throw new Error(describeCameraError(error, deviceId));
+    }
+
+    this.track = this.stream.getVideoTracks()[0];
+    this.label = this.track.label || 'Webcam';
+    this.track.addEventListener('ended', this.handleEnded);
+  }
+
+  stop() {
+    if (this.track) {
+      this.track.removeEventListener('ended', this.handleEnded);
+      this.track = null;
+    }
+    // A webcam source replacing this one may already show its stream in the same element
+    if (this.video.srcObject === this.stream) {
+      this.video.srcObject = null;
+    }
+    if (this.stream) {
+      this.stream.getTracks().forEach(track => track.stop());
+      this.stream = null;
+    }
+  }
+
+  /**
+   * Whether the camera stopped delivering frames for good
+   */
+  hasEnded() {
+    return !!this.track && this.track.readyState === 'ended';
+  }
+
+  providesImages() {
+    return true;
+  }
+
+  readImage() {
+    return this.video.readyState >= HTMLMediaElement.HAVE_CURRENT_DATA
+      ? { image: this.video, time: this.video.currentTime }
+      : null;
+  }
+
+  describe() {
+    const frameRate = this.track && this.track.getSettings().frameRate;
+    return `${this.label} · ${this.video.videoWidth}×${this.video.videoHeight}${frameRate ? ` · ${Math.round(frameRate)} fps` : ''}`;
+  }
+}
+
+/**
+ * A video file or URL, played muted on loop
+ */
+class VideoFileSource extends InputSource {
+  constructor(source) {
+    const isFile = typeof source !== 'string';
+    super('video', isFile ? source.name : source.split('/').pop());
+    this.url = isFile ? URL.createObjectURL(source) : source;
+    this.ownsUrl = isFile;
+
+    this.video = document.createElement('video');
+    this.video.muted = true;
+    this.video.loop = true;
+    this.video.playsInline = true;
+    this.video.crossOrigin = 'anonymous';
+    this.preview = this.video;
+  }
+
+  async start() {
+    this.video.src = this.url;
+    try {
+      await this.video.play();
+    } catch (error) {
+      this.stop();
+      throw new Error(`Could not play ${this.label}: ${error.message}`);
+    }
+  }
+
+  stop() {
+    this.video.pause();
+    this.video.removeAttribute('src');
+    this.video.load();
+    if (this.ownsUrl) {
+      URL.revokeObjectURL(this.url);
+    }
+  }
+
+  providesImages() {
+    return true;
+  }
+
+  readImage() {
+    return this.video.readyState >= HTMLMediaElement.HAVE_CURRENT_DATA
+      ? { image: this.video, time: this.video.currentTime }
+      : null;
+  }
+
+  describe() {
+    return `${this.label} · ${formatSessionTime(this.video.currentTime * 1000)} / ${formatSessionTime((this.video.duration || 0) * 1000)}`;
+  }
+}
+
+/**
+ * Numbered stills (files or URLs, in natural name order) played on loop at a
+ * fixed rate. Images are decoded one at a time as they come up, so long
+ * sequences don't have to fit in memory; a slow decode skips frames like a
+ * slow camera would.
+ */
+class ImageSequenceSource extends InputSource {
+  constructor(sources, fps = INPUT_IMAGE_FPS) {
+    const nameOf = source => (typeof source === 'string' ? source : source.name);
+    super('images', `${sources.length} images`);
+    this.sources = [...sources].sort((a, b) => nameOf(a).localeCompare(nameOf(b), undefined, { numeric: true }));
+    this.fps = fps;
+    this.startTime = 0;
+    this.frame = -1; // Sequence frame (counting loops) on the canvas
+    this.decoding = false;
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.className = 'input-preview';
+    this.context = this.canvas.getContext('2d');
+    this.preview = this.canvas;
+  }
+
+  async start() {
+    if (this.sources.length === 0) {
+      throw new Error('No images selected');
+    }
+    try {
+      await this.decodeFrame(0);
+    } catch (error) {
+      throw new Error(`Could not load the image sequence: ${error.message}`);
+    }
+    this.startTime = performance.now();
+  }
+
+  /**
+   * Draw one frame of the sequence onto the canvas
+   */
+  async decodeFrame(frame) {
+    this.decoding = true;
+    try {
+      const source = this.sources[frame % this.sources.length];
+      const blob = typeof source === 'string' ? await (await fetch(source)).blob() : source;
+      const bitmap = await createImageBitmap(blob);
+      if (this.canvas.width !== bitmap.width || this.canvas.height !== bitmap.height) {
+        this.canvas.width = bitmap.width;
+        this.canvas.height = bitmap.height;
+      }
+      this.context.drawImage(bitmap, 0, 0);
+      bitmap.close();
+      this.frame = frame;
+    } finally {
+      this.decoding = false;
+    }
+  }
+
+  providesImages() {
+    return true;
+  }
+
+  readImage() {
+    const frame = Math.floor((performance.now() - this.startTime) * this.fps / 1000);
+    if (frame !== this.frame && !this.decoding) {
+      this.decodeFrame(frame).catch(error => console.warn('[Input] Could not decode an image:', error.message));
+    }
+    return this.frame >= 0 ? { image: this.canvas, time: this.frame } : null;
+  }
+
+  describe() {
+    return `Image ${this.frame % this.sources.length + 1} of ${this.sources.length} · ${this.fps} fps`;
+  }
+}
+
+/**
+ * Playback from the Session panel's player; it stands in for the live input
+ * while a session is playing
+ */
+class SessionSource extends InputSource {
+  constructor(player) {
+    super('session', 'Recorded session');
+    this.player = player;
+  }
+
+  readFrame(now) {
+    return this.player.update(now);
+  }
+
+  describe() {
+    return `Recorded session · ${formatSessionTime(this.player.position)} / ${formatSessionTime(this.player.getDuration())}`;
+  }
+}
+
+/**
+ * Read a tracking frame from a feed message or synthetic script. A message
+ * is one face plus optional hands:
+ * - blendshapes: ARKit scores as {name: score} or [{categoryName, score}]
+ *   (name variants such as eyeBlink_L or EyeBlinkLeft are accepted)
+ * - transformMatrix: column-major 4×4 head pose like MediaPipe's facial
+ *   transformation matrix, or headRotation: {pitch, yaw, roll} in radians
+ *   about the avatar's X, Y and Z axes, with an optional headPosition [x, y, z] in cm
+ * - landmarks: MediaPipe's 478 face landmarks, if the sender has them
+ * - hands: [{side, score, landmarks, worldLandmarks}] with 21 points each
+ * Points may be {x, y, z} objects or [x, y, z] arrays.
+ * @returns {{face: Object|null, faces: Array, hands: Array}} Tracking frame
+ */
+function parseFeedMessage(message) {
+  const toPoints = points => (Array.isArray(points)
+    ? points.map(point => (Array.isArray(point) ? { x: point[0], y: point[1], z: point[2] ?? 0 } : point))
+    : null);
+
+  let blendshapes = null;
+  if (message.blendshapes) {
+    const entries = Array.isArray(message.blendshapes)
+      ? message.blendshapes.map(({ categoryName, score }) => [categoryName, score])
+      : Object.entries(message.blendshapes);
+    const scores = new Map(entries.map(([name, score]) => [normalizeMorphName(String(name)), Number(score) || 0]));
+    blendshapes = ARKIT_BLENDSHAPES.map((categoryName, index) => ({
+      index,
+      categoryName,
+      score: THREE.MathUtils.clamp(scores.get(normalizeMorphName(categoryName)) ?? 0, 0, 1)
+    }));
+  }
+
+  let transformMatrix = Array.isArray(message.transformMatrix) && message.transformMatrix.length === 16
+    ? message.transformMatrix
+    : null;
+  if (!transformMatrix && message.headRotation) {
+    const { pitch = 0, yaw = 0, roll = 0 } = message.headRotation;
+    const [x, y, z] = message.headPosition || INPUT_HEAD_POSITION;
+    transformMatrix = new THREE.Matrix4().compose(
+      new THREE.Vector3(x, y, z),
+      new THREE.Quaternion().setFromEuler(new THREE.Euler(pitch, yaw, roll, 'YXZ')),
+      new THREE.Vector3(1, 1, 1)
+    ).toArray();
+  }
+
+  // Expression and gaze heuristics index into the full face mesh
+  const landmarks = toPoints(message.landmarks);
+  const faceLandmarks = landmarks && landmarks.length >= 468 ? landmarks : null;
+  const face = faceLandmarks || blendshapes ? { landmarks: faceLandmarks, blendshapes, transformMatrix } : null;
+
+  const hands = (Array.isArray(message.hands) ? message.hands : [])
+    .map((hand) => {
+      const points = toPoints(hand.landmarks) || toPoints(hand.worldLandmarks);
+      if (!points || points.length !== 21) return null;
+      return {
+        side: hand.side === 'left' ? 'left' : 'right',
+        score: hand.score ?? 1,
+        landmarks: points,
+        worldLandmarks: toPoints(hand.worldLandmarks) || points
+      };
+    })
+    .filter(Boolean);
+
+  return { face, faces: face ? [face] : [], hands };
+}
+
+/**
+ * Tracking from another program over a WebSocket, e.g. a phone app streaming
+ * ARKit blendshapes; each JSON message is parsed by parseFeedMessage.
+ * Reconnects if the feed drops after it first connected.
+ */
+class WebSocketFeedSource extends InputSource {
+  constructor(url) {
+    super('feed', url);
+    this.url = url;
+    this.socket = null;
+    this.connected = false;
+    this.message = '';
+    this.frame = null;
+    this.fresh = false; // Whether frame arrived since the last readFrame
+    this.reconnectTimer = null;
+
+    // Received frames per second
+    this.rate = 0;
+    this.rateCount = 0;
+    this.rateStart = performance.now();
+  }
+
+  start() {
+    return new Promise((resolve, reject) => this.open(resolve, reject));
+  }
+
+  open(resolve = null, reject = null) {
+    let socket;
+    try {
+      socket = new WebSocket(this.url);
+    } catch (error) {
+      if (reject) reject(new Error(`Invalid feed address: ${this.url}`));
+      return;
+    }
+    this.socket = socket;
+
+    socket.onopen = () => {
+      this.connected = true;
+      this.message = '';
+      if (resolve) resolve();
+    };
+    socket.onmessage = event => this.receive(event.data);
+    socket.onclose = () => {
+      if (this.socket !== socket) return;
+      this.socket = null;
+      if (!this.connected && reject) {
+        reject(new Error(`Could not connect to the feed at ${this.url}`));
+        return;
+      }
+      this.connected = false;
+      this.message = `Feed lost, retrying in ${INPUT_FEED_RECONNECT_DELAY / 1000} s`;
+      this.reconnectTimer = setTimeout(() => this.open(), INPUT_FEED_RECONNECT_DELAY);
+    };
+  }
+
+  stop() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.close();
+    }
+    this.connected = false;
+  }
+
+  receive(data) {
+    if (typeof data !== 'string') return;
+
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      return;
+    }
+    if (!message || typeof message !== 'object' || Array.isArray(message)) return;
+    this.frame = parseFeedMessage(message);
+    this.fresh = true;
+
+    const now = performance.now();
+    if (now - this.rateStart >= 1000) {
+      this.rate = this.rateCount * 1000 / (now - this.rateStart);
+      this.rateCount = 0;
+      this.rateStart = now;
+    }
+    this.rateCount++;
+  }
+
+  readFrame() {
+    if (!this.fresh) return null;
+    this.fresh = false;
+    return this.frame;
+  }
+
+  describe() {
+    return this.connected ? `${this.url} · ${Math.round(this.rate)} frames/s` : this.message || `Connecting to ${this.url}...`;
+  }
+}
+
+/**
+ * Default synthetic performance: looks around, blinks every few seconds and
+ * talks in bursts, with a smile in between
+ * @param {number} t - Seconds since the source started
+ * @returns {Object} Message in parseFeedMessage's format
+ */
+function syntheticIdleScript(t) {
+  const blinkPhase = (t % 3.7) / 0.2;
+  const blink = blinkPhase < 1 ? 1 - Math.abs(blinkPhase * 2 - 1) : 0;
+  const talking = Math.max(0, Math.sin(t * 0.9));
+  const jaw = talking * (0.5 + 0.5 * Math.sin(t * 13)) * (0.6 + 0.4 * Math.sin(t * 3.1));
+  const smile = (1 - talking) * 0.6;
+  const look = Math.sin(t * 0.35); // Eyes lead the head
+
+  return {
+    headRotation: {
+      pitch: Math.sin(t * 0.7) * 0.08,
+      yaw: Math.sin(t * 0.35 - 0.6) * 0.3,
+      roll: Math.sin(t * 0.55) * 0.05
+    },
+    blendshapes: {
+      eyeBlinkLeft: blink,
+      eyeBlinkRight: blink,
+      eyeLookOutLeft: Math.max(0, look),
+      eyeLookInLeft: Math.max(0, -look),
+      eyeLookInRight: Math.max(0, look),
+      eyeLookOutRight: Math.max(0, -look),
+      jawOpen: jaw,
+      mouthFunnel: jaw * 0.3,
+      mouthSmileLeft: smile,
+      mouthSmileRight: smile,
+      browInnerUp: talking * 0.3
+    }
+  };
+}
+
+/**
+ * Scripted tracking for demos and tests without a camera
+ */
+class SyntheticSource extends InputSource {
+  /**
+   * @param {function(number): Object} script - Seconds since start -> message in parseFeedMessage's format
+   */
+  constructor(script = syntheticIdleScript) {
+    super('synthetic', 'Synthetic');
+    this.script = script;
+    this.startTime = 0;
+    this.lastFrameTime = -Infinity;
+  }
+
+  async start() {
+    this.startTime = Date.now();
+  }
+
+  readFrame(now) {
+    if (now - this.lastFrameTime < 1000 / SYNTHETIC_FRAME_RATE) return null;
+    this.lastFrameTime = now;
+    return parseFeedMessage(this.script((now - this.startTime) / 1000));
+  }
+}
+
+/**
+ * Build a live input source
+ * @param {string} kind - webcam, video, images, feed or synthetic
+ * @param {{webcamVideo: HTMLVideoElement, camera?: Object, src?: string|File|Array, fps?: number}} options -
+ *   camera is the webcam's settings (see CameraSettingsStore); src is the video file or URL, the
+ *   image files or URLs, or the feed address
+ */
+function createInputSource(kind, { webcamVideo, camera, src, fps }) {
+  switch (kind) {
+    case 'webcam':
+      return new WebcamSource(webcamVideo, camera);
+    case 'video':
+      return new VideoFileSource(src);
+    case 'images':
+      return new ImageSequenceSource(src, fps);
+    case 'feed':
+      return new WebSocketFeedSource(src);
+    case 'synthetic':
+      return new SyntheticSource();
+    default:
+      throw new Error(`Unknown input "${kind}"`);
+  }
+}
+
+/**
+ * Input Panel
+ * Picks where tracking comes from: the options for each kind of input (for
+ * the webcam, which camera at what size and frame rate), whether image
+ * inputs are mirrored, and what's active now
+ */
+class InputPanel {
+  constructor(cameraStore, { getSources, isMirrored, onSelect, onCameraChange, onMirrorChange }) {
+    this.cameraStore = cameraStore;
+    this.getSources = getSources; // () => {live: InputSource|null, active: InputSource|null, error: string|null}
+    this.isMirrored = isMirrored; // () => boolean (?mirror= can override the saved setting)
+    this.onSelect = onSelect; // (kind, {src, fps}) => Promise<boolean>
+    this.onCameraChange = onCameraChange; // (settings) => Promise, switches cameras if the webcam is live
+    this.onMirrorChange = onMirrorChange; // (mirrored) => void
+    this.storageKey = 'avatar.input';
+    this.lastUpdateTime = 0;
+    this.busy = false;
+
+    // UI elements
+    this.panelEl = document.getElementById('input-panel');
+    this.kindEl = document.getElementById('input-kind');
+    this.cameraFieldsEl = document.getElementById('input-camera-fields');
+    this.cameraEl = document.getElementById('input-camera');
+    this.resolutionEl = document.getElementById('input-resolution');
+    this.frameRateEl = document.getElementById('input-frame-rate');
+    this.urlEl = document.getElementById('input-url');
+    this.fpsEl = document.getElementById('input-fps');
+    this.mirrorEl = document.getElementById('input-mirror');
+    this.useButton = document.getElementById('input-use');
+    this.fileInput = document.getElementById('input-file-input');
+    this.infoEl = document.getElementById('input-info');
+
+    Object.entries(WEBCAM_RESOLUTIONS).forEach(([value, { label }]) => {
+      this.resolutionEl.add(new Option(label, value));
+    });
+    WEBCAM_FRAME_RATES.forEach((frameRate) => {
+      this.frameRateEl.add(new Option(`${frameRate} fps`, frameRate));
+    });
+
+    const saved = this.load();
+    const camera = this.cameraStore.load();
+    this.kindEl.value = saved.kind || 'webcam';
+    this.urlEl.value = saved.url || '';
+    this.fpsEl.value = saved.fps || INPUT_IMAGE_FPS;
+    this.resolutionEl.value = camera.resolution;
+    this.frameRateEl.value = camera.frameRate;
+    this.mirrorEl.checked = this.isMirrored();
+
+    this.kindEl.addEventListener('change', () => this.refresh());
+    [this.cameraEl, this.resolutionEl, this.frameRateEl].forEach((el) => {
+      el.addEventListener('change', () => this.changeCamera());
+    });
+    this.mirrorEl.addEventListener('change', () => this.onMirrorChange(this.mirrorEl.checked));
+    this.useButton.addEventListener('click', () => {
+      const kind = this.kindEl.value;
+      if (['video', 'images', 'session'].includes(kind) && !this.urlEl.value.trim()) {
+        this.fileInput.accept = { video: 'video/*', images: 'image/*', session: '.json,.avs,application/json' }[kind];
+        this.fileInput.multiple = kind === 'images';
+        this.fileInput.click();
+      } else {
+        this.select(kind, this.urlEl.value.trim());
+      }
+    });
+    this.fileInput.addEventListener('change', () => {
+      const files = [...this.fileInput.files];
+      this.fileInput.value = '';
+      if (files.length === 0) return;
+      this.select(this.kindEl.value, this.kindEl.value === 'images' ? files : files[0]);
+    });
+
+    // Cameras plugged in or out
+    if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+      navigator.mediaDevices.addEventListener('devicechange', () => this.refreshCameras());
+    }
+    this.refreshCameras();
+  }
+
+  load() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+    } catch (error) {
+      console.warn('[Input] Could not read saved settings:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * @param {string} kind - Input kind from the select
+   * @param {string|File|Array<File>} src - URL(s) or file(s); image URLs are comma-separated
+   */
+  async select(kind, src) {
+    const fps = THREE.MathUtils.clamp(parseFloat(this.fpsEl.value) || INPUT_IMAGE_FPS, 1, 120);
+    if (kind === 'images' && typeof src === 'string') {
+      src = src.split(',').map(url => url.trim()).filter(Boolean);
+    }
+
+    this.busy = true;
+    this.refresh();
+    await this.onSelect(kind, { src: src || null, fps });
+    this.busy = false;
+
+    localStorage.setItem(this.storageKey, JSON.stringify({ kind, url: this.urlEl.value.trim(), fps }));
+    this.refresh();
+  }
+
+  /**
+   * Save the camera fields; a live webcam switches over straight away
+   */
+  async changeCamera() {
+    const settings = {
+      deviceId: this.cameraEl.value,
+      resolution: this.resolutionEl.value,
+      frameRate: Number(this.frameRateEl.value)
+    };
+    this.cameraStore.save(settings);
+
+    this.busy = true;
+    this.refresh();
+    await this.onCameraChange(settings);
+    this.busy = false;
+    this.refresh();
+  }
+
+  /**
+   * Rebuild the camera list and show the webcam's settings. The saved
+   * camera stays listed while it's unplugged so it's picked again once
+   * it's back.
+   */
+  async refreshCameras() {
+    let cameras = [];
+    try {
+      cameras = await listCameras();
+    } catch (error) {
+      console.warn('[Input] Could not list cameras:', error.message);
+    }
+
+    // The live webcam's size and frame rate may come from the URL rather than the saved settings
+    const saved = this.cameraStore.load();
+    const { live } = this.getSources();
+    const current = live && live.kind === 'webcam' ? live.settings : saved;
+    this.resolutionEl.value = current.resolution;
+    this.frameRateEl.value = current.frameRate;
+
+    const { deviceId } = saved;
+    this.cameraEl.innerHTML = '';
+    this.cameraEl.add(new Option('Default camera', ''));
+    cameras.forEach(({ deviceId: id, label }) => this.cameraEl.add(new Option(label, id)));
+    if (deviceId && !cameras.some(camera => camera.deviceId === deviceId)) {
+      this.cameraEl.add(new Option('Saved camera (not connected)', deviceId));
+    }
+    this.cameraEl.value = deviceId;
+  }
+
+  setVisible(visible) {
+    this.panelEl.classList.toggle('hidden', !visible);
+    if (visible) this.refresh();
+  }
+
+  isVisible() {
+    return !this.panelEl.classList.contains('hidden');
+  }
+
+  refresh() {
+    const kind = this.kindEl.value;
+    const placeholders = {
+      video: 'Video URL (empty to pick a file)',
+      images: 'Image URLs, comma-separated (empty to pick files)',
+      session: 'Session URL (empty to pick a file)',
+      feed: 'Feed address (ws://...)'
+    };
+    this.cameraFieldsEl.style.display = kind === 'webcam' ? '' : 'none';
+    this.urlEl.style.display = placeholders[kind] ? '' : 'none';
+    this.urlEl.placeholder = placeholders[kind] || '';
+    this.fpsEl.style.display = kind === 'images' ? '' : 'none';
+    [this.cameraEl, this.resolutionEl, this.frameRateEl, this.useButton].forEach((el) => {
+      el.disabled = this.busy;
+    });
+    this.useButton.textContent = this.busy ? 'Opening...' : '▶ Use';
+
+    const { live, active, error } = this.getSources();
+    if (active && active !== live) {
+      this.infoEl.textContent = `${active.describe()} · in place of ${live ? live.label : 'a live input'}`;
+    } else {
+      this.infoEl.textContent = live ? live.describe() : error || 'No input. Pick one above or load a recorded session';
+    }
+  }
+
+  /**
+   * Keep the status line current while the panel is open (throttled)
+   */
+  update() {
+    const now = Date.now();
+    if (!this.isVisible() || now - this.lastUpdateTime < 500) return;
+    this.lastUpdateTime = now;
+    this.refresh();
+  }
+}
+
+// ============================================================================
+// PERFORMANCE EXPORT
+// ============================================================================
+
+const BAKE_SAMPLE_RATE = 30; // Frames per second sampled into baked clips and BVH motion
+const BVH_UNIT_SCALE = 100; // BVH offsets and positions are written in centimetres
+
+/**
+ * Keyframe reduction presets: the largest error a dropped key may introduce
+ * in rotations (radians), morph influences and positions (metres)
+ */
+const KEYFRAME_REDUCTION_LEVELS = {
+  lossless: { label: 'Lossless', rotation: 0, morph: 0, position: 0 },
+  fine: { label: 'Fine', rotation: THREE.MathUtils.degToRad(0.1), morph: 0.002, position: 0.0005 },
+  balanced: { label: 'Balanced', rotation: THREE.MathUtils.degToRad(0.5), morph: 0.01, position: 0.002 },
+  smallest: { label: 'Smallest', rotation: THREE.MathUtils.degToRad(1.5), morph: 0.03, position: 0.005 }
+};
+
+/**
+ * Drop keyframes that interpolating between the kept ones reproduces within
+ * the tolerance (Ramer-Douglas-Peucker); a track that never moves collapses
+ * to a single key
+ * @param {THREE.KeyframeTrack} track - Linear number, vector or quaternion track
+ * @param {number} tolerance - Angle in radians for quaternions, largest component difference otherwise
+ * @returns {THREE.KeyframeTrack} A new, reduced track
+ */
+function reduceKeyframes(track, tolerance) {
+  const { times, values } = track;
+  const count = times.length;
+  const stride = track.getValueSize();
+  const quaternion = track instanceof THREE.QuaternionKeyframeTrack;
+  const interpolated = new Float32Array(stride);
+
+  const distance = (a, aOffset, b, bOffset) => {
+    if (quaternion) {
+      let dot = 0;
+      for (let i = 0; i < 4; i++) dot += a[aOffset + i] * b[bOffset + i];
+      return 2 * Math.acos(Math.min(1, Math.abs(dot)));
+    }
+    let largest = 0;
+    for (let i = 0; i < stride; i++) {
+      largest = Math.max(largest, Math.abs(a[aOffset + i] - b[bOffset + i]));
+    }
+    return largest;
+  };
+
+  const measureError = (index, first, last) => {
+    const alpha = (times[index] - times[first]) / (times[last] - times[first]);
+    if (quaternion) {
+      THREE.Quaternion.slerpFlat(interpolated, 0, values, first * 4, values, last * 4, alpha);
+    } else {
+      for (let i = 0; i < stride; i++) {
+        const from = values[first * stride + i];
+        interpolated[i] = from + (values[last * stride + i] - from) * alpha;
+      }
+    }
+    return distance(interpolated, 0, values, index * stride);
+  };
+
+  const keep = new Uint8Array(count);
+  keep[0] = 1;
+  keep[count - 1] = 1;
+
+  const spans = count > 2 ? [[0, count - 1]] : [];
+  while (spans.length > 0) {
+    const [first, last] = spans.pop();
+    let maxError = tolerance;
+    let split = -1;
+    for (let i = first + 1; i < last; i++) {
+      const error = measureError(i, first, last);
+      if (error > maxError) {
+        maxError = error;
+        split = i;
+      }
+    }
+    if (split !== -1) {
+      keep[split] = 1;
+      spans.push([first, split], [split, last]);
+    }
+  }
+
+  // Nothing kept in between and both ends alike: the track holds still
+  const kept = keep.reduce((sum, flag) => sum + flag, 0);
+  if (count > 1 && kept === 2 && distance(values, 0, values, (count - 1) * stride) <= tolerance) {
+    keep[count - 1] = 0;
+  }
+
+  const reducedTimes = [];
+  const reducedValues = [];
+  for (let i = 0; i < count; i++) {
+    if (!keep[i]) continue;
+    reducedTimes.push(times[i]);
+    for (let j = 0; j < stride; j++) reducedValues.push(values[i * stride + j]);
+  }
+  return new track.constructor(track.name, reducedTimes, reducedValues);
+}
+
+/**
+ * Export an object with a baked clip embedded as a binary glTF
+ * @returns {Promise<ArrayBuffer>}
+ */
+function exportAnimatedGLB(root, clip) {
+  return new GLTFExporter().parseAsync(root, { binary: true, animations: [clip] });
+}
+
+/**
+ * Performance Baker
+ * Samples the avatar's bone rotations and morph-target influences while a
+ * take runs, then bakes them into an AnimationClip or BVH motion
+ */
+class PerformanceBaker {
+  constructor(sampleRate = BAKE_SAMPLE_RATE) {
+    this.sampleRate = sampleRate;
+    this.root = null;
+    this.recording = false;
+    this.startTime = 0;
+    this.nextSampleTime = 0;
+    this.createdAt = null;
+    this.clear();
+
+    this._position = new THREE.Vector3();
+    this._quaternion = new THREE.Quaternion();
+    this._scale = new THREE.Vector3();
+  }
+
+  isRecording() {
+    return this.recording;
+  }
+
+  /**
+   * Whether a finished take with at least two samples is available
+   */
+  hasTake() {
+    return !this.recording && this.times.length > 1;
+  }
+
+  getElapsed(now) {
+    return this.recording ? now - this.startTime : 0;
+  }
+
+  getDuration() {
+    return this.times.length > 0 ? this.times[this.times.length - 1] : 0;
+  }
+
+  /**
+   * Forget the current take
+   */
+  clear() {
+    this.recording = false;
+    this.bones = [];
+    this.meshes = [];
+    this.bvhRoot = null;
+    this.bvhOffsets = new Map();
+    this.times = [];
+    this.rotations = [];
+    this.influences = [];
+    this.positions = [];
+    this.rootPositions = [];
+    this.rootRotations = [];
+  }
+
+  /**
+   * Start a take on the given avatar, discovering its bones and morph meshes
+   */
+  start(root, now) {
+    this.clear();
+    this.root = root;
+
+    root.traverse((object) => {
+      if (object.isBone) {
+        this.bones.push(object);
+      } else if (object.isMesh && object.morphTargetInfluences && object.morphTargetInfluences.length > 0) {
+        this.meshes.push(object);
+      }
+    });
+    this.rotations = this.bones.map(() => []);
+    this.influences = this.meshes.map(() => []);
+
+    // BVH holds a single hierarchy: the top-level bone with the most descendants
+    const descendantCount = bone => bone.children.reduce((sum, child) => sum + (child.isBone ? 1 + descendantCount(child) : 0), 0);
+    const topLevel = this.bones.filter(bone => !bone.parent || !bone.parent.isBone);
+    this.bvhRoot = topLevel.reduce((best, bone) => (!best || descendantCount(bone) > descendantCount(best) ? bone : best), null);
+
+    // Joint offsets in avatar units, whatever scale the armature is authored at
+    root.updateWorldMatrix(true, true);
+    const rootScale = root.getWorldScale(this._scale).x;
+    this.bones.forEach((bone) => {
+      if (bone === this.bvhRoot || !bone.parent) return;
+      const parentScale = bone.parent.getWorldScale(this._scale).x / rootScale;
+      this.bvhOffsets.set(bone, bone.position.clone().multiplyScalar(parentScale));
+    });
+    this.basePosition = root.position.clone();
+
+    this.recording = true;
+    this.startTime = now;
+    this.nextSampleTime = now;
+    this.createdAt = new Date().toISOString();
+
+    console.log(`[Bake] Take started: ${this.bones.length} bones, ${this.meshes.length} morph meshes`);
+  }
+
+  stop() {
+    if (!this.recording) return;
+    this.recording = false;
+    console.log(`[Bake] Take stopped: ${this.times.length} samples over ${this.getDuration().toFixed(1)}s`);
+  }
+
+  /**
+   * Sample the avatar's current pose if a sample is due
+   */
+  capture(now) {
+    if (!this.recording || now < this.nextSampleTime) return;
+    this.nextSampleTime = Math.max(this.nextSampleTime + 1000 / this.sampleRate, now);
+
+    const sample = this.times.length;
+    this.times.push((now - this.startTime) / 1000);
+
+    this.bones.forEach((bone, i) => {
+      const samples = this.rotations[i];
+      const { x, y, z, w } = bone.quaternion;
+
+      // Keep neighbouring samples in the same hemisphere so interpolation takes the short way
+      const flip = sample > 0 && x * samples[samples.length - 4] + y * samples[samples.length - 3] +
+        z * samples[samples.length - 2] + w * samples[samples.length - 1] < 0 ? -1 : 1;
+      samples.push(x * flip, y * flip, z * flip, w * flip);
+    });
+
+    this.meshes.forEach((mesh, i) => {
+      this.influences[i].push(...mesh.morphTargetInfluences);
+    });
+
+    this.positions.push(this.root.position.x, this.root.position.y, this.root.position.z);
+
+    if (this.bvhRoot) {
+      this.bvhRoot.updateWorldMatrix(true, false);
+      this.bvhRoot.matrixWorld.decompose(this._position, this._quaternion, this._scale);
+      this._position.sub(this.basePosition);
+      this.rootPositions.push(this._position.x, this._position.y, this._position.z);
+      this.rootRotations.push(this._quaternion.x, this._quaternion.y, this._quaternion.z, this._quaternion.w);
+    }
+  }
+
+  /**
+   * Unreduced tracks for every sampled channel, tagged with the kind of
+   * tolerance that applies to them (objects are addressed by uuid, so
+   * duplicate names can't collide)
+   * @returns {Array<{track: THREE.KeyframeTrack, kind: string}>}
+   */
+  buildTracks() {
+    const tracks = [
+      {
+        track: new THREE.VectorKeyframeTrack(`${this.root.uuid}.position`, this.times, this.positions),
+        kind: 'position'
+      }
+    ];
+
+    this.bones.forEach((bone, i) => {
+      tracks.push({
+        track: new THREE.QuaternionKeyframeTrack(`${bone.uuid}.quaternion`, this.times, this.rotations[i]),
+        kind: 'rotation'
+      });
+    });
+
+    this.meshes.forEach((mesh, i) => {
+      tracks.push({
+        track: new THREE.NumberKeyframeTrack(`${mesh.uuid}.morphTargetInfluences`, this.times, this.influences[i]),
+        kind: 'morph'
+      });
+    });
+
+    return tracks;
+  }
+
+  /**
+   * Bake the take into an AnimationClip with reduced keyframes
+   * @param {Object} level - Entry of KEYFRAME_REDUCTION_LEVELS
+   * @returns {{clip: THREE.AnimationClip, keyCount: number, rawKeyCount: number}|null}
+   */
+  bake(level = KEYFRAME_REDUCTION_LEVELS.balanced) {
+    if (!this.hasTake()) return null;
+
+    const tracks = this.buildTracks();
+    const reduced = tracks.map(({ track, kind }) => reduceKeyframes(track, level[kind]));
+    const rawKeyCount = tracks.reduce((sum, { track }) => sum + track.times.length, 0);
+    const keyCount = reduced.reduce((sum, track) => sum + track.times.length, 0);
+
+    const name = `performance-${this.createdAt.replace(/[:.]/g, '-')}`;
+    const clip = new THREE.AnimationClip(name, this.getDuration(), reduced);
+
+    console.log(`[Bake] ${name}: ${keyCount}/${rawKeyCount} keys after ${level.label.toLowerCase()} reduction`);
+    return { clip, keyCount, rawKeyCount };
+  }
+
+  /**
+   * Write the take as BVH: the skeleton hierarchy with offsets in
+   * centimetres, resampled at a fixed frame rate
+   * @returns {string|null} Null when the avatar has no skeleton
+   */
+  toBVH() {
+    if (!this.hasTake() || !this.bvhRoot) return null;
+
+    const format = value => Number(value.toFixed(4));
+    const usedNames = new Set();
+    const jointName = (bone) => {
+      const base = (bone.name || 'joint').replace(/[^\w.-]/g, '_');
+      let name = base;
+      for (let i = 2; usedNames.has(name); i++) name = `${base}_${i}`;
+      usedNames.add(name);
+      return name;
+    };
+
+    // ===== HIERARCHY =====
+    const lines = ['HIERARCHY'];
+    const joints = [];
+    const writeJoint = (bone, depth) => {
+      const indent = '\t'.repeat(depth);
+      const children = bone.children.filter(child => child.isBone && this.bones.includes(child));
+      const offset = this.bvhOffsets.get(bone) || new THREE.Vector3();
+
+      lines.push(`${indent}${depth === 0 ? 'ROOT' : 'JOINT'} ${jointName(bone)}`);
+      lines.push(`${indent}{`);
+      lines.push(`${indent}\tOFFSET ${offset.toArray().map(v => format(v * BVH_UNIT_SCALE)).join(' ')}`);
+      lines.push(`${indent}\tCHANNELS ${depth === 0 ? '6 Xposition Yposition Zposition' : '3'} Zrotation Xrotation Yrotation`);
+      joints.push(bone);
+
+      children.forEach(child => writeJoint(child, depth + 1));
+
+      // Leaf joints get a short end site along their own offset, so importers see a bone length
+      if (children.length === 0) {
+        const tip = offset.lengthSq() > 1e-10 ? offset.clone().multiplyScalar(0.5) : new THREE.Vector3(0, 0.05, 0);
+        lines.push(`${indent}\tEnd Site`, `${indent}\t{`);
+        lines.push(`${indent}\t\tOFFSET ${tip.toArray().map(v => format(v * BVH_UNIT_SCALE)).join(' ')}`);
+        lines.push(`${indent}\t}`);
+      }
+      lines.push(`${indent}}`);
+    };
+    writeJoint(this.bvhRoot, 0);
+
+    // ===== MOTION =====
+    const tracks = new Map(this.bones.map((bone, i) =>
+      [bone, new THREE.QuaternionKeyframeTrack(bone.uuid, this.times, this.rotations[i]).createInterpolant()]));
+    tracks.set(this.bvhRoot, new THREE.QuaternionKeyframeTrack('root', this.times, this.rootRotations).createInterpolant());
+    const rootPosition = new THREE.VectorKeyframeTrack('root', this.times, this.rootPositions).createInterpolant();
+
+    const frameTime = 1 / this.sampleRate;
+    const frameCount = Math.floor(this.getDuration() / frameTime) + 1;
+    lines.push('MOTION', `Frames: ${frameCount}`, `Frame Time: ${frameTime.toFixed(6)}`);
+
+    const quaternion = new THREE.Quaternion();
+    const euler = new THREE.Euler();
+    const previous = new Map();
+    const unwrap = (angle, last) => (last === undefined ? angle : angle - 360 * Math.round((angle - last) / 360));
+
+    for (let frame = 0; frame < frameCount; frame++) {
+      const time = frame * frameTime;
+      const values = Array.from(rootPosition.evaluate(time), v => format(v * BVH_UNIT_SCALE));
+
+      joints.forEach((bone) => {
+        quaternion.fromArray(tracks.get(bone).evaluate(time));
+        euler.setFromQuaternion(quaternion.normalize(), 'ZXY');
+
+        // Avoid ±180° jumps between frames
+        const last = previous.get(bone) || [];
+        const angles = [euler.z, euler.x, euler.y]
+          .map((angle, i) => unwrap(THREE.MathUtils.radToDeg(angle), last[i]));
+        previous.set(bone, angles);
+        values.push(...angles.map(format));
+      });
+
+      lines.push(values.join(' '));
+    }
+
+    return lines.join('\n') + '\n';
+  }
+}
+
+/**
+ * Export Panel
+ * Bake a take of the live (or played back) performance and download it as
+ * an animated .glb or a .bvh
+ */
+class ExportPanel {
+  constructor(baker, getAvatar) {
+    this.baker = baker;
+    this.getAvatar = getAvatar;
+    this.result = null;
+    this.lastUpdateTime = 0;
+
+    // UI elements
+    this.panelEl = document.getElementById('export-panel');
+    this.recordButton = document.getElementById('export-record');
+    this.reductionEl = document.getElementById('export-reduction');
+    this.infoEl = document.getElementById('export-info');
+    this.glbButton = document.getElementById('export-glb');
+    this.bvhButton = document.getElementById('export-bvh');
+
+    Object.entries(KEYFRAME_REDUCTION_LEVELS).forEach(([value, { label }]) => {
+      this.reductionEl.add(new Option(label, value, false, value === 'balanced'));
+    });
+
+    this.recordButton.addEventListener('click', () => this.toggleBaking());
+    this.reductionEl.addEventListener('change', () => {
+      if (this.baker.hasTake()) {
+        this.bake();
+        this.refresh();
+      }
+    });
+    this.glbButton.addEventListener('click', () => this.downloadGLB());
+    this.bvhButton.addEventListener('click', () => this.downloadBVH());
+
+    this.refresh();
+  }
+
+  setVisible(visible) {
+    this.panelEl.classList.toggle('hidden', !visible);
+  }
+
+  isVisible() {
+    return !this.panelEl.classList.contains('hidden');
+  }
+
+  /**
+   * Start or stop baking a take
+   * @param {boolean} [baking] - Desired state; toggles when omitted
+   */
+  toggleBaking(baking = !this.baker.isRecording()) {
+    if (baking === this.baker.isRecording()) return;
+
+    if (baking) {
+      const avatar = this.getAvatar();
+      if (!avatar) return;
+      this.result = null;
+      this.baker.start(avatar, Date.now());
+    } else {
+      this.baker.stop();
+      this.bake();
+    }
+    this.refresh();
+  }
+
+  bake() {
+    this.result = this.baker.bake(KEYFRAME_REDUCTION_LEVELS[this.reductionEl.value]);
+  }
+
+  /**
+   * Drop the take (its bones belong to an avatar that is going away)
+   */
+  clear() {
+    this.baker.clear();
+    this.result = null;
+    this.refresh();
+  }
+
+  async downloadGLB() {
+    if (!this.result) return;
+
+    this.glbButton.disabled = true;
+    this.infoEl.textContent = 'Exporting .glb...';
+    try {
+      const data = await exportAnimatedGLB(this.baker.root, this.result.clip);
+      this.download(data, 'model/gltf-binary', `${this.result.clip.name}.glb`);
+      this.refresh();
+    } catch (error) {
+      console.error('[Bake] glTF export failed', error);
+      this.refresh();
+      this.infoEl.textContent = `⚠️ ${error.message}`;
+    }
+  }
+
+  downloadBVH() {
+    const bvh = this.baker.toBVH();
+    if (bvh && this.result) {
+      this.download(bvh, 'text/plain', `${this.result.clip.name}.bvh`);
+    }
+  }
+
+  download(data, type, filename) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([data], { type }));
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  /**
+   * Sync buttons and info with the baker
+   */
+  refresh() {
+    const baking = this.baker.isRecording();
+
+    this.recordButton.textContent = baking
+      ? `⏹ Stop ${formatSessionTime(this.baker.getElapsed(Date.now()))}`
+      : '⏺ Bake take';
+    this.glbButton.disabled = !this.result;
+    this.bvhButton.disabled = !this.result || !this.baker.bvhRoot;
+
+    if (baking) {
+      this.infoEl.textContent = `Baking... ${this.baker.times.length} samples`;
+    } else if (this.result) {
+      const { clip, keyCount, rawKeyCount } = this.result;
+      const percent = Math.round(100 * keyCount / rawKeyCount);
+      this.infoEl.textContent = `${formatSessionTime(clip.duration * 1000)} · ${clip.tracks.length} tracks · ${keyCount} keys (${percent}% of ${rawKeyCount})`;
+    } else {
+      this.infoEl.textContent = 'No take baked';
+    }
+  }
+
+  /**
+   * Refresh while baking (throttled)
+   */
+  update() {
+    if (!this.isVisible() || !this.baker.isRecording()) return;
+
+    const now = Date.now();
+    if (now - this.lastUpdateTime < 100) return;
+    this.lastUpdateTime = now;
+    this.refresh();
+  }
+}
+
+// ============================================================================
+// VIDEO CAPTURE
+// ============================================================================
+
+const VIDEO_CAPTURE_FRAME_RATE = 30;
+const VIDEO_CAPTURE_BITRATE = 8000000;
+
+/**
+ * Capture resolutions; "window" keeps the canvas at its current size
+ */
+const VIDEO_CAPTURE_RESOLUTIONS = {
+  window: { label: 'Window size' },
+  '720p': { label: '1280×720', width: 1280, height: 720 },
+  '1080p': { label: '1920×1080', width: 1920, height: 1080 },
+  square: { label: '1080×1080', width: 1080, height: 1080 },
+  vertical: { label: '1080×1920', width: 1080, height: 1920 }
+};
+
+/**
+ * Container formats and the MediaRecorder types to try for them, best first
+ * (only VP8/VP9 WebM can carry an alpha channel)
+ */
+const VIDEO_CAPTURE_FORMATS = {
+  webm: {
+    label: 'WebM',
+    extension: 'webm',
+    alpha: true,
+    mimeTypes: ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm']
+  },
+  mp4: {
+    label: 'MP4',
+    extension: 'mp4',
+    alpha: false,
+    mimeTypes: ['video/mp4;codecs=avc1,mp4a', 'video/mp4;codecs=avc1', 'video/mp4']
+  }
+};
+
+/**
+ * First MediaRecorder type the browser supports for a format
+ * @returns {string|null}
+ */
+function pickVideoMimeType(format) {
+  if (typeof MediaRecorder === 'undefined') return null;
+  return VIDEO_CAPTURE_FORMATS[format].mimeTypes.find(type => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+/**
+ * Canvas Video Recorder
+ * Records a canvas with MediaRecorder, optionally with microphone audio.
+ * The renderer is asked to draw at the capture size for the length of the
+ * recording, so the clip's resolution doesn't depend on the window
+ */
+class CanvasVideoRecorder {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {function({width: number, height: number}|null)} setRenderSize - Null restores the window size
+   * @param {function(boolean)} setTransparent - Hide or restore the background
+   */
+  constructor(canvas, setRenderSize, setTransparent) {
+    this.canvas = canvas;
+    this.setRenderSize = setRenderSize;
+    this.setTransparent = setTransparent;
+    this.mediaRecorder = null;
+    this.microphone = null;
+    this.chunks = [];
+    this.startTime = 0;
+    this.options = null;
+    this.onError = null;
+  }
+
+  isRecording() {
+    return !!this.mediaRecorder;
+  }
+
+  getElapsed(now) {
+    return this.mediaRecorder ? now - this.startTime : 0;
+  }
+
+  /**
+   * @param {{resolution: string, format: string, audio: boolean, transparent: boolean}} options
+   */
+  async start(options) {
+    if (this.mediaRecorder) return;
+
+    const mimeType = pickVideoMimeType(options.format);
+    if (!mimeType) {
+      throw new Error(`This browser can't record ${VIDEO_CAPTURE_FORMATS[options.format].label} video`);
+    }
+    const transparent = options.transparent && VIDEO_CAPTURE_FORMATS[options.format].alpha;
+
+    if (options.audio) {
+      try {
+        this.microphone = await navigator.mediaDevices.getUserMedia({ audio: true });
+      } catch (error) {
+        throw new Error(describeMicrophoneError(error));
+      }
+    }
+
+    // Window-sized captures are rounded to even dimensions, which H.264 requires
+    const resolution = VIDEO_CAPTURE_RESOLUTIONS[options.resolution];
+    this.setRenderSize({
+      width: resolution.width || Math.floor(this.canvas.width / 2) * 2,
+      height: resolution.height || Math.floor(this.canvas.height / 2) * 2
+    });
+    this.setTransparent(transparent);
+
+    try {
+      const stream = this.canvas.captureStream(VIDEO_CAPTURE_FRAME_RATE);
+      if (this.microphone) {
+        this.microphone.getAudioTracks().forEach(track => stream.addTrack(track));
+      }
+
+      this.chunks = [];
+      this.options = { ...options, transparent, mimeType };
+      this.mediaRecorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: VIDEO_CAPTURE_BITRATE });
+      this.mediaRecorder.addEventListener('dataavailable', (e) => {
+        if (e.data.size > 0) this.chunks.push(e.data);
+      });
+      this.mediaRecorder.addEventListener('error', (e) => {
+        console.error('[Video] Recording failed', e.error);
+        if (this.onError) this.onError(e.error || new Error('Recording failed'));
+      });
+      this.mediaRecorder.start(1000);
+      this.startTime = Date.now();
+    } catch (error) {
+      if (this.microphone) this.microphone.getTracks().forEach(track => track.stop());
+      this.microphone = null;
+      this.mediaRecorder = null;
+      this.setRenderSize(null);
+      this.setTransparent(false);
+      throw error;
+    }
+
+    console.log(`[Video] Recording ${this.canvas.width}×${this.canvas.height} as ${mimeType}${this.microphone ? ' with microphone' : ''}`);
+  }
+
+  /**
+   * Finish the recording and restore the renderer
+   * @returns {Promise<{blob: Blob, filename: string, duration: number}|null>}
+   */
+  stop() {
+    const mediaRecorder = this.mediaRecorder;
+    if (!mediaRecorder) return Promise.resolve(null);
+
+    const duration = this.getElapsed(Date.now());
+    return new Promise((resolve) => {
+      mediaRecorder.addEventListener('stop', () => {
+        mediaRecorder.stream.getTracks().forEach(track => track.stop());
+        this.microphone = null;
+        this.mediaRecorder = null;
+        this.setRenderSize(null);
+        this.setTransparent(false);
+
+        const { format, mimeType } = this.options;
+        const blob = new Blob(this.chunks, { type: mimeType.split(';')[0] });
+        const filename = `avatar-${new Date().toISOString().replace(/[:.]/g, '-')}.${VIDEO_CAPTURE_FORMATS[format].extension}`;
+        this.chunks = [];
+
+        console.log(`[Video] Saved ${filename} (${(blob.size / 1048576).toFixed(1)} MB)`);
+        resolve({ blob, filename, duration });
+      }, { once: true });
+
+      if (mediaRecorder.state === 'inactive') {
+        mediaRecorder.dispatchEvent(new Event('stop'));
+      } else {
+        mediaRecorder.stop();
+      }
+    });
+  }
+}
+
+/**
+ * Video Capture Panel
+ * Pick resolution, format, microphone and background, then record the canvas
+ * after an optional countdown; finished clips download straight away
+ */
+class VideoCapturePanel {
+  constructor(recorder) {
+    this.recorder = recorder;
+    this.countdownTimer = null;
+    this.lastUpdateTime = 0;
+
+    // UI elements
+    this.panelEl = document.getElementById('capture-panel');
+    this.resolutionEl = document.getElementById('capture-resolution');
+    this.formatEl = document.getElementById('capture-format');
+    this.audioEl = document.getElementById('capture-audio');
+    this.transparentEl = document.getElementById('capture-transparent');
+    this.countdownSelectEl = document.getElementById('capture-countdown-seconds');
+    this.recordButton = document.getElementById('capture-record');
+    this.infoEl = document.getElementById('capture-info');
+    this.countdownEl = document.getElementById('capture-countdown');
+    this.indicatorEl = document.getElementById('capture-indicator');
+
+    Object.entries(VIDEO_CAPTURE_RESOLUTIONS).forEach(([value, { label }]) => {
+      this.resolutionEl.add(new Option(label, value));
+    });
+    Object.entries(VIDEO_CAPTURE_FORMATS).forEach(([value, { label }]) => {
+      const option = new Option(label, value);
+      option.disabled = !pickVideoMimeType(value);
+      this.formatEl.add(option);
+    });
+    const supported = [...this.formatEl.options].find(option => !option.disabled);
+    if (supported) this.formatEl.value = supported.value;
+
+    this.recordButton.addEventListener('click', () => this.toggleRecording());
+    this.formatEl.addEventListener('change', () => this.refresh());
+    this.recorder.onError = () => this.toggleRecording(false);
+
+    this.refresh();
+  }
+
+  setVisible(visible) {
+    this.panelEl.classList.toggle('hidden', !visible);
+  }
+
+  isVisible() {
+    return !this.panelEl.classList.contains('hidden');
+  }
+
+  isBusy() {
+    return this.recorder.isRecording() || !!this.countdownTimer;
+  }
+
+  /**
+   * Start (after the countdown) or stop recording; stopping during the countdown cancels it
+   * @param {boolean} [recording] - Desired state; toggles when omitted
+   */
+  toggleRecording(recording = !this.isBusy()) {
+    if (recording === this.isBusy()) return;
+
+    if (!recording) {
+      if (this.countdownTimer) {
+        this.cancelCountdown();
+      } else {
+        this.stop();
+      }
+      return;
+    }
+
+    let remaining = parseInt(this.countdownSelectEl.value, 10);
+    if (remaining <= 0) {
+      this.start();
+      return;
+    }
+
+    this.countdownEl.textContent = remaining;
+    this.countdownEl.classList.remove('hidden');
+    this.countdownTimer = setInterval(() => {
+      remaining--;
+      if (remaining > 0) {
+        this.countdownEl.textContent = remaining;
+        return;
+      }
+      this.cancelCountdown();
+      this.start();
+    }, 1000);
+    this.refresh();
+  }
+
+  cancelCountdown() {
+    clearInterval(this.countdownTimer);
+    this.countdownTimer = null;
+    this.countdownEl.classList.add('hidden');
+    this.refresh();
+  }
+
+  async start() {
+    try {
+      await this.recorder.start({
+        resolution: this.resolutionEl.value,
+        format: this.formatEl.value,
+        audio: this.audioEl.checked,
+        transparent: this.transparentEl.checked
+      });
+      this.refresh();
+    } catch (error) {
+      console.error('[Video] Could not start recording', error);
+      this.refresh();
+      this.infoEl.textContent = `⚠️ ${error.message}`;
+    }
+  }
+
+  async stop() {
+    const clip = await this.recorder.stop();
+    this.refresh();
+    if (!clip) return;
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(clip.blob);
+    link.download = clip.filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+
+    this.infoEl.textContent = `Saved ${clip.filename} · ${formatSessionTime(clip.duration)} · ${(clip.blob.size / 1048576).toFixed(1)} MB`;
+  }
+
+  /**
+   * Sync controls, the record button and the REC indicator with the recorder
+   */
+  refresh() {
+    const recording = this.recorder.isRecording();
+    const busy = this.isBusy();
+    const elapsed = formatSessionTime(this.recorder.getElapsed(Date.now()));
+
+    [this.resolutionEl, this.formatEl, this.audioEl, this.countdownSelectEl].forEach((el) => {
+      el.disabled = busy;
+    });
+    const alphaSupported = VIDEO_CAPTURE_FORMATS[this.formatEl.value].alpha;
+    this.transparentEl.disabled = busy || !alphaSupported;
+    if (!alphaSupported) this.transparentEl.checked = false;
+
+    const mimeType = pickVideoMimeType(this.formatEl.value);
+    this.recordButton.disabled = !mimeType;
+    this.recordButton.textContent = recording ? `⏹ Stop ${elapsed}` : this.countdownTimer ? '✖ Cancel' : '⏺ Record video';
+
+    this.indicatorEl.classList.toggle('hidden', !recording);
+    this.indicatorEl.textContent = `● REC ${elapsed}`;
+
+    if (recording) {
+      this.infoEl.textContent = `Recording ${this.recorder.canvas.width}×${this.recorder.canvas.height}${this.recorder.microphone ? ' with microphone' : ''}`;
+    } else if (!busy) {
+      this.infoEl.textContent = mimeType ? `Records as ${mimeType}` : 'Video recording is not supported in this browser';
+    }
+  }
+
+  /**
+   * Tick the elapsed time while recording (throttled)
+   */
+  update() {
+    if (!this.recorder.isRecording()) return;
+
+    const now = Date.now();
+    if (now - this.lastUpdateTime < 250) return;
+    this.lastUpdateTime = now;
+    this.refresh();
+  }
+}
+
+// ============================================================================
+// MULTI-PERSON
+// ============================================================================
+
+const MAX_PEOPLE = 4;
+const PERSON_SPACING = 0.9; // Distance between side-by-side avatars (scene units)
+const FACE_TRACK_TIMEOUT = 1500; // ms a lost face keeps its slot, so whoever comes back gets their avatar back
+
+/**
+ * Face Identity Tracker
+ * Gives every tracked face a stable person slot across frames. MediaPipe
+ * returns faces in no particular order, so each face is matched to the slot
+ * whose last nose position is nearest; faces left over take the lowest free
+ * slot, left to right as seen in the camera preview.
+ */
+class FaceIdentityTracker {
+  constructor() {
+    this.tracks = []; // Per slot: { x, y, lastSeen } or null
+  }
+
+  reset() {
+    this.tracks = [];
+  }
+
+  /**
+   * @param {Array<Object>} faces - Faces from readTrackingFrame
+   * @param {number} slotCount - Number of people being tracked
+   * @returns {Array<Object|null>} Faces indexed by slot
+   */
+  assign(faces, slotCount, now) {
+    this.tracks = Array.from({ length: slotCount }, (_, slot) => {
+      const track = this.tracks[slot];
+      return track && now - track.lastSeen < FACE_TRACK_TIMEOUT ? track : null;
+    });
+
+    // Faces from external feeds may have no landmarks; they count as centred
+    const noses = faces.map(face => (face.landmarks ? face.landmarks[1] : { x: 0.5, y: 0.5 }));
+    const pairs = [];
+    this.tracks.forEach((track, slot) => {
+      if (!track) return;
+      noses.forEach((nose, index) => {
+        pairs.push({ slot, index, distance: Math.hypot(nose.x - track.x, nose.y - track.y) });
+      });
+    });
+    pairs.sort((a, b) => a.distance - b.distance);
+
+    // Greedy nearest match between known slots and this frame's faces
+    const slots = new Array(slotCount).fill(null);
+    const matched = new Set();
+    pairs.forEach(({ slot, index }) => {
+      if (slots[slot] || matched.has(index)) return;
+      slots[slot] = faces[index];
+      matched.add(index);
+    });
+
+    // New faces, left to right in the image (the trackers see what the preview shows)
+    faces
+      .map((face, index) => index)
+      .filter(index => !matched.has(index))
+      .sort((a, b) => noses[a].x - noses[b].x)
+      .forEach((index) => {
+        const slot = this.tracks.findIndex((track, i) => !track && !slots[i]);
+        if (slot !== -1) slots[slot] = faces[index];
+      });
+
+    slots.forEach((face, slot) => {
+      if (face) {
+        const nose = noses[faces.indexOf(face)];
+        this.tracks[slot] = { x: nose.x, y: nose.y, lastSeen: now };
+      }
+    });
+    return slots;
+  }
+}
+
+/**
+ * People Store
+ * Persists how many people are tracked and the avatar URL chosen for each
+ * additional person (person 1 uses the main avatar) in localStorage
+ */
+class PeopleStore {
+  constructor() {
+    this.storageKey = 'avatar.people';
+  }
+
+  load() {
+    try {
+      const data = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+      return {
+        count: THREE.MathUtils.clamp(Math.round(data.count) || 1, 1, MAX_PEOPLE),
+        avatars: Array.isArray(data.avatars) ? data.avatars : []
+      };
+    } catch (error) {
+      console.warn('[People] Could not read saved settings:', error.message);
+      return { count: 1, avatars: [] };
+    }
+  }
+
+  save(data) {
+    localStorage.setItem(this.storageKey, JSON.stringify(data));
+  }
+
+  getCount() {
+    return this.load().count;
+  }
+
+  setCount(count) {
+    this.save({ ...this.load(), count });
+  }
+
+  getAvatar(slot) {
+    return this.load().avatars[slot] || null;
+  }
+
+  setAvatar(slot, url) {
+    const data = this.load();
+    data.avatars[slot] = url || null;
+    this.save(data);
+  }
+}
+
+/**
+ * People Panel
+ * Picks how many faces are tracked and which avatar each person drives,
+ * and shows who is currently in view
+ */
+class PeoplePanel {
+  constructor(store, { onCountChange, onAvatarChange, getTrackedFaces }) {
+    this.store = store;
+    this.onCountChange = onCountChange; // (count) => void
+    this.onAvatarChange = onAvatarChange; // (slot, url) => void
+    this.getTrackedFaces = getTrackedFaces; // () => Array<Object|null> indexed by slot
+    this.lastUpdateTime = 0;
+    this.rows = [];
+
+    // UI elements
+    this.panelEl = document.getElementById('people-panel');
+    this.countEl = document.getElementById('people-count');
+    this.listEl = document.getElementById('people-list');
+    this.infoEl = document.getElementById('people-info');
+
+    for (let count = 1; count <= MAX_PEOPLE; count++) {
+      this.countEl.add(new Option(count === 1 ? '1 person' : `${count} people`, count));
+    }
+    this.countEl.value = this.store.getCount();
+    this.countEl.addEventListener('change', () => {
+      const count = Number(this.countEl.value);
+      this.store.setCount(count);
+      this.onCountChange(count);
+      this.render();
+    });
+
+    this.render();
+  }
+
+  setVisible(visible) {
+    this.panelEl.classList.toggle('hidden', !visible);
+    if (visible) this.refresh();
+  }
+
+  isVisible() {
+    return !this.panelEl.classList.contains('hidden');
+  }
+
+  /**
+   * Build one row per person: tracking indicator, avatar URL and Load button
+   */
+  render() {
+    this.listEl.innerHTML = '';
+    this.rows = [];
+
+    for (let slot = 0; slot < this.store.getCount(); slot++) {
+      const row = document.createElement('div');
+      row.className = 'person-row';
+
+      const label = document.createElement('span');
+      label.className = 'person-label';
+      label.textContent = `Person ${slot + 1}`;
+
+      const urlInput = document.createElement('input');
+      urlInput.type = 'url';
+      urlInput.className = 'control-input';
+      urlInput.placeholder = slot === 0 ? 'Main avatar URL' : 'Avatar URL (default)';
+      urlInput.value = slot === 0 ? '' : this.store.getAvatar(slot) || '';
+
+      const load = document.createElement('button');
+      load.className = 'control-button';
+      load.textContent = 'Load';
+      load.addEventListener('click', () => {
+        const url = urlInput.value.trim();
+        if (slot > 0) this.store.setAvatar(slot, url);
+        if (url || slot > 0) this.onAvatarChange(slot, url);
+      });
+      urlInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') load.click();
+      });
+
+      row.append(label, urlInput, load);
+      this.listEl.appendChild(row);
+      this.rows.push(row);
+    }
+    this.refresh();
+  }
+
+  /**
+   * Mark who is in view
+   */
+  refresh() {
+    const faces = this.getTrackedFaces();
+    this.rows.forEach((row, slot) => row.classList.toggle('tracked', !!faces[slot]));
+
+    const tracked = faces.filter(Boolean).length;
+    const count = this.store.getCount();
+    this.infoEl.textContent = count === 1
+      ? 'Tracking one face'
+      : `${tracked} of ${count} people in view · Person 1 also drives hands, body and lip sync`;
+  }
+
+  /**
+   * Tick the tracking indicators while the panel is open (throttled)
+   */
+  update() {
+    if (!this.isVisible()) return;
+
+    const now = Date.now();
+    if (now - this.lastUpdateTime < 250) return;
+    this.lastUpdateTime = now;
+    this.refresh();
+  }
+}
+
+// ============================================================================
+// NETWORKED SESSIONS
+// ============================================================================
+
+const NETWORK_SEND_RATE = 30; // Pose packets per second
+const NETWORK_PACKET_POSE = 1;
+const NETWORK_FLAGS = { face: 1, blendshapes: 2, leftHand: 4, rightHand: 8 };
+const NETWORK_ANGLE_SCALE = 10000; // Radians, as int16 fixed point
+const NETWORK_POSITION_SCALE = 10000; // Hand world landmarks (metres), as int16 fixed point
+const NETWORK_MIN_DELAY = 40; // Jitter buffer playout delay range (ms)
+const NETWORK_MAX_DELAY = 300;
+const NETWORK_RECONNECT_DELAY = 3000;
+
+function toInt16(value) {
+  return Math.max(-32768, Math.min(32767, Math.round(value)));
+}
+
+/**
+ * Encode a pose packet: a 12-byte header (type, flags, sequence, sender
+ * time), then head rotation, gaze and landmark channels, the ARKit
+ * blendshapes as bytes, and 21 world landmarks per tracked hand
+ * @param {{time: number, face: Object|null, hands: Array}} state - Face from AvatarController.getNetworkState
+ * @returns {ArrayBuffer} Packet
+ */
+function encodePosePacket({ time, face, hands }, sequence) {
+  const sides = ['left', 'right'].map(side => hands.find(hand => hand.side === side && hand.worldLandmarks));
+  const blendshapes = face && face.blendshapes;
+  let flags = face ? NETWORK_FLAGS.face : 0;
+  if (blendshapes) flags |= NETWORK_FLAGS.blendshapes;
+  if (sides[0]) flags |= NETWORK_FLAGS.leftHand;
+  if (sides[1]) flags |= NETWORK_FLAGS.rightHand;
+
+  const size = 12 +
+    (face ? 14 + LANDMARK_CHANNELS.length : 0) +
+    (blendshapes ? ARKIT_BLENDSHAPES.length : 0) +
+    sides.filter(Boolean).length * 21 * 3 * 2;
+  const view = new DataView(new ArrayBuffer(size));
+  let offset = 0;
+  const writeInt16 = (value) => {
+    view.setInt16(offset, toInt16(value), true);
+    offset += 2;
+  };
+  const writeByte = (value) => {
+    view.setUint8(offset++, Math.round(THREE.MathUtils.clamp(value, 0, 1) * 255));
+  };
+
+  view.setUint8(0, NETWORK_PACKET_POSE);
+  view.setUint8(1, flags);
+  view.setUint16(2, sequence & 0xffff, true);
+  view.setFloat64(4, time, true);
+  offset = 12;
+
+  if (face) {
+    const { headRotation, gaze, channels } = face;
+    [headRotation.pitch, headRotation.yaw, headRotation.roll, gaze.left.yaw, gaze.left.pitch, gaze.right.yaw, gaze.right.pitch]
+      .forEach(angle => writeInt16(angle * NETWORK_ANGLE_SCALE));
+    LANDMARK_CHANNELS.forEach(channel => writeByte(channels[channel] ?? 0));
+  }
+  if (blendshapes) {
+    ARKIT_BLENDSHAPES.forEach(name => writeByte(blendshapes[name] ?? 0));
+  }
+  sides.filter(Boolean).forEach(({ worldLandmarks }) => {
+    worldLandmarks.forEach((point) => {
+      writeInt16(point.x * NETWORK_POSITION_SCALE);
+      writeInt16(point.y * NETWORK_POSITION_SCALE);
+      writeInt16(point.z * NETWORK_POSITION_SCALE);
+    });
+  });
+
+  return view.buffer;
+}
+
+/**
+ * Decode a relayed pose packet (the relay puts the sender's id in front)
+ * @returns {{id: number, sequence: number, time: number, face: Object|null, hands: Array}|null} Null if malformed
+ */
+function decodePosePacket(buffer) {
+  const view = new DataView(buffer);
+  if (view.byteLength < 14 || view.getUint8(2) !== NETWORK_PACKET_POSE) return null;
+
+  const flags = view.getUint8(3);
+  let offset = 14;
+  const readInt16 = () => {
+    const value = view.getInt16(offset, true);
+    offset += 2;
+    return value;
+  };
+  const readByte = () => view.getUint8(offset++) / 255;
+
+  try {
+    const packet = {
+      id: view.getUint16(0, true),
+      sequence: view.getUint16(4, true),
+      time: view.getFloat64(6, true),
+      face: null,
+      hands: []
+    };
+
+    if (flags & NETWORK_FLAGS.face) {
+      const [pitch, yaw, roll, leftYaw, leftPitch, rightYaw, rightPitch] =
+        Array.from({ length: 7 }, () => readInt16() / NETWORK_ANGLE_SCALE);
+      packet.face = {
+        headRotation: { pitch, yaw, roll },
+        gaze: { left: { yaw: leftYaw, pitch: leftPitch }, right: { yaw: rightYaw, pitch: rightPitch } },
+        channels: Object.fromEntries(LANDMARK_CHANNELS.map(channel => [channel, readByte()])),
+        blendshapes: null
+      };
+      if (flags & NETWORK_FLAGS.blendshapes) {
+        packet.face.blendshapes = Object.fromEntries(ARKIT_BLENDSHAPES.map(name => [name, readByte()]));
+      }
+    }
+
+    [['left', NETWORK_FLAGS.leftHand], ['right', NETWORK_FLAGS.rightHand]].forEach(([side, flag]) => {
+      if (!(flags & flag)) return;
+      const worldLandmarks = Array.from({ length: 21 }, () => ({
+        x: readInt16() / NETWORK_POSITION_SCALE,
+        y: readInt16() / NETWORK_POSITION_SCALE,
+        z: readInt16() / NETWORK_POSITION_SCALE
+      }));
+      packet.hands.push({ side, worldLandmarks });
+    });
+
+    return packet;
+  } catch (error) {
+    return null; // Truncated packet
+  }
+}
+
+function blendValues(a, b, t) {
+  if (!a || !b) return b;
+  const blended = {};
+  for (const key of Object.keys(b)) {
+    blended[key] = a[key] === undefined ? b[key] : a[key] + (b[key] - a[key]) * t;
+  }
+  return blended;
+}
+
+/**
+ * Blend two decoded pose packets
+ */
+function blendPosePackets(a, b, t) {
+  return {
+    face: a.face && b.face ? {
+      headRotation: blendValues(a.face.headRotation, b.face.headRotation, t),
+      gaze: { left: blendValues(a.face.gaze.left, b.face.gaze.left, t), right: blendValues(a.face.gaze.right, b.face.gaze.right, t) },
+      channels: blendValues(a.face.channels, b.face.channels, t),
+      blendshapes: blendValues(a.face.blendshapes, b.face.blendshapes, t)
+    } : b.face,
+    hands: b.hands.map((hand) => {
+      const from = a.hands.find(({ side }) => side === hand.side);
+      return from ? { ...hand, worldLandmarks: blendPoints(from.worldLandmarks, hand.worldLandmarks, t) } : hand;
+    })
+  };
+}
+
+/**
+ * Jitter Buffer
+ * Holds a remote client's packets and plays them back a little behind real
+ * time, so packets that arrive late or bunched up still come out evenly.
+ * The delay follows the measured jitter (RFC 3550 style) between
+ * NETWORK_MIN_DELAY and NETWORK_MAX_DELAY.
+ */
+class JitterBuffer {
+  constructor() {
+    this.packets = []; // Sorted by sender time
+    this.offset = null; // Arrival minus sender time (ms) on the fastest path seen
+    this.jitter = 0;
+    this.delay = NETWORK_MIN_DELAY;
+    this.lastArrival = 0;
+    this.lastTime = 0;
+    this.playoutTime = -Infinity; // Sender time of the last sample
+  }
+
+  push(packet, arrival) {
+    // Too late to play, or already here
+    if (packet.time <= this.playoutTime || this.packets.some(({ time }) => time === packet.time)) return;
+
+    // Track the fastest path, letting it creep up so clock drift can't strand playback
+    const offset = arrival - packet.time;
+    if (this.offset === null || offset < this.offset) {
+      this.offset = offset;
+    } else {
+      this.offset += (offset - this.offset) * 0.01;
+    }
+
+    if (this.lastArrival && packet.time > this.lastTime) {
+      const variation = Math.abs((arrival - this.lastArrival) - (packet.time - this.lastTime));
+      this.jitter += (variation - this.jitter) / 16;
+      this.delay = THREE.MathUtils.clamp(NETWORK_MIN_DELAY + this.jitter * 3, NETWORK_MIN_DELAY, NETWORK_MAX_DELAY);
+    }
+    if (packet.time > this.lastTime) {
+      this.lastArrival = arrival;
+      this.lastTime = packet.time;
+    }
+
+    const index = this.packets.findIndex(({ time }) => time > packet.time);
+    this.packets.splice(index === -1 ? this.packets.length : index, 0, packet);
+  }
+
+  /**
+   * Pose at the playout time, or null once the sender has gone quiet
+   */
+  sample(now) {
+    if (this.packets.length === 0 || now - this.lastArrival > TRACKING_STALE_TIME) return null;
+
+    const time = now - this.offset - this.delay;
+    this.playoutTime = Math.max(this.playoutTime, time);
+
+    // Drop everything before the pair that brackets the playout time
+    while (this.packets.length > 2 && this.packets[1].time <= time) {
+      this.packets.shift();
+    }
+
+    const [a, b] = this.packets;
+    if (!b || time <= a.time) return a;
+    if (time >= b.time) return b;
+    return blendPosePackets(a, b, (time - a.time) / (b.time - a.time));
+  }
+}
+
+/**
+ * Remote Avatar
+ * Another client's avatar, driven from its pose packets
+ */
+class RemoteAvatar {
+  constructor(id) {
+    this.id = id;
+    this.name = `Guest ${id}`;
+    this.avatarUrl = null;
+    this.avatar = null;
+    this.controller = null;
+    this.handRetargeter = null;
+    this.loadingUrl = null;
+    this.buffer = new JitterBuffer();
+    this.lastPacketTime = 0;
+  }
+
+  update(now, deltaTime) {
+    if (!this.controller) return;
+
+    const packet = this.buffer.sample(now);
+    if (packet && packet.face) {
+      this.controller.updateFromNetworkState(packet.face, deltaTime);
+    }
+    this.handRetargeter.update(packet ? packet.hands : [], deltaTime);
+    this.controller.update(deltaTime);
+  }
+}
+
+/**
+ * Network Session
+ * Connection to the relay (scripts/relay-server.js): announces this
+ * client's name and avatar, streams pose packets at NETWORK_SEND_RATE and
+ * reports other clients joining, leaving and moving. Reconnects on its own
+ * until disconnect() is called.
+ */
+class NetworkSession {
+  constructor() {
+    this.socket = null;
+    this.url = null;
+    this.profile = null;
+    this.id = null;
+    this.status = 'offline'; // offline, connecting, connected
+    this.sequence = 0;
+    this.lastSendTime = 0;
+    this.packetsSent = 0;
+    this.reconnectTimer = null;
+
+    // Callbacks
+    this.onStatus = null; // (status, message) => void
+    this.onPeer = null; // ({id, name, avatar}) => void
+    this.onLeave = null; // (id) => void
+    this.onPose = null; // (packet, arrival) => void
+  }
+
+  isConnected() {
+    return this.status === 'connected';
+  }
+
+  /**
+   * @param {string} relayUrl - Relay address, e.g. ws://localhost:8787
+   * @param {string} room - Room name (the relay's URL path)
+   * @param {{name: string, avatar: string|null}} profile - Shown to the other clients
+   */
+  connect(relayUrl, room, profile) {
+    this.disconnect();
+    const url = new URL(relayUrl);
+    url.pathname = `/${encodeURIComponent(room || 'lobby')}`;
+    this.url = url.href;
+    this.profile = profile;
+    this.open();
+  }
+
+  open() {
+    this.setStatus('connecting');
+    const socket = new WebSocket(this.url);
+    socket.binaryType = 'arraybuffer';
+    this.socket = socket;
+
+    socket.onopen = () => {
+      socket.send(JSON.stringify({ type: 'hello', ...this.profile }));
+    };
+    socket.onmessage = event => this.handleMessage(event.data);
+    socket.onclose = () => {
+      if (this.socket !== socket) return;
+      this.socket = null;
+      this.id = null;
+      this.setStatus('connecting', `Relay unreachable, retrying in ${NETWORK_RECONNECT_DELAY / 1000} s`);
+      this.reconnectTimer = setTimeout(() => this.open(), NETWORK_RECONNECT_DELAY);
+    };
+  }
+
+  disconnect() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.close();
+    }
+    this.id = null;
+    this.setStatus('offline');
+  }
+
+  setProfile(profile) {
+    this.profile = profile;
+    if (this.isConnected()) {
+      this.socket.send(JSON.stringify({ type: 'hello', ...profile }));
+    }
+  }
+
+  handleMessage(data) {
+    if (data instanceof ArrayBuffer) {
+      const packet = decodePosePacket(data);
+      if (packet && this.onPose) this.onPose(packet, performance.now());
+      return;
+    }
+
+    const message = JSON.parse(data);
+    switch (message.type) {
+      case 'welcome':
+        this.id = message.id;
+        this.setStatus('connected');
+        message.peers.forEach(peer => this.onPeer && this.onPeer(peer));
+        break;
+      case 'peer':
+        if (this.onPeer) this.onPeer(message);
+        break;
+      case 'leave':
+        if (this.onLeave) this.onLeave(message.id);
+        break;
+    }
+  }
+
+  /**
+   * Send this client's pose, throttled to NETWORK_SEND_RATE
+   * @param {number} now - performance.now() timestamp
+   * @param {Object|null} face - AvatarController.getNetworkState(), or null without a face
+   * @param {Array} hands - Tracked hands
+   */
+  sendPose(now, face, hands) {
+    if (!this.isConnected() || now - this.lastSendTime < 1000 / NETWORK_SEND_RATE - 2) return;
+    if (!face && hands.length === 0) return;
+    // Skip a frame rather than queue behind a slow connection
+    if (this.socket.bufferedAmount > 16384) return;
+
+    this.lastSendTime = now;
+    this.socket.send(encodePosePacket({ time: now, face, hands }, this.sequence++));
+    this.packetsSent++;
+  }
+
+  setStatus(status, message = '') {
+    this.status = status;
+    if (this.onStatus) this.onStatus(status, message);
+  }
+}
+
+/**
+ * Network Panel
+ * Relay address, room and display name, the connection state and the
+ * other clients in the room
+ */
+class NetworkPanel {
+  constructor(session, getRemoteAvatars, getAvatarUrl) {
+    this.session = session;
+    this.getRemoteAvatars = getRemoteAvatars; // () => Map<id, RemoteAvatar>
+    this.getAvatarUrl = getAvatarUrl; // () => shareable URL of this client's avatar, or null
+    this.storageKey = 'avatar.network';
+    this.lastUpdateTime = 0;
+    this.lastPacketsSent = 0;
+    this.sendRate = 0;
+    this.statusMessage = '';
+
+    // UI elements
+    this.panelEl = document.getElementById('network-panel');
+    this.urlEl = document.getElementById('network-url');
+    this.roomEl = document.getElementById('network-room');
+    this.nameEl = document.getElementById('network-name');
+    this.connectButton = document.getElementById('network-connect');
+    this.peersEl = document.getElementById('network-peers');
+    this.infoEl = document.getElementById('network-info');
+
+    const saved = this.load();
+    this.urlEl.value = saved.url || 'ws://localhost:8787';
+    this.roomEl.value = saved.room || 'lobby';
+    this.nameEl.value = saved.name || '';
+
+    this.connectButton.addEventListener('click', () => {
+      if (this.session.status === 'offline') {
+        this.connect();
+      } else {
+        this.session.disconnect();
+      }
+    });
+  }
+
+  load() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+    } catch (error) {
+      console.warn('[Network] Could not read saved settings:', error.message);
+      return {};
+    }
+  }
+
+  getSettings() {
+    return { url: this.urlEl.value.trim(), room: this.roomEl.value.trim(), name: this.nameEl.value.trim() };
+  }
+
+  /**
+   * Connect with the panel's settings (optionally replaced, e.g. from the page URL)
+   * @returns {boolean} Whether the relay address was valid
+   */
+  connect(overrides = {}) {
+    Object.entries(overrides).forEach(([key, value]) => {
+      const el = { url: this.urlEl, room: this.roomEl, name: this.nameEl }[key];
+      if (el && value) el.value = value;
+    });
+
+    const settings = this.getSettings();
+    try {
+      this.session.connect(settings.url, settings.room, { name: settings.name, avatar: this.getAvatarUrl() });
+    } catch (error) {
+      this.statusMessage = `Invalid relay address: ${settings.url}`;
+      this.refresh();
+      return false;
+    }
+    localStorage.setItem(this.storageKey, JSON.stringify(settings));
+    return true;
+  }
+
+  setVisible(visible) {
+    this.panelEl.classList.toggle('hidden', !visible);
+    if (visible) this.refresh();
+  }
+
+  isVisible() {
+    return !this.panelEl.classList.contains('hidden');
+  }
+
+  setStatus(status, message) {
+    this.statusMessage = message;
+    this.refresh();
+  }
+
+  refresh() {
+    const { status, id } = this.session;
+    [this.urlEl, this.roomEl, this.nameEl].forEach((el) => {
+      el.disabled = status !== 'offline';
+    });
+    this.connectButton.textContent = status === 'offline' ? '🔌 Connect' : '✖ Disconnect';
+    this.connectButton.classList.toggle('primary', status === 'offline');
+
+    const remotes = [...this.getRemoteAvatars().values()];
+    this.peersEl.innerHTML = '';
+    remotes.forEach((remote) => {
+      const row = document.createElement('div');
+      row.className = 'person-row';
+      row.classList.toggle('tracked', performance.now() - remote.lastPacketTime < TRACKING_STALE_TIME);
+
+      const label = document.createElement('span');
+      label.className = 'person-label';
+      label.textContent = remote.name;
+      label.title = remote.avatarUrl || 'Default avatar';
+
+      const info = document.createElement('span');
+      info.className = 'network-peer-info';
+      info.textContent = remote.controller ? `${Math.round(remote.buffer.delay)} ms buffer` : 'Loading avatar...';
+
+      row.append(label, info);
+      this.peersEl.appendChild(row);
+    });
+
+    if (status === 'connected') {
+      this.infoEl.textContent = `Connected as #${id} · ${remotes.length} other ${remotes.length === 1 ? 'client' : 'clients'} · sending ${Math.round(this.sendRate)} packets/s`;
+    } else if (status === 'connecting') {
+      this.infoEl.textContent = this.statusMessage || 'Connecting...';
+    } else {
+      this.infoEl.textContent = this.statusMessage || 'Not connected. Start a relay with npm run relay';
+    }
+  }
+
+  /**
+   * Refresh the send rate and peer list while the panel is open (throttled)
+   */
+  update() {
+    const now = Date.now();
+    if (now - this.lastUpdateTime < 1000) return;
+    this.sendRate = (this.session.packetsSent - this.lastPacketsSent) * 1000 / (now - this.lastUpdateTime);
+    this.lastPacketsSent = this.session.packetsSent;
+    this.lastUpdateTime = now;
+
+    if (this.isVisible()) {
+      this.refresh();
+    }
+  }
+}
+
+// ============================================================================
+// VMC OUTPUT
+// ============================================================================
+
+const VMC_BRIDGE_URL = 'ws://localhost:39540'; // scripts/vmc-bridge.js
+const VMC_SEND_RATE = 60; // Frames per second
+const VMC_RECONNECT_DELAY = 3000;
+
+/**
+ * VMC blendshape names (VRM 0.x clip presets) for the VRM expression presets
+ */
+const VMC_BLENDSHAPE_PRESETS = {
+  Blink_L: 'blinkLeft',
+  Blink_R: 'blinkRight',
+  A: 'aa',
+  I: 'ih',
+  U: 'ou',
+  E: 'ee',
+  O: 'oh',
+  Joy: 'happy',
+  Sorrow: 'sad',
+  Angry: 'angry',
+  Surprised: 'surprised'
+};
+
+/**
+ * Unity HumanBodyBones name for a VRM humanoid bone name. VRM 1.0 thumbs
+ * start at the metacarpal, Unity's one joint further out
+ */
+function toVMCBoneName(name) {
+  const unityName = name
+    .replace('ThumbProximal', 'ThumbIntermediate')
+    .replace('ThumbMetacarpal', 'ThumbProximal');
+  return unityName[0].toUpperCase() + unityName.slice(1);
+}
+
+const roundVMCValue = value => Math.round(value * 100000) / 100000;
+
+/**
+ * three.js is right-handed and Unity left-handed: mirror along X
+ */
+function toUnityPosition({ x, y, z }) {
+  return [-x, y, z].map(roundVMCValue);
+}
+
+function toUnityRotation({ x, y, z, w }) {
+  return [x, -y, -z, w].map(roundVMCValue);
+}
+
+/**
+ * VMC Exporter
+ * Streams person 1's bones and expressions to the VMC bridge, which sends
+ * them on as OSC over UDP (browsers can't) to VSeeFace, Unity and the like
+ */
+class VMCExporter {
+  constructor() {
+    this.socket = null;
+    this.url = VMC_BRIDGE_URL;
+    this.status = 'offline'; // offline, connecting, connected
+    this.targets = []; // Receivers the bridge sends to, e.g. 127.0.0.1:39539
+    this.lastSendTime = 0;
+    this.reconnectTimer = null;
+    this.root = null;
+    this.bones = []; // Rest pose per exported bone, see setAvatar
+
+    // Callbacks
+    this.onStatus = null; // (status, message) => void
+
+    this._rotation = new THREE.Quaternion();
+    this._offset = new THREE.Vector3();
+  }
+
+  isConnected() {
+    return this.status === 'connected';
+  }
+
+  /**
+   * @param {string} url - Bridge address, e.g. ws://localhost:39540
+   */
+  connect(url = this.url) {
+    this.disconnect();
+    this.url = url;
+    this.open();
+  }
+
+  open() {
+    let socket;
+    try {
+      socket = new WebSocket(this.url);
+    } catch (error) {
+      this.setStatus('offline', `Invalid bridge address: ${this.url}`);
+      return;
+    }
+    this.setStatus('connecting');
+    this.socket = socket;
+
+    socket.onmessage = (event) => {
+      const message = JSON.parse(event.data);
+      if (message.type === 'ready') {
+        this.targets = message.targets;
+        this.setStatus('connected');
+      }
+    };
+    socket.onclose = () => {
+      if (this.socket !== socket) return;
+      this.socket = null;
+      this.setStatus('connecting', `Bridge unreachable, retrying in ${VMC_RECONNECT_DELAY / 1000} s`);
+      this.reconnectTimer = setTimeout(() => this.open(), VMC_RECONNECT_DELAY);
+    };
+  }
+
+  disconnect() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.close();
+    }
+    this.setStatus('offline');
+  }
+
+  /**
+   * Capture the avatar's rest pose. VMC receivers expect local rotations of
+   * a T-posed rig whose bone axes all line up with the world (Unity's
+   * humanoid), so each bone's rotation from rest is turned into its parent's
+   * rest frame before sending
+   * @param {THREE.Object3D|null} root - Avatar root
+   * @param {Object<string, THREE.Object3D|null>} bones - Bones keyed by VRM humanoid bone name
+   */
+  setAvatar(root, bones = {}) {
+    this.root = root;
+    this.bones = [];
+    if (!root) return;
+
+    root.updateWorldMatrix(true, true);
+    const scale = root.getWorldScale(new THREE.Vector3()).x || 1;
+    Object.entries(bones).forEach(([name, bone]) => {
+      if (!bone || !bone.parent) return;
+
+      const parentRest = bone.parent.getWorldQuaternion(new THREE.Quaternion());
+      const offset = bone.getWorldPosition(new THREE.Vector3())
+        .sub(bone.parent.getWorldPosition(new THREE.Vector3()))
+        .divideScalar(scale);
+      this.bones.push({
+        name: toVMCBoneName(name),
+        bone,
+        restInverse: bone.quaternion.clone().invert(),
+        parentRest,
+        parentRestInverse: parentRest.clone().invert(),
+        position: toUnityPosition(offset)
+      });
+    });
+
+    console.log(`[VMC] Exporting ${this.bones.length} bones`);
+  }
+
+  /**
+   * Send the avatar's current pose and expressions, throttled to VMC_SEND_RATE
+   * @param {number} now - performance.now() timestamp
+   * @param {AvatarController} controller - Controller driving the avatar
+   */
+  send(now, controller) {
+    if (!this.isConnected() || !this.root || now - this.lastSendTime < 1000 / VMC_SEND_RATE - 2) return;
+    // Skip a frame rather than queue behind a stalled bridge
+    if (this.socket.bufferedAmount > 65536) return;
+    this.lastSendTime = now;
+
+    // Head translation moves the whole avatar away from its base position
+    const rootOffset = this._offset.copy(this.root.position).sub(controller.basePosition);
+
+    const bones = this.bones.map(({ name, bone, restInverse, parentRest, parentRestInverse, position }) => {
+      const rotation = this._rotation.copy(parentRest)
+        .multiply(bone.quaternion)
+        .multiply(restInverse)
+        .multiply(parentRestInverse);
+      return [name, ...position, ...toUnityRotation(rotation)];
+    });
+
+    // Presets for any VRM model, plus the raw ARKit scores for perfect sync models
+    const { channels, blendshapes } = controller.getNetworkState();
+    const weights = blendshapes ? blendshapeExpressionWeights(blendshapes) : landmarkExpressionWeights(channels);
+    const blendshapeValues = Object.entries(VMC_BLENDSHAPE_PRESETS)
+      .map(([name, expression]) => [name, roundVMCValue(weights[expression] ?? 0)]);
+    if (blendshapes) {
+      ARKIT_BLENDSHAPES.forEach((name) => {
+        blendshapeValues.push([name, roundVMCValue(blendshapes[name] ?? 0)]);
+      });
+    }
+
+    this.socket.send(JSON.stringify({
+      type: 'frame',
+      time: now / 1000,
+      root: [...toUnityPosition(rootOffset), 0, 0, 0, 1],
+      bones,
+      blendshapes: blendshapeValues
+    }));
+  }
+
+  setStatus(status, message = '') {
+    this.status = status;
+    if (this.onStatus) this.onStatus(status, message);
+  }
+}
+
+// ============================================================================
+// MAIN APPLICATION
+// ============================================================================
+
+const MAX_FRAME_DELTA = 0.1; // Longest frame (s) simulated in one go, e.g. after a stalled tab
+const FRAME_STEP = 1 / 60; // Time advanced by one debug step (s)
+
+/**
+ * Frame Clock
+ * Real seconds between rendered frames, plus a pause/step mode for
+ * debugging: while paused every frame advances by zero, except one
+ * FRAME_STEP per requested step
+ */
+class FrameClock {
+  constructor() {
+    this.lastTime = null;
+    this.delta = 0;
+    this.elapsed = 0; // Simulated seconds (stops while paused)
+    this.paused = false;
+    this.pendingSteps = 0;
+  }
+
+  /**
+   * Advance to a new frame
+   * @param {number} now - performance.now()
+   * @returns {number} Seconds to simulate this frame
+   */
+  tick(now) {
+    const realDelta = this.lastTime === null ? 0 : Math.min((now - this.lastTime) / 1000, MAX_FRAME_DELTA);
+    this.lastTime = now;
+
+    if (!this.paused) {
+      this.delta = realDelta;
+    } else if (this.pendingSteps > 0) {
+      this.pendingSteps--;
+      this.delta = FRAME_STEP;
+    } else {
+      this.delta = 0;
+    }
+    this.elapsed += this.delta;
+    return this.delta;
+  }
+
+  setPaused(paused) {
+    this.paused = paused;
+    this.pendingSteps = 0;
+  }
+
+  /**
+   * Advance one FRAME_STEP on the next frame (while paused)
+   */
+  step() {
+    if (this.paused) this.pendingSteps++;
+  }
+}
+
+/**
+ * Colours for the animated background gradient (top, middle, bottom)
+ */
+const BACKGROUND_THEMES = {
+  midnight: [0x1a1a2e, 0x16213e, 0x0f3460],
+  sunset: [0x2d1b3d, 0x8e3b5f, 0xf08a4b],
+  forest: [0x0f2417, 0x1d4d2b, 0x3f7d4e],
+  aurora: [0x0b1d2a, 0x1b4f5c, 0x3ccf91]
+};
+
+/**
+ * Broadcast mode backgrounds: chroma-key colours, alpha, or the usual animated gradient
+ */
+const BROADCAST_BACKGROUNDS = {
+  green: 0x00ff00,
+  blue: 0x0000ff,
+  transparent: null,
+  animated: null
+};
+
+/**
+ * Read broadcast mode settings from the page URL, e.g.
+ * ?broadcast&background=green&width=1280&height=720&fps=30
+ * @returns {{width: number, height: number, fps: number, background: string}|null} Null outside broadcast mode
+ */
+function parseBroadcastOptions(search) {
+  const params = new URLSearchParams(search);
+  if (!params.has('broadcast') && params.get('mode') !== 'broadcast') return null;
+
+  const integer = (name, fallback, min, max) => {
+    const value = parseInt(params.get(name), 10);
+    return Number.isFinite(value) ? THREE.MathUtils.clamp(value, min, max) : fallback;
+  };
+  const background = params.get('background');
+
+  return {
+    width: integer('width', 1920, 16, 4096),
+    height: integer('height', 1080, 16, 4096),
+    fps: integer('fps', 30, 1, 120),
+    background: Object.hasOwn(BROADCAST_BACKGROUNDS, background) ? background : 'transparent'
+  };
+}
+
+class AvatarApp {
+  constructor() {
+    // Trackers
+    this.faceTracker = new FaceTracker();
+    this.handTracker = new HandTracker();
+    this.poseTracker = new PoseTracker();
+    this.poseRetargeter = null;
+    this.handRetargeter = null;
+    this.fingerTrackingEnabled = true;
+    this.filesetResolver = null;
+    this.inferenceMode = new URLSearchParams(window.location.search).get('inference') === 'main' ? 'main' : 'worker';
+    this.inferenceWorker = null; // Set when the trackers run in tracking-worker.js
+    this.trackingInterpolator = new TrackingInterpolator();
+    this.performanceGovernor = new PerformanceGovernor(tier => this.applyQualityTier(tier));
+    this.clock = new FrameClock();
+    this.keyLight = null;
+    this.avatarController = null;
+    this.faceIdentity = new FaceIdentityTracker();
+    this.peopleStore = new PeopleStore();
+    this.peopleCount = 1;
+    this.peoplePanel = null;
+    this.performers = new Map(); // Slot (1+) -> { avatar, controller, url } for everyone but person 1
+    this.performerRequests = [];
+    this.trackedFaces = [];
+    this.network = new NetworkSession();
+    this.networkPanel = null;
+    this.vmcExporter = new VMCExporter();
+    this.remoteAvatars = new Map(); // Relay peer id -> RemoteAvatar
+    this.performanceMonitor = new PerformanceMonitor();
+    this.calibrationStore = new CalibrationProfileStore();
+    this.calibrationWizard = null;
+    this.calibrationProfile = null;
+    this.gestureStore = new GestureStore();
+    this.gestureRecognizer = new GestureRecognizer(this.gestureStore.getGestures());
+    this.gestureRecorder = null;
+    this.gesturePanel = null;
+    this.faceEventDetector = new FaceEventDetector();
+    this.actionBindings = new ActionBindings();
+    this.bindingsPanel = null;
+    this.sessionRecorder = new SessionRecorder();
+    this.sessionPlayer = new SessionPlayer();
+    this.sessionSource = new SessionSource(this.sessionPlayer);
+    this.sessionPanel = null;
+    this.inputSource = null; // Live input; session playback stands in for it (see getActiveSource)
+    this.inputError = null; // Why the last live input failed to open, for the input panel
+    this.inputPanel = null;
+    this.cameraStore = new CameraSettingsStore();
+    this.mirrored = this.cameraStore.load().mirrored; // Whether image inputs are flipped like a mirror
+    this.mirrorCanvas = null; // Flipped copy of the current image for the trackers
+    this.mirrorContext = null;
+    this.cameraLost = false; // The webcam went away; reopen it when a camera shows up
+    this.cameraReconnecting = false;
+    this.lipSync = new LipSync();
+    this.lastFaceTime = 0;
+    this.lastLipSyncInfoTime = 0;
+    this.performanceBaker = new PerformanceBaker();
+    this.exportPanel = null;
+    this.videoRecorder = null;
+    this.videoCapturePanel = null;
+    this.retargetMap = this.loadRetargetMap();
+    this.morphEditor = null;
+
+    // Particle systems
+    this.confettiParticles = null;
+    this.sparkleParticles = null;
+    this.ambientParticles = null;
+
+    // Three.js
+    this.scene = null;
+    this.camera = null;
+    this.renderer = null;
+    this.controls = null;
+    this.avatar = null;
+    this.backgroundPlane = null;
+    this.backgroundMaterial = null;
+
+    // State
+    this.lastImageTime = -1; // Time of the last image from the input sent to the trackers
+    this.debugMode = false;
+    this.debugCanvas = null;
+    this.debugCtx = null;
+    this.particlesEnabled = true;
+    this.backgroundFXEnabled = true;
+    this.backgroundTheme = 'midnight';
+    this.captureSize = null;
+    this.transparentCapture = false;
+    this.broadcast = parseBroadcastOptions(window.location.search);
+    this.assets = resolveAssetConfig(window.location.search);
+    this.lastRenderTime = 0;
+    this.headTranslationEnabled = false;
+    this.lookAtCameraEnabled = false;
+    this.avatarLoading = false;
+    this.avatarUrl = null; // Where the main avatar was loaded from (blob: for local files)
+
+    // UI Elements
+    this.statusEl = document.getElementById('status');
+    this.loadingEl = document.getElementById('loading');
+    this.loadingProgressEl = document.getElementById('loading-progress');
+    this.loadingStatusEl = document.getElementById('loading-status');
+    this.videoFeedEl = document.getElementById('video-feed');
+    this.webcamVideoEl = document.getElementById('webcam');
+    this.gestureNotificationEl = document.getElementById('gesture-notification');
+    this.avatarInfoEl = document.getElementById('avatar-info');
+    this.lipSyncInfoEl = document.getElementById('lipsync-info');
+  }
+
+  /**
+   * Main initialization function
+   */
+  async initialize() {
+    if (this.broadcast) {
+      document.body.classList.add('broadcast');
+      this.performanceGovernor.frameRateCap = this.broadcast.fps;
+      console.log(`[Broadcast] ${this.broadcast.width}×${this.broadcast.height} at ${this.broadcast.fps} fps, ${this.broadcast.background} background`);
+    }
+
+    try {
+      // Step 1: Open the input (0-20%): the webcam unless ?input= picks another;
+      // without one, recorded sessions can still be played back
+      const params = new URLSearchParams(window.location.search);
+      const inputKind = params.get('input') || 'webcam';
+      const camera = this.cameraStore.load();
+      if (WEBCAM_RESOLUTIONS[params.get('resolution')]) {
+        camera.resolution = params.get('resolution');
+      }
+      if (WEBCAM_FRAME_RATES.includes(Number(params.get('camera-fps')))) {
+        camera.frameRate = Number(params.get('camera-fps'));
+      }
+      if (params.has('mirror')) {
+        this.mirrored = !['0', 'false', 'off'].includes(params.get('mirror'));
+      }
+      this.videoFeedEl.classList.toggle('mirrored', this.mirrored);
+      this.watchCameras();
+
+      this.updateLoadingProgress(0, inputKind === 'webcam' ? 'Requesting camera access...' : 'Opening input...');
+      if (inputKind !== 'session') {
+        try {
+          await this.setInputSource(createInputSource(inputKind, {
+            webcamVideo: this.webcamVideoEl,
+            camera,
+            src: inputKind === 'images' ? (params.get('src') || '').split(',').filter(Boolean) : params.get('src'),
+            fps: parseFloat(params.get('fps')) || INPUT_IMAGE_FPS
+          }));
+        } catch (error) {
+          console.warn('[Input]', error.message);
+          // The chosen camera may be unplugged; until it's back, use the default one
+          if (inputKind === 'webcam' && camera.deviceId) {
+            await this.setInputSource(new WebcamSource(this.webcamVideoEl, { ...camera, deviceId: '' }))
+              .catch(fallbackError => console.warn('[Input]', fallbackError.message));
+          }
+        }
+        this.updateLoadingProgress(20, this.inputSource ? 'Input ready!' : 'No input - session playback only');
+      }
+
+      // Step 2: Initialize MediaPipe (20-60%)
+      this.updateLoadingProgress(20, 'Loading AI models...');
+      await this.initMediaPipe();
+      this.updateLoadingProgress(60, 'AI models loaded!');
+
+      // Step 3: Initialize Three.js (60-80%)
+      this.updateLoadingProgress(60, 'Preparing 3D avatar...');
+      this.initThreeJS();
+      await this.loadAvatar();
+      this.updateLoadingProgress(80, '3D avatar ready!');
+
+      // Step 4: Setup UI and debug (80-100%)
+      this.updateLoadingProgress(80, 'Setting up interface...');
+      this.setupDebugCanvas();
+      this.setupControls();
+      this.updateLoadingProgress(100, 'Almost ready...');
+
+      // Step 5: Start tracking
+      setTimeout(() => {
+        this.updateStatus(this.inputSource ? 'Ready' : 'No input - pick one or load a recorded session', !!this.inputSource);
+        this.loadingEl.classList.add('hidden');
+        this.startTracking();
+        this.enableOfflineCache();
+      }, 500);
+
+    } catch (error) {
+      this.handleError('Initialization failed', error);
+    }
+  }
+
+  /**
+   * Register the service worker (production builds only) and have it cache
+   * everything this page loaded, plus the runtime and models (the inference
+   * worker's requests don't show up in this page's resource timing, and the
+   * pose model loads on demand), so the next start works without a network
+   */
+  async enableOfflineCache() {
+    if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+    try {
+      await navigator.serviceWorker.register(`${ASSET_BASE}sw.js`, { scope: ASSET_BASE });
+      const registration = await navigator.serviceWorker.ready;
+
+      const { wasm, faceModel, handModel, poseModel } = this.assets;
+      const runtime = (await FilesetResolver.isSimdSupported()) ? 'vision_wasm_internal' : 'vision_wasm_nosimd_internal';
+      const loaded = performance.getEntriesByType('resource').map(entry => entry.name);
+      const urls = [...new Set([...loaded, `${wasm}/${runtime}.js`, `${wasm}/${runtime}.wasm`, faceModel, handModel, poseModel]
+        .map(url => new URL(url, window.location.href).href))]
+        .filter(url => /^https?:/.test(url));
+      registration.active?.postMessage({ type: 'cache', urls });
+      console.log(`[Offline] Caching ${urls.length} assets (${this.assets.preset} preset)`);
+    } catch (error) {
+      console.warn('[Offline] Service worker unavailable:', error.message);
+    }
+  }
+
+  /**
+   * Start a source and make it the live input, closing the previous one
+   * (which stays on if the new one fails to start). A camera often can't be
+   * opened twice, or at another size, while it's in use, so a webcam
+   * replacing a webcam closes the old one first and reopens it on failure.
+   * @param {InputSource|null} source - New live input, or null for none
+   * @throws {Error} If the source can't be opened
+   */
+  async setInputSource(source) {
+    const previous = this.inputSource;
+    const cameraSwitch = !!source && source.kind === 'webcam' && !!previous && previous.kind === 'webcam';
+    if (cameraSwitch) {
+      previous.stop();
+    }
+
+    if (source) {
+      try {
+        await source.start();
+      } catch (error) {
+        this.inputError = error.message;
+        if (cameraSwitch) {
+          const restored = new WebcamSource(this.webcamVideoEl, previous.settings);
+          await restored.start().then(() => this.useInputSource(restored), () => {
+            // No camera at all now; watchCameras reopens one when it's plugged in
+            this.cameraLost = true;
+            this.useInputSource(null);
+          });
+        }
+        throw error;
+      }
+    }
+    if (previous && !cameraSwitch) {
+      previous.stop();
+    }
+    this.useInputSource(source);
+  }
+
+  /**
+   * Make an already started source (or none) the live input
+   */
+  useInputSource(source) {
+    this.inputSource = source;
+    this.lastImageTime = -1;
+    if (source) {
+      this.inputError = null;
+      this.cameraLost = false;
+    }
+    if (source && source.kind === 'webcam') {
+      source.onEnded = () => this.handleCameraLost(source);
+    }
+    this.showInputPreview();
+    console.log(`[Input] ${source ? source.describe() : 'None'}`);
+
+    if (this.inputPanel) {
+      this.inputPanel.refresh();
+      if (source && source.kind === 'webcam') {
+        this.inputPanel.refreshCameras(); // Camera names are only listed once permission is granted
+      }
+    }
+  }
+
+  /**
+   * Switch input from the input panel: a new live input (ending session
+   * playback), or a recorded session to play in place of the live one
+   * @param {string} kind - webcam, video, images, session, feed or synthetic
+   * @param {{src: string|File|Array|null, fps: number}} options - See createInputSource
+   * @returns {Promise<boolean>} Whether the input is now active
+   */
+  async selectInput(kind, { src, fps }) {
+    if (kind === 'session') {
+      if (src) {
+        await (typeof src === 'string' ? this.sessionPanel.loadURL(src) : this.sessionPanel.loadFile(src));
+      }
+      return this.sessionPlayer.isActive();
+    }
+
+    try {
+      await this.setInputSource(createInputSource(kind, { webcamVideo: this.webcamVideoEl, camera: this.cameraStore.load(), src, fps }));
+    } catch (error) {
+      console.warn('[Input]', error.message);
+      this.showGestureNotification(`⚠️ ${error.message}`);
+      return false;
+    }
+
+    if (this.sessionPlayer.isActive()) {
+      this.sessionPlayer.stop();
+      this.sessionPanel.refresh();
+    }
+    this.updateStatus('Ready', true);
+    return true;
+  }
+
+  /**
+   * Camera settings changed in the input panel: reopen the webcam with them
+   * if it's the live input. The trackers keep running, so nothing reloads.
+   */
+  async changeCamera(settings) {
+    if (!this.inputSource || this.inputSource.kind !== 'webcam') return;
+
+    try {
+      await this.setInputSource(new WebcamSource(this.webcamVideoEl, settings));
+    } catch (error) {
+      console.warn('[Input]', error.message);
+      this.showGestureNotification(`⚠️ ${error.message}`);
+    }
+  }
+
+  /**
+   * Flip image inputs like a mirror, or show them as the camera sees them.
+   * The trackers get the same image as the preview either way, so the avatar
+   * always moves the way the preview does.
+   */
+  setMirrored(mirrored) {
+    this.mirrored = mirrored;
+    this.cameraStore.save({ mirrored });
+    this.videoFeedEl.classList.toggle('mirrored', mirrored);
+    console.log(`[Input] Mirroring ${mirrored ? 'on' : 'off'}`);
+  }
+
+  /**
+   * Follow cameras coming and going: reopen the webcam when a camera shows
+   * up after it was lost, and go back to the chosen camera when it's
+   * plugged in again after a fallback
+   */
+  watchCameras() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.addEventListener) return;
+
+    navigator.mediaDevices.addEventListener('devicechange', async () => {
+      const source = this.inputSource;
+      if (this.cameraLost) {
+        this.reconnectCamera();
+        return;
+      }
+      if (!source || source.kind !== 'webcam') return;
+
+      if (source.hasEnded()) {
+        // Some browsers only report an unplugged camera here
+        this.handleCameraLost(source);
+        return;
+      }
+      const { deviceId } = this.cameraStore.load();
+      if (deviceId && source.settings.deviceId !== deviceId && (await listCameras()).some(camera => camera.deviceId === deviceId)) {
+        this.changeCamera(this.cameraStore.load());
+      }
+    });
+  }
+
+  /**
+   * The live webcam stopped (unplugged, or taken away by the system)
+   */
+  async handleCameraLost(source) {
+    if (source !== this.inputSource || this.cameraLost) return;
+
+    this.cameraLost = true;
+    this.showGestureNotification('📷 Camera disconnected');
+    await this.setInputSource(null);
+    this.reconnectCamera();
+  }
+
+  /**
+   * Reopen the webcam after it was lost: the chosen camera if it's there,
+   * otherwise the default one. With no camera the input stays off until
+   * one is plugged in (see watchCameras).
+   */
+  async reconnectCamera() {
+    if (this.cameraReconnecting) return;
+    this.cameraReconnecting = true;
+
+    const settings = this.cameraStore.load();
+    const attempts = settings.deviceId ? [settings.deviceId, ''] : [''];
+    for (const deviceId of attempts) {
+      if (!this.cameraLost) break; // Another input was picked meanwhile
+      try {
+        await this.setInputSource(new WebcamSource(this.webcamVideoEl, { ...settings, deviceId }));
+        this.showGestureNotification(`📷 Switched to ${this.inputSource.label}`);
+        this.updateStatus('Ready', true);
+      } catch (error) {
+        console.warn('[Input]', error.message);
+      }
+    }
+
+    this.cameraReconnecting = false;
+    if (this.cameraLost) {
+      this.inputError = 'Camera disconnected. Plug one in, or pick another input.';
+      this.updateStatus('Camera disconnected', false);
+      if (this.inputPanel) this.inputPanel.refresh();
+    }
+  }
+
+  /**
+   * The input tracking comes from right now: session playback while it's on, otherwise the live input
+   */
+  getActiveSource() {
+    return this.sessionPlayer.isActive() ? this.sessionSource : this.inputSource;
+  }
+
+  /**
+   * Show the live input's preview (video or image canvas) in the corner, or hide it
+   */
+  showInputPreview() {
+    const preview = this.inputSource && this.inputSource.preview;
+    [...this.videoFeedEl.children].forEach((child) => {
+      if (child !== preview && child !== this.debugCanvas) child.remove();
+    });
+    if (preview && preview.parentNode !== this.videoFeedEl) {
+      this.videoFeedEl.prepend(preview);
+    }
+    this.videoFeedEl.style.display = preview ? 'block' : 'none';
+  }
+
+  async initMediaPipe() {
+    if (this.inferenceMode === 'worker' && InferenceWorker.isSupported()) {
+      const worker = new InferenceWorker();
+      try {
+        await worker.initialize(this.assets);
+        worker.onResult = (frame, timestamp, latency) => this.handleWorkerResult(frame, timestamp, latency);
+        this.inferenceWorker = worker;
+        this.performanceMonitor.setInferenceMode('worker');
+        console.log('[Tracking] Inference running in a worker');
+        return;
+      } catch (error) {
+        worker.terminate();
+        console.warn('[Tracking] Worker inference unavailable, using the main thread:', error.message);
+      }
+    }
+
+    this.performanceMonitor.setInferenceMode('main');
+    try {
+      const filesetResolver = await FilesetResolver.forVisionTasks(this.assets.wasm);
+      this.filesetResolver = filesetResolver;
+
+      // Initialize face tracker
+      await this.faceTracker.initialize(filesetResolver, this.assets.faceModel);
+
+      // Initialize hand tracker
+      await this.handTracker.initialize(filesetResolver, this.assets.handModel);
+    } catch (error) {
+      console.error('[Assets]', error);
+      throw new Error(`Failed to load AI models. ${error.message}`);
+    }
+  }
+
+  /**
+   * Turn upper-body tracking on or off, loading the pose model on first use
+   */
+  async setPoseTrackingEnabled(enabled) {
+    if (this.inferenceWorker) {
+      if (enabled) {
+        this.updateStatus('Loading pose model...');
+      }
+      try {
+        await this.inferenceWorker.setPoseEnabled(enabled);
+      } catch (error) {
+        console.error('[Assets]', error);
+        this.showGestureNotification('⚠️ Could not load the pose model');
+        return false;
+      }
+    } else if (enabled && !this.poseTracker.landmarker) {
+      this.updateStatus('Loading pose model...');
+      try {
+        await this.poseTracker.initialize(this.filesetResolver, this.assets.poseModel);
+      } catch (error) {
+        console.error('[Assets]', error);
+        this.showGestureNotification('⚠️ Could not load the pose model');
+        return false;
+      }
+    }
+
+    this.poseTracker.enabled = enabled;
+    if (!enabled && this.poseRetargeter) {
+      this.poseRetargeter.reset();
+    }
+    if (this.avatarController) {
+      this.avatarController.spineDriven = enabled;
+    }
+    if (this.handRetargeter) {
+      this.handRetargeter.orientWrists = enabled;
+    }
+    return true;
+  }
+
+  /**
+   * Turn microphone lip sync on or off
+   */
+  async setLipSyncEnabled(enabled) {
+    if (!enabled) {
+      this.lipSync.stop();
+      if (this.avatarController) {
+        this.avatarController.setLipSync(null);
+      }
+      this.lipSyncInfoEl.textContent = 'Microphone off';
+      return true;
+    }
+
+    try {
+      await this.lipSync.start();
+    } catch (error) {
+      this.showGestureNotification(`⚠️ ${error.message}`);
+      return false;
+    }
+    return true;
+  }
+
+  initThreeJS() {
+    const canvas = document.getElementById('canvas');
+
+    // Scene
+    this.scene = new THREE.Scene();
+
+    // Camera
+    this.camera = new THREE.PerspectiveCamera(
+      50,
+      window.innerWidth / window.innerHeight,
+      0.1,
+      1000
+    );
+    this.camera.position.set(0, 1, 4);
+    this.camera.lookAt(0, 0.5, 0);
+
+    // Renderer
+    this.renderer = new THREE.WebGLRenderer({ canvas, antialias: true, alpha: true });
+    this.renderer.shadowMap.enabled = true;
+    this.applyRenderSize();
+
+    // Enhanced Lighting - 3-point setup
+    const ambientLight = new THREE.AmbientLight(0xffffff, 0.3);
+    this.scene.add(ambientLight);
+
+    // Key light (main)
+    const keyLight = new THREE.DirectionalLight(0xffffff, 1.2);
+    keyLight.position.set(5, 8, 5);
+    keyLight.castShadow = true;
+    this.scene.add(keyLight);
+    this.keyLight = keyLight;
+
+    // Fill light (soften shadows)
+    const fillLight = new THREE.DirectionalLight(0x9eceff, 0.4);
+    fillLight.position.set(-5, 3, -3);
+    this.scene.add(fillLight);
+
+    // Rim light (edge highlighting)
+    const rimLight = new THREE.DirectionalLight(0xffe0bd, 0.8);
+    rimLight.position.set(0, 3, -8);
+    this.scene.add(rimLight);
+
+    // Animated gradient background
+    this.createAnimatedBackground();
+
+    // Initialize particle systems
+    this.confettiParticles = new ConfettiParticles(this.scene);
+    this.sparkleParticles = new SparkleParticles(this.scene);
+    this.ambientParticles = new AmbientParticles(this.scene);
+
+    // Broadcast mode swaps the animated background for a key colour or alpha
+    if (this.broadcast && this.broadcast.background !== 'animated') {
+      this.backgroundFXEnabled = false;
+      this.ambientParticles.setEnabled(false);
+      document.getElementById('background-toggle').classList.remove('active');
+    }
+    this.updateBackgroundVisibility();
+    this.applyQualityTier(this.performanceGovernor.tier);
+
+    // OrbitControls - ZOOM ONLY
+    this.controls = new OrbitControls(this.camera, canvas);
+    this.controls.target.set(0, 0.5, 0);
+    this.controls.enablePan = false;
+    this.controls.enableRotate = false; // Disable rotation
+    this.controls.enableZoom = true;
+    this.controls.minDistance = 1.5; // Allow closer zoom
+    this.controls.maxDistance = 8;
+    this.controls.update();
+
+    // Handle resize
+    window.addEventListener('resize', () => this.handleResize());
+
+    // Start render loop
+    this.animate();
+  }
+
+  /**
+   * Create animated gradient background using shaders
+   */
+  createAnimatedBackground() {
+    const geometry = new THREE.PlaneGeometry(20, 20);
+
+    // Custom shader for animated gradient (BACKGROUND_DETAIL waves, set by the quality tier)
+    this.backgroundMaterial = new THREE.ShaderMaterial({
+      defines: { BACKGROUND_DETAIL: QUALITY_TIERS.high.backgroundDetail },
+      uniforms: {
+        time: { value: 0 },
+        color1: { value: new THREE.Color(BACKGROUND_THEMES[this.backgroundTheme][0]) },
+        color2: { value: new THREE.Color(BACKGROUND_THEMES[this.backgroundTheme][1]) },
+        color3: { value: new THREE.Color(BACKGROUND_THEMES[this.backgroundTheme][2]) }
+      },
+      vertexShader: `
+        varying vec2 vUv;
+        void main() {
+          vUv = uv;
+          gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+      `,
+      fragmentShader: `
+        uniform float time;
+        uniform vec3 color1;
+        uniform vec3 color2;
+        uniform vec3 color3;
+        varying vec2 vUv;
+
+        void main() {
+          float gradient = vUv.y;
+          #if BACKGROUND_DETAIL > 0
+            gradient += sin(vUv.y * 3.0 + time * 0.5) * 0.1;
+          #endif
+          #if BACKGROUND_DETAIL > 1
+            gradient += sin(vUv.x * 2.0 + time * 0.3) * 0.1;
+          #endif
 
           vec3 color;
           if (gradient < 0.5) {
@@ -992,214 +8271,1309 @@ class AvatarApp {
             color = mix(color2, color1, (gradient - 0.5) * 2.0);
           }
 
-          gl_FragColor = vec4(color, 1.0);
-        }
-      `,
-      side: THREE.DoubleSide
+          gl_FragColor = vec4(color, 1.0);
+        }
+      `,
+      side: THREE.DoubleSide
+    });
+
+    this.backgroundPlane = new THREE.Mesh(geometry, this.backgroundMaterial);
+    this.backgroundPlane.position.z = -10;
+    this.scene.add(this.backgroundPlane);
+  }
+
+  /**
+   * Create a GLTFLoader that also understands VRM 0.x/1.0 extensions
+   */
+  createAvatarLoader(manager) {
+    const loader = new GLTFLoader(manager);
+    loader.register(parser => new VRMLoaderPlugin(parser));
+    return loader;
+  }
+
+  async loadAvatar() {
+    const loader = this.createAvatarLoader();
+    // Try multiple male avatar URLs in order of preference
+    const requestedUrl = new URLSearchParams(window.location.search).get('avatar');
+    const avatarUrls = [
+      ...(requestedUrl ? [requestedUrl] : []), // ?avatar=<url>, e.g. for a broadcast source
+      ...this.assets.avatars
+    ];
+
+    // Try loading models in sequence until one works
+    for (let i = 0; i < avatarUrls.length; i++) {
+      try {
+        console.log(`[Avatar] Trying to load model ${i + 1}/${avatarUrls.length}...`);
+        const result = await this.tryLoadAvatar(loader, avatarUrls[i]);
+        console.log(`[Avatar] Successfully loaded model ${i + 1}`);
+        if (i > 0) {
+          console.warn(`[Avatar] Fell back to model ${i + 1} of ${avatarUrls.length}`);
+        }
+        this.setAvatar(result);
+        return result;
+      } catch (error) {
+        console.warn(`[Avatar] Model ${i + 1} failed:`, error.message);
+        if (i === avatarUrls.length - 1) {
+          throw new Error(`Failed to load any avatar model (last tried ${avatarUrls[i]}: ${error.message})`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Load an avatar from a URL and hot-swap it in place of the current one
+   */
+  loadAvatarFromUrl(avatarUrl) {
+    return this.swapAvatar(avatarUrl, () => this.tryLoadAvatar(this.createAvatarLoader(), avatarUrl));
+  }
+
+  /**
+   * Load an avatar from local files (a .glb/.vrm, or a .gltf together with its
+   * .bin and texture files) and hot-swap it in place of the current one
+   * @param {FileList|File[]} files - Files from the picker or a drop event
+   */
+  loadAvatarFromFiles(files) {
+    files = Array.from(files);
+    const modelFile = files.find(file => /\.(glb|gltf|vrm)$/i.test(file.name));
+    if (!modelFile) {
+      this.showGestureNotification('⚠️ Drop a .glb, .gltf or .vrm file to load an avatar');
+      return Promise.resolve(null);
+    }
+
+    // Resolve the model's relative resource URIs to the other dropped files
+    const blobUrls = new Map(files.map(file => [file.name, URL.createObjectURL(file)]));
+    const manager = new THREE.LoadingManager();
+    manager.setURLModifier((url) => {
+      const fileName = decodeURIComponent(url.split('/').pop());
+      return blobUrls.get(fileName) || url;
+    });
+
+    const loader = this.createAvatarLoader(manager);
+    return this.swapAvatar(modelFile.name, () => this.tryLoadAvatar(loader, blobUrls.get(modelFile.name)))
+      .finally(() => blobUrls.forEach(url => URL.revokeObjectURL(url)));
+  }
+
+  /**
+   * Run an avatar load and swap it in on success; the current avatar stays if it fails
+   * @param {string} label - Name shown in status messages
+   * @param {Function} load - Returns a promise for the tryLoadAvatar result
+   */
+  async swapAvatar(label, load) {
+    if (this.avatarLoading) {
+      this.showGestureNotification('⏳ An avatar is already loading');
+      return null;
+    }
+
+    this.avatarLoading = true;
+    this.updateStatus(`Loading avatar ${label}...`);
+
+    try {
+      const result = await load();
+      this.setAvatar(result);
+      this.showGestureNotification('🧍 Avatar loaded!');
+      return result;
+    } catch (error) {
+      console.warn('[Avatar] Failed to load', label, error);
+      this.updateStatus('Avatar failed to load');
+      this.showGestureNotification(`⚠️ Could not load avatar: ${error.message}`);
+      return null;
+    } finally {
+      this.avatarLoading = false;
+    }
+  }
+
+  /**
+   * Load a model and discover its head/neck bones and morph meshes
+   * (VRM models use their humanoid bone map and expressions instead)
+   * @returns {Promise<{model: THREE.Object3D, headBone: THREE.Bone|null, neckBone: THREE.Bone|null, morphMeshes: THREE.Mesh[], vrm: Object|null, url: string}>}
+   */
+  tryLoadAvatar(loader, avatarUrl) {
+    return new Promise((resolve, reject) => {
+      // Set a timeout for loading
+      const timeout = setTimeout(() => {
+        reject(new Error('Model loading timeout'));
+      }, 10000); // 10 second timeout
+
+      loader.load(
+        avatarUrl,
+        (gltf) => {
+          clearTimeout(timeout);
+          const model = gltf.scene;
+
+          const vrm = gltf.userData.vrm;
+          if (vrm) {
+            resolve({ ...this.prepareVRM(vrm), url: avatarUrl });
+            return;
+          }
+
+          let headBone = null;
+          let neckBone = null;
+          const eyeBones = { left: null, right: null };
+          const bodyBones = findHumanoidBones(model);
+          const morphMeshes = [];
+
+          model.traverse((child) => {
+            // Find head bone
+            if (child.isBone && child.name.toLowerCase().includes('head')) {
+              if (!child.name.toLowerCase().includes('end')) {
+                headBone = child;
+              }
+            }
+
+            // Find neck bone
+            if (child.isBone && !neckBone && child.name.toLowerCase().includes('neck')) {
+              neckBone = child;
+            }
+
+            // Find eye bones (LeftEye, eye_L, Eye.L, ...)
+            if (child.isBone) {
+              const name = child.name.toLowerCase().replace(/[_.\s-]/g, '');
+              if (!eyeBones.left && (name.includes('lefteye') || name.endsWith('eyel'))) {
+                eyeBones.left = child;
+              } else if (!eyeBones.right && (name.includes('righteye') || name.endsWith('eyer'))) {
+                eyeBones.right = child;
+              }
+            }
+
+            // Find morph meshes
+            if (child.isMesh && child.morphTargetInfluences && child.morphTargetDictionary) {
+              morphMeshes.push(child);
+              // Log available morph targets for debugging
+              console.log('[Avatar] Morph targets for', child.name, ':', Object.keys(child.morphTargetDictionary));
+            }
+          });
+
+          const morphCount = new Set(morphMeshes.flatMap(mesh => Object.keys(mesh.morphTargetDictionary))).size;
+          console.log(`[Avatar] Head bone: ${headBone ? headBone.name : 'none'}, neck bone: ${neckBone ? neckBone.name : 'none'}, eye bones: ${eyeBones.left ? eyeBones.left.name : 'none'}/${eyeBones.right ? eyeBones.right.name : 'none'}, ${morphCount} morph targets on ${morphMeshes.length} meshes`);
+
+          resolve({ model, headBone, neckBone, eyeBones, bodyBones, morphMeshes, vrm: null, url: avatarUrl });
+        },
+        (progress) => {
+          // Log loading progress
+          if (progress.lengthComputable) {
+            const percent = (progress.loaded / progress.total) * 100;
+            console.log(`[Avatar] Loading: ${percent.toFixed(0)}%`);
+          }
+        },
+        (error) => {
+          clearTimeout(timeout);
+          reject(error);
+        }
+      );
+    });
+  }
+
+  /**
+   * Optimize a loaded VRM and report its humanoid bones and expressions
+   */
+  prepareVRM(vrm) {
+    VRMUtils.removeUnnecessaryVertices(vrm.scene);
+    VRMUtils.combineSkeletons(vrm.scene);
+    VRMUtils.rotateVRM0(vrm);
+
+    // Skinned VRM meshes often have bounds that don't follow the pose
+    vrm.scene.traverse((child) => {
+      child.frustumCulled = false;
+    });
+
+    const humanoid = vrm.humanoid;
+    const version = vrm.meta && vrm.meta.metaVersion === '0' ? '0.x' : '1.0';
+    const bones = ['head', 'neck', 'spine', 'leftEye', 'rightEye']
+      .map(name => `${name}: ${humanoid.getRawBoneNode(name) ? humanoid.getRawBoneNode(name).name : 'none'}`);
+    const expressions = vrm.expressionManager ? Object.keys(vrm.expressionManager.expressionMap) : [];
+    console.log(`[Avatar] VRM ${version} - ${bones.join(', ')}`);
+    console.log('[Avatar] VRM expressions:', expressions);
+
+    const bodyBones = {};
+    Object.keys(HUMANOID_BONE_PATTERNS).forEach((name) => {
+      bodyBones[name] = humanoid.getNormalizedBoneNode(name);
+    });
+
+    return {
+      model: vrm.scene,
+      headBone: humanoid.getRawBoneNode('head'),
+      neckBone: humanoid.getRawBoneNode('neck'),
+      bodyBones,
+      morphMeshes: [],
+      vrm
+    };
+  }
+
+  /**
+   * Tear down the current avatar and controller and build new ones
+   * @param {Object} result - Result of tryLoadAvatar
+   */
+  setAvatar({ model, headBone, neckBone, eyeBones, bodyBones, morphMeshes, vrm, url }) {
+    this.disposeAvatar();
+
+    this.avatar = model;
+    this.avatarUrl = url;
+    this.avatar.position.set(0, -1.5, 0);
+    this.avatar.scale.set(1, 1, 1);
+    this.scene.add(this.avatar);
+
+    // Initialize avatar controller
+    this.avatarController = this.createAvatarController({ model, headBone, neckBone, eyeBones, morphMeshes, vrm });
+    this.avatarController.setCalibration(this.calibrationProfile);
+    this.avatarController.spineDriven = this.poseTracker.enabled;
+    this.layoutAvatars();
+    this.poseRetargeter = new PoseRetargeter(this.avatar, bodyBones);
+    this.handRetargeter = new HandRetargeter(this.avatar, bodyBones);
+    this.handRetargeter.orientWrists = this.poseTracker.enabled;
+
+    // VMC output reads the same bones the controller and retargeters drive (VRM: the normalized rig)
+    const eyes = vrm
+      ? { left: vrm.humanoid.getNormalizedBoneNode('leftEye'), right: vrm.humanoid.getNormalizedBoneNode('rightEye') }
+      : this.avatarController.eyeBones;
+    this.vmcExporter.setAvatar(this.avatar, {
+      ...bodyBones,
+      neck: this.avatarController.neckBone,
+      head: this.avatarController.headBone,
+      leftEye: eyes.left,
+      rightEye: eyes.right
+    });
+
+    this.updateAvatarInfo(headBone, morphMeshes, vrm);
+    if (this.morphEditor) {
+      this.morphEditor.setController(this.avatarController);
+    }
+
+    // Other clients in a networked session load the new avatar too
+    if (this.network.profile) {
+      this.network.setProfile({ ...this.network.profile, avatar: this.getShareableAvatarUrl() });
+    }
+  }
+
+  /**
+   * Absolute URL of the main avatar, or null if it came from local files
+   */
+  getShareableAvatarUrl() {
+    if (!this.avatarUrl || this.avatarUrl.startsWith('blob:')) return null;
+    return new URL(this.avatarUrl, window.location.href).href;
+  }
+
+  /**
+   * Build a face controller for a loaded avatar with the current view settings
+   * @param {Object} result - Result of tryLoadAvatar
+   */
+  createAvatarController({ model, headBone, neckBone, eyeBones, morphMeshes, vrm }) {
+    const controller = vrm
+      ? new VRMAvatarController(vrm)
+      : new AvatarController(model, headBone, morphMeshes, neckBone, eyeBones);
+    controller.setHeadTranslationEnabled(this.headTranslationEnabled);
+    controller.setRetargetMap(this.retargetMap);
+    controller.setLookAtCamera(this.lookAtCameraEnabled ? this.camera : null);
+    return controller;
+  }
+
+  /**
+   * Every face controller: person 1's, then the other people's
+   */
+  getAvatarControllers() {
+    return [this.avatarController, ...[...this.performers.values()].map(({ controller }) => controller)]
+      .filter(Boolean);
+  }
+
+  /**
+   * Face controllers of the networked session's avatars. They pose and update
+   * themselves (RemoteAvatar.update), so only settings are applied through these
+   */
+  getRemoteAvatarControllers() {
+    return [...this.remoteAvatars.values()].map(({ controller }) => controller).filter(Boolean);
+  }
+
+  /**
+   * Track up to `count` faces, each driving its own avatar side by side.
+   * Hands, body, lip sync and recording stay with person 1
+   */
+  setPeopleCount(count) {
+    this.peopleCount = count;
+    this.faceIdentity.reset();
+    if (this.inferenceWorker) {
+      this.inferenceWorker.setNumFaces(count);
+    } else {
+      this.faceTracker.setNumFaces(count)
+        .catch(error => console.warn('[People] Could not change the face count:', error.message));
+    }
+
+    [...this.performers.keys()].filter(slot => slot >= count).forEach(slot => this.removePerformer(slot));
+    for (let slot = 1; slot < count; slot++) {
+      if (!this.performers.has(slot) && !this.performerRequests[slot]) {
+        this.loadPerformer(slot, this.peopleStore.getAvatar(slot));
+      }
+    }
+    this.layoutAvatars();
+    console.log(`[People] Tracking up to ${count} ${count === 1 ? 'face' : 'faces'}`);
+  }
+
+  /**
+   * Load the avatar for an additional person (default: the next built-in avatar)
+   * @param {number} slot - Person slot, 1 or more
+   * @param {string|null} url - Avatar URL
+   */
+  async loadPerformer(slot, url) {
+    const avatarUrl = url || this.assets.avatars[slot % this.assets.avatars.length];
+    const request = { url: avatarUrl };
+    this.performerRequests[slot] = request;
+
+    let result;
+    try {
+      result = await this.tryLoadAvatar(this.createAvatarLoader(), avatarUrl);
+    } catch (error) {
+      console.warn(`[People] Avatar for person ${slot + 1} failed:`, error.message);
+      this.showGestureNotification(`⚠️ Could not load avatar for person ${slot + 1}: ${error.message}`);
+      return;
+    } finally {
+      if (this.performerRequests[slot] === request) {
+        this.performerRequests[slot] = null;
+      }
+    }
+
+    // Superseded by another load, or the person was removed meanwhile
+    if (this.performerRequests[slot] || slot >= this.peopleCount) {
+      VRMUtils.deepDispose(result.model);
+      return;
+    }
+
+    this.removePerformer(slot);
+    this.scene.add(result.model);
+    this.performers.set(slot, { avatar: result.model, controller: this.createAvatarController(result), url: avatarUrl });
+    this.layoutAvatars();
+    console.log(`[People] Person ${slot + 1} avatar loaded from ${avatarUrl}`);
+  }
+
+  removePerformer(slot) {
+    const performer = this.performers.get(slot);
+    if (!performer) return;
+
+    this.scene.remove(performer.avatar);
+    VRMUtils.deepDispose(performer.avatar);
+    this.performers.delete(slot);
+  }
+
+  /**
+   * Place the avatars side by side: this client's people first (person 1 on
+   * the left, as in the camera preview), then other clients' avatars
+   */
+  layoutAvatars() {
+    const remotes = [...this.remoteAvatars.values()].filter(remote => remote.avatar);
+    const total = this.peopleCount + remotes.length;
+    const place = (avatar, controller, slot) => {
+      avatar.position.set((slot - (total - 1) / 2) * PERSON_SPACING, -1.5, 0);
+      if (controller) {
+        controller.basePosition.copy(avatar.position);
+        controller.translationOrigin = null;
+      }
+    };
+
+    if (this.avatar) {
+      place(this.avatar, this.avatarController, 0);
+    }
+    this.performers.forEach(({ avatar, controller }, slot) => place(avatar, controller, slot));
+    remotes
+      .sort((a, b) => a.id - b.id)
+      .forEach((remote, i) => place(remote.avatar, remote.controller, this.peopleCount + i));
+  }
+
+  /**
+   * Add or update another client's avatar when the relay announces it
+   * @param {{id: number, name: string, avatar: string|null}} peer
+   */
+  handlePeer({ id, name, avatar }) {
+    let remote = this.remoteAvatars.get(id);
+    if (!remote) {
+      remote = new RemoteAvatar(id);
+      this.remoteAvatars.set(id, remote);
+      this.showGestureNotification(`🌐 ${name} joined`);
+    }
+    remote.name = name;
+
+    const avatarUrl = avatar || this.assets.avatars[id % this.assets.avatars.length];
+    if (avatarUrl !== remote.avatarUrl) {
+      remote.avatarUrl = avatarUrl;
+      this.loadRemoteAvatar(remote);
+    }
+    if (this.networkPanel) this.networkPanel.refresh();
+  }
+
+  async loadRemoteAvatar(remote) {
+    const avatarUrl = remote.avatarUrl;
+    remote.loadingUrl = avatarUrl;
+
+    let result;
+    try {
+      result = await this.tryLoadAvatar(this.createAvatarLoader(), avatarUrl);
+    } catch (error) {
+      console.warn(`[Network] Avatar for ${remote.name} failed:`, error.message);
+      if (this.remoteAvatars.get(remote.id) !== remote || remote.loadingUrl !== avatarUrl) return;
+      // Fall back to a built-in avatar
+      const fallback = this.assets.avatars[remote.id % this.assets.avatars.length];
+      if (avatarUrl !== fallback) {
+        remote.avatarUrl = fallback;
+        this.loadRemoteAvatar(remote);
+      }
+      return;
+    }
+
+    // The client left or switched avatars meanwhile
+    if (this.remoteAvatars.get(remote.id) !== remote || remote.loadingUrl !== avatarUrl) {
+      VRMUtils.deepDispose(result.model);
+      return;
+    }
+
+    this.disposeRemoteAvatarModel(remote);
+    remote.avatar = result.model;
+    remote.controller = this.createAvatarController(result);
+    remote.handRetargeter = new HandRetargeter(result.model, result.bodyBones);
+    this.scene.add(remote.avatar);
+    this.layoutAvatars();
+    console.log(`[Network] ${remote.name} (#${remote.id}) shown with ${avatarUrl}`);
+  }
+
+  removeRemoteAvatar(id) {
+    const remote = this.remoteAvatars.get(id);
+    if (!remote) return;
+
+    this.disposeRemoteAvatarModel(remote);
+    this.remoteAvatars.delete(id);
+    this.layoutAvatars();
+    this.showGestureNotification(`🌐 ${remote.name} left`);
+    if (this.networkPanel) this.networkPanel.refresh();
+  }
+
+  disposeRemoteAvatarModel(remote) {
+    if (!remote.avatar) return;
+    this.scene.remove(remote.avatar);
+    VRMUtils.deepDispose(remote.avatar);
+    remote.avatar = null;
+    remote.controller = null;
+    remote.handRetargeter = null;
+  }
+
+  /**
+   * Wire the relay connection to the remote avatars and the network panel
+   */
+  setupNetwork() {
+    this.network.onPeer = peer => this.handlePeer(peer);
+    this.network.onLeave = id => this.removeRemoteAvatar(id);
+    this.network.onPose = (packet, arrival) => {
+      const remote = this.remoteAvatars.get(packet.id);
+      if (remote) {
+        remote.buffer.push(packet, arrival);
+        remote.lastPacketTime = arrival;
+      }
+    };
+    this.network.onStatus = (status, message) => {
+      // The relay re-announces everyone on reconnect
+      if (status !== 'connected') {
+        [...this.remoteAvatars.keys()].forEach((id) => {
+          this.disposeRemoteAvatarModel(this.remoteAvatars.get(id));
+          this.remoteAvatars.delete(id);
+        });
+        this.layoutAvatars();
+      }
+      if (status === 'connected') {
+        console.log(`[Network] Connected to ${this.network.url} as #${this.network.id}`);
+      }
+      if (this.networkPanel) this.networkPanel.setStatus(status, message);
+    };
+
+    this.networkPanel = new NetworkPanel(this.network, () => this.remoteAvatars, () => this.getShareableAvatarUrl());
+    this.networkPanel.refresh();
+
+    // ?relay=ws://host:port (with optional room and name) joins straight away, e.g. for a second tab
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('relay')) {
+      this.networkPanel.connect({ url: params.get('relay'), room: params.get('room'), name: params.get('name') });
+    }
+  }
+
+  /**
+   * Wire the VMC output toggle to the bridge connection
+   */
+  setupVMC() {
+    const toggle = document.getElementById('vmc-toggle');
+    const info = document.getElementById('vmc-info');
+
+    this.vmcExporter.onStatus = (status, message) => {
+      toggle.classList.toggle('active', status !== 'offline');
+      if (status === 'connected') {
+        console.log(`[VMC] Bridge ready, sending to ${this.vmcExporter.targets.join(', ')}`);
+        info.textContent = `Sending to ${this.vmcExporter.targets.join(', ')}`;
+      } else if (status === 'connecting') {
+        info.textContent = message || 'Connecting to the bridge...';
+      } else {
+        info.textContent = message || 'Off. Start the bridge with npm run vmc-bridge';
+      }
+    };
+    this.vmcExporter.setStatus('offline');
+
+    toggle.addEventListener('click', () => {
+      if (this.vmcExporter.status === 'offline') {
+        this.vmcExporter.connect();
+      } else {
+        this.vmcExporter.disconnect();
+      }
+    });
+
+    // ?vmc streams from the start; ?vmc-bridge=ws://host:port picks another bridge
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('vmc') || params.get('vmc-bridge')) {
+      this.vmcExporter.connect(params.get('vmc-bridge') || VMC_BRIDGE_URL);
+    }
+  }
+
+  /**
+   * Remove the current avatar from the scene and free its GPU resources
+   */
+  disposeAvatar() {
+    if (!this.avatar) return;
+
+    // A baked take points at the old avatar's bones
+    if (this.exportPanel) {
+      this.exportPanel.clear();
+    }
+
+    this.scene.remove(this.avatar);
+    VRMUtils.deepDispose(this.avatar);
+
+    this.avatar = null;
+    this.avatarController = null;
+    this.poseRetargeter = null;
+    this.handRetargeter = null;
+    this.vmcExporter.setAvatar(null);
+  }
+
+  /**
+   * Show the discovered head bone and morph targets (or VRM expressions) in the control panel
+   */
+  updateAvatarInfo(headBone, morphMeshes, vrm = null) {
+    const morphNames = vrm && vrm.expressionManager
+      ? new Set(Object.keys(vrm.expressionManager.expressionMap))
+      : new Set(morphMeshes.flatMap(mesh => Object.keys(mesh.morphTargetDictionary)));
+    const kind = vrm ? 'expressions' : 'morphs';
+    this.avatarInfoEl.textContent = `${vrm ? 'VRM · ' : ''}Head: ${headBone ? headBone.name : 'not found'} · ${morphNames.size} ${kind}`;
+    this.avatarInfoEl.title = [...morphNames].join(', ');
+  }
+
+  setupDebugCanvas() {
+    this.debugCanvas = document.createElement('canvas');
+    this.debugCanvas.id = 'debug-canvas';
+    this.debugCanvas.width = 240;
+    this.debugCanvas.height = 180;
+    this.debugCanvas.style.cssText = 'position:absolute;top:0;left:0;pointer-events:none;display:none;';
+    this.debugCtx = this.debugCanvas.getContext('2d');
+    this.videoFeedEl.appendChild(this.debugCanvas);
+  }
+
+  setupControls() {
+    // Stats toggle
+    document.getElementById('stats-toggle').addEventListener('click', (e) => {
+      e.currentTarget.classList.toggle('active');
+      document.getElementById('stats-panel').classList.toggle('hidden');
+    });
+
+    // Debug toggle
+    document.getElementById('debug-toggle').addEventListener('click', (e) => {
+      e.currentTarget.classList.toggle('active');
+      this.debugMode = e.currentTarget.classList.contains('active');
+      this.debugCanvas.style.display = this.debugMode ? 'block' : 'none';
+    });
+
+    // Pause/step the simulation for debugging (P pauses, . steps one frame)
+    document.getElementById('pause-toggle').addEventListener('click', () => this.setPaused(!this.clock.paused));
+    document.getElementById('step-button').addEventListener('click', () => this.clock.step());
+    document.addEventListener('keydown', (e) => {
+      if (e.target.closest('input, textarea, select') || e.ctrlKey || e.metaKey || e.altKey) return;
+      if (e.key === 'p' || e.key === 'P') {
+        this.setPaused(!this.clock.paused);
+      } else if (e.key === '.') {
+        this.clock.step();
+      }
+    });
+
+    // Particles toggle
+    document.getElementById('particles-toggle').addEventListener('click', (e) => {
+      e.currentTarget.classList.toggle('active');
+      this.particlesEnabled = e.currentTarget.classList.contains('active');
+    });
+
+    // Background FX toggle
+    document.getElementById('background-toggle').addEventListener('click', (e) => {
+      e.currentTarget.classList.toggle('active');
+      this.backgroundFXEnabled = e.currentTarget.classList.contains('active');
+      if (this.ambientParticles) {
+        this.ambientParticles.setEnabled(this.backgroundFXEnabled);
+      }
+    });
+
+    // Quality tier: Auto lets the performance governor choose
+    const qualitySelect = document.getElementById('quality-select');
+    qualitySelect.value = QUALITY_TIERS[localStorage.getItem('avatar.quality')] ? localStorage.getItem('avatar.quality') : 'auto';
+    this.performanceGovernor.setMode(qualitySelect.value);
+    qualitySelect.addEventListener('change', (e) => {
+      localStorage.setItem('avatar.quality', e.target.value);
+      this.performanceGovernor.setMode(e.target.value);
+    });
+
+    // Calibration profiles
+    this.profileSelectEl = document.getElementById('profile-select');
+    this.refreshProfileSelect();
+    this.selectCalibrationProfile(this.calibrationStore.getActiveName());
+
+    this.profileSelectEl.addEventListener('change', (e) => {
+      this.selectCalibrationProfile(e.target.value);
+    });
+
+    this.calibrationWizard = new CalibrationWizard((profile) => {
+      this.calibrationStore.save(profile);
+      this.refreshProfileSelect();
+      this.selectCalibrationProfile(profile.name);
+      this.showGestureNotification(`🎚️ Saved calibration "${profile.name}"`);
+    });
+
+    document.getElementById('calibrate-button').addEventListener('click', () => {
+      this.calibrationWizard.start();
+    });
+
+    // Avatar loading: file picker, URL field and drag-and-drop onto the canvas
+    const fileInput = document.getElementById('avatar-file-input');
+    document.getElementById('avatar-file-button').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files.length > 0) {
+        this.loadAvatarFromFiles(fileInput.files);
+      }
+      fileInput.value = '';
+    });
+
+    const urlInput = document.getElementById('avatar-url-input');
+    const loadFromUrl = () => {
+      const url = urlInput.value.trim();
+      if (url) this.loadAvatarFromUrl(url);
+    };
+    document.getElementById('avatar-url-button').addEventListener('click', loadFromUrl);
+    urlInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') loadFromUrl();
+    });
+
+    const canvas = this.renderer.domElement;
+    canvas.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      canvas.classList.add('drag-over');
+    });
+    canvas.addEventListener('dragleave', () => canvas.classList.remove('drag-over'));
+    canvas.addEventListener('drop', (e) => {
+      e.preventDefault();
+      canvas.classList.remove('drag-over');
+      if (e.dataTransfer.files.length > 0) {
+        this.loadAvatarFromFiles(e.dataTransfer.files);
+      }
+    });
+
+    // Morph editor toggle
+    this.morphEditor = new MorphEditorPanel(retargetMap => this.setRetargetMap(retargetMap));
+    this.morphEditor.setController(this.avatarController);
+
+    // Gesture panel
+    this.gestureRecorder = new GestureRecorder(
+      message => this.gesturePanel.setStatus(message),
+      gesture => this.gesturePanel.addRecordedGesture(gesture)
+    );
+    this.gesturePanel = new GesturePanel(this.gestureRecognizer, this.gestureStore, this.gestureRecorder);
+
+    // Session recording and playback panel
+    this.sessionPanel = new SessionPanel(this.sessionRecorder, this.sessionPlayer, () => {
+      // Let the live input pick up again after playback
+      this.lastImageTime = -1;
+      if (!this.sessionPlayer.isActive() && !this.inputSource) {
+        this.updateStatus('No input - pick one or load a recorded session');
+      }
+      if (this.inputPanel) this.inputPanel.refresh();
+    });
+
+    // Input panel (?input=session&src=<url> plays a session from the start)
+    this.inputPanel = new InputPanel(this.cameraStore, {
+      getSources: () => ({ live: this.inputSource, active: this.getActiveSource(), error: this.inputError }),
+      isMirrored: () => this.mirrored,
+      onSelect: (kind, options) => this.selectInput(kind, options),
+      onCameraChange: settings => this.changeCamera(settings),
+      onMirrorChange: mirrored => this.setMirrored(mirrored)
+    });
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('input') === 'session' && params.get('src')) {
+      this.sessionPanel.loadURL(params.get('src'));
+    }
+
+    // Performance export panel
+    this.exportPanel = new ExportPanel(this.performanceBaker, () => this.avatar);
+
+    // Video capture panel
+    this.videoRecorder = new CanvasVideoRecorder(
+      this.renderer.domElement,
+      size => this.setCaptureSize(size),
+      transparent => this.setTransparentBackground(transparent)
+    );
+    this.videoCapturePanel = new VideoCapturePanel(this.videoRecorder);
+
+    // Multi-person panel
+    this.peoplePanel = new PeoplePanel(this.peopleStore, {
+      onCountChange: count => this.setPeopleCount(count),
+      onAvatarChange: (slot, url) => (slot === 0 ? this.loadAvatarFromUrl(url) : this.loadPerformer(slot, url)),
+      getTrackedFaces: () => this.trackedFaces
+    });
+    if (this.peopleStore.getCount() > 1) {
+      this.setPeopleCount(this.peopleStore.getCount());
+    }
+
+    // Networked session panel
+    this.setupNetwork();
+
+    // VMC output
+    this.setupVMC();
+
+    // Action bindings panel
+    this.registerActions();
+    this.bindingsPanel = new BindingsPanel(this.actionBindings, () => this.getTriggers());
+
+    // Side panel toggles (the panels share one slot, so opening one closes the others)
+    const sidePanels = [
+      { toggle: document.getElementById('morph-editor-toggle'), panel: this.morphEditor },
+      { toggle: document.getElementById('gestures-toggle'), panel: this.gesturePanel },
+      { toggle: document.getElementById('bindings-toggle'), panel: this.bindingsPanel },
+      { toggle: document.getElementById('session-toggle'), panel: this.sessionPanel },
+      { toggle: document.getElementById('export-toggle'), panel: this.exportPanel },
+      { toggle: document.getElementById('capture-toggle'), panel: this.videoCapturePanel },
+      { toggle: document.getElementById('people-toggle'), panel: this.peoplePanel },
+      { toggle: document.getElementById('network-toggle'), panel: this.networkPanel },
+      { toggle: document.getElementById('input-toggle'), panel: this.inputPanel }
+    ];
+    sidePanels.forEach((entry) => {
+      entry.toggle.addEventListener('click', () => {
+        const visible = !entry.toggle.classList.contains('active');
+        sidePanels.forEach(({ toggle, panel }) => {
+          toggle.classList.toggle('active', toggle === entry.toggle && visible);
+          panel.setVisible(toggle === entry.toggle && visible);
+        });
+      });
+    });
+
+    // Pose tracking toggle
+    document.getElementById('pose-toggle').addEventListener('click', async (e) => {
+      const toggle = e.currentTarget;
+      toggle.classList.toggle('active');
+      const enabled = toggle.classList.contains('active');
+      if (!(await this.setPoseTrackingEnabled(enabled))) {
+        toggle.classList.remove('active');
+      }
+    });
+
+    // Lip sync toggle
+    document.getElementById('lipsync-toggle').addEventListener('click', async (e) => {
+      const toggle = e.currentTarget;
+      toggle.classList.toggle('active');
+      const enabled = toggle.classList.contains('active');
+      if (!(await this.setLipSyncEnabled(enabled))) {
+        toggle.classList.remove('active');
+      }
+    });
+
+    // Finger tracking toggle
+    document.getElementById('finger-toggle').addEventListener('click', (e) => {
+      e.currentTarget.classList.toggle('active');
+      this.fingerTrackingEnabled = e.currentTarget.classList.contains('active');
+      if (!this.fingerTrackingEnabled && this.handRetargeter) {
+        this.handRetargeter.reset();
+      }
+    });
+
+    // Look at camera toggle
+    document.getElementById('lookat-toggle').addEventListener('click', (e) => {
+      e.currentTarget.classList.toggle('active');
+      this.lookAtCameraEnabled = e.currentTarget.classList.contains('active');
+      [...this.getAvatarControllers(), ...this.getRemoteAvatarControllers()].forEach((controller) => {
+        controller.setLookAtCamera(this.lookAtCameraEnabled ? this.camera : null);
+      });
+    });
+
+    // Head translation toggle
+    document.getElementById('translation-toggle').addEventListener('click', (e) => {
+      e.currentTarget.classList.toggle('active');
+      this.headTranslationEnabled = e.currentTarget.classList.contains('active');
+      [...this.getAvatarControllers(), ...this.getRemoteAvatarControllers()].forEach((controller) => {
+        controller.setHeadTranslationEnabled(this.headTranslationEnabled);
+      });
+    });
+  }
+
+  /**
+   * Register the actions that gesture and face event bindings can run
+   */
+  registerActions() {
+    const bindings = this.actionBindings;
+
+    bindings.registerAction('confetti', {
+      label: '🎉 Confetti',
+      run: () => {
+        if (this.particlesEnabled) this.confettiParticles.trigger(new THREE.Vector3(0, 1, 0));
+      }
+    });
+    bindings.registerAction('sparkle', {
+      label: '✨ Sparkles',
+      run: () => {
+        if (this.particlesEnabled) this.sparkleParticles.trigger(new THREE.Vector3(0, 1.5, 0));
+      }
+    });
+    bindings.registerAction('notify', {
+      label: '💬 Notification',
+      paramHint: 'Message (default: trigger name)',
+      run: (message, event) => this.showGestureNotification(message || `${event.emoji} ${event.label}`)
+    });
+    bindings.registerAction('avatar', {
+      label: '🧍 Swap avatar',
+      paramHint: 'Avatar URL (.glb/.vrm)',
+      run: (url) => {
+        if (url && !this.avatarLoading) this.loadAvatarFromUrl(url);
+      }
+    });
+    bindings.registerAction('background', {
+      label: '🌈 Background',
+      paramHint: `next, toggle or ${Object.keys(BACKGROUND_THEMES).join(', ')}`,
+      run: theme => this.setBackgroundTheme(theme)
+    });
+    bindings.registerAction('panel', {
+      label: '🗂️ Toggle panel',
+      paramHint: 'controls, stats, morph, gestures, bindings, session, export, video, people, network or input',
+      run: panel => this.togglePanel(panel)
+    });
+    bindings.registerAction('recording', {
+      label: '⏺ Session recording',
+      paramHint: 'toggle, start or stop',
+      run: (mode) => {
+        if (mode === 'start' || mode === 'stop') {
+          this.sessionPanel.toggleRecording(mode === 'start');
+        } else {
+          this.sessionPanel.toggleRecording();
+        }
+      }
+    });
+    bindings.registerAction('video', {
+      label: '🎥 Video recording',
+      paramHint: 'toggle, start or stop',
+      run: (mode) => {
+        if (mode === 'start' || mode === 'stop') {
+          this.videoCapturePanel.toggleRecording(mode === 'start');
+        } else {
+          this.videoCapturePanel.toggleRecording();
+        }
+      }
+    });
+    bindings.registerAction('event', {
+      label: '📣 DOM event',
+      paramHint: 'Event name (default: avatar-action)',
+      run: (name, event) => window.dispatchEvent(new CustomEvent(name || 'avatar-action', { detail: event }))
+    });
+  }
+
+  /**
+   * Everything bindings can be triggered by: gestures and face events
+   * @returns {Array<{value: string, label: string}>}
+   */
+  getTriggers() {
+    const gestures = [...this.gestureRecognizer.gestures.values()]
+      .map(({ id, label, emoji }) => ({ value: `gesture:${id}`, label: `${emoji} ${label}` }));
+    const faceEvents = FACE_EVENTS
+      .map(({ id, label, emoji }) => ({ value: `face:${id}`, label: `${emoji} ${label}` }));
+    return [...gestures, ...faceEvents];
+  }
+
+  /**
+   * Run the actions bound to a gesture or face event
+   * @param {string} trigger - "gesture:<id>" or "face:<id>"
+   * @param {{id: string, label: string, emoji: string}} event
+   */
+  handleTrigger(trigger, event) {
+    if (trigger.startsWith('gesture:')) {
+      this.gesturePanel.flash(event.id);
+    }
+
+    const actionCount = this.actionBindings.dispatch(trigger, event);
+
+    // Unbound triggers still announce themselves while the gesture or bindings panel is open
+    if (actionCount === 0 && (this.gesturePanel.isVisible() || this.bindingsPanel.isVisible())) {
+      this.showGestureNotification(`${event.emoji} ${event.label}`);
+    }
+  }
+
+  /**
+   * Switch the animated background colours
+   * @param {string} name - Theme name, "next" to cycle, or "toggle" to switch the effect on/off
+   */
+  setBackgroundTheme(name) {
+    if (name === 'toggle') {
+      document.getElementById('background-toggle').click();
+      return;
+    }
+
+    const names = Object.keys(BACKGROUND_THEMES);
+    const theme = !name || name === 'next'
+      ? names[(names.indexOf(this.backgroundTheme) + 1) % names.length]
+      : name;
+    if (!BACKGROUND_THEMES[theme]) {
+      console.warn(`[Background] Unknown theme "${name}"`);
+      return;
+    }
+
+    this.backgroundTheme = theme;
+    BACKGROUND_THEMES[theme].forEach((color, i) => {
+      this.backgroundMaterial.uniforms[`color${i + 1}`].value.setHex(color);
     });
-
-    this.backgroundPlane = new THREE.Mesh(geometry, this.backgroundMaterial);
-    this.backgroundPlane.position.z = -10;
-    this.scene.add(this.backgroundPlane);
   }
 
-  async loadAvatar() {
-    const loader = new GLTFLoader();
-    // Try multiple male avatar URLs in order of preference
-    const avatarUrls = [
-      'https://models.readyplayer.me/65d3f5509de3ccd6f5e98c31.glb', // Male avatar 1
-      'https://models.readyplayer.me/6502d65c5e6d24f234e6d1c5.glb', // Male avatar 2
-      'https://models.readyplayer.me/64bfa15f0e72c63d7c3934a6.glb', // Original (female but reliable)
-    ];
+  /**
+   * Show or hide a UI panel by name
+   */
+  togglePanel(name) {
+    const toggles = {
+      stats: 'stats-toggle',
+      morph: 'morph-editor-toggle',
+      gestures: 'gestures-toggle',
+      bindings: 'bindings-toggle',
+      session: 'session-toggle',
+      export: 'export-toggle',
+      video: 'capture-toggle',
+      people: 'people-toggle',
+      network: 'network-toggle',
+      input: 'input-toggle'
+    };
 
-    // Try loading models in sequence until one works
-    for (let i = 0; i < avatarUrls.length; i++) {
+    if (name === 'controls') {
+      document.getElementById('control-panel').classList.toggle('hidden');
+    } else if (toggles[name]) {
+      document.getElementById(toggles[name]).click();
+    } else {
+      console.warn(`[Actions] Unknown panel "${name}"`);
+    }
+  }
+
+  /**
+   * Restore the saved retarget map, falling back to the defaults
+   */
+  loadRetargetMap() {
+    const saved = localStorage.getItem('avatar.retargetMap');
+    if (saved) {
       try {
-        console.log(`[Avatar] Trying to load model ${i + 1}/${avatarUrls.length}...`);
-        const result = await this.tryLoadAvatar(loader, avatarUrls[i]);
-        console.log(`[Avatar] Successfully loaded model ${i + 1}`);
-        return result;
+        return MorphRetargetMap.fromJSON(saved);
       } catch (error) {
-        console.warn(`[Avatar] Model ${i + 1} failed:`, error.message);
-        if (i === avatarUrls.length - 1) {
-          throw new Error('Failed to load any avatar model');
-        }
+        console.warn('[Morph] Ignoring saved retarget map:', error.message);
       }
     }
+    return new MorphRetargetMap();
   }
 
-  tryLoadAvatar(loader, avatarUrl) {
-    return new Promise((resolve, reject) => {
-      // Set a timeout for loading
-      const timeout = setTimeout(() => {
-        reject(new Error('Model loading timeout'));
-      }, 10000); // 10 second timeout
+  /**
+   * Switch to a new retarget map and remember it
+   */
+  setRetargetMap(retargetMap) {
+    this.retargetMap = retargetMap;
+    localStorage.setItem('avatar.retargetMap', JSON.stringify(retargetMap.toJSON()));
+    [...this.getAvatarControllers(), ...this.getRemoteAvatarControllers()]
+      .forEach(controller => controller.setRetargetMap(retargetMap));
+  }
 
-      loader.load(
-        avatarUrl,
-        (gltf) => {
-          clearTimeout(timeout);
-          this.avatar = gltf.scene;
-          this.avatar.position.set(0, -1.5, 0);
-          this.avatar.scale.set(1, 1, 1);
-          this.scene.add(this.avatar);
+  /**
+   * Rebuild the profile dropdown from the saved profiles
+   */
+  refreshProfileSelect() {
+    this.profileSelectEl.innerHTML = '';
+    ['', ...this.calibrationStore.getNames()].forEach((name) => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name || DEFAULT_CALIBRATION.name;
+      this.profileSelectEl.appendChild(option);
+    });
+  }
 
-          let headBone = null;
-          const morphMeshes = [];
+  /**
+   * Activate a saved calibration profile by name (empty for the defaults)
+   */
+  selectCalibrationProfile(name) {
+    this.calibrationProfile = name ? this.calibrationStore.get(name) : null;
+    this.calibrationStore.setActiveName(this.calibrationProfile ? name : null);
+    this.profileSelectEl.value = this.calibrationProfile ? name : '';
 
-          this.avatar.traverse((child) => {
-            // Find head bone
-            if (child.isBone && child.name.toLowerCase().includes('head')) {
-              if (!child.name.toLowerCase().includes('end')) {
-                headBone = child;
-              }
-            }
+    if (this.avatarController) {
+      this.avatarController.setCalibration(this.calibrationProfile);
+    }
+  }
 
-            // Find morph meshes
-            if (child.isMesh && child.morphTargetInfluences && child.morphTargetDictionary) {
-              morphMeshes.push(child);
-              // Log available morph targets for debugging
-              console.log('[Avatar] Morph targets for', child.name, ':', Object.keys(child.morphTargetDictionary));
-            }
-          });
+  startTracking() {
+    const trackLoop = () => {
+      this.performanceMonitor.startFrame();
+      try {
+        this.trackFrame(Date.now());
+      } catch (error) {
+        // One failed frame (e.g. an input mid-switch) mustn't stop tracking
+        console.warn('[Tracking] Frame failed:', error.message);
+      }
+      this.performanceMonitor.endFrame();
+      requestAnimationFrame(trackLoop);
+    };
 
-          // Initialize avatar controller
-          this.avatarController = new AvatarController(this.avatar, headBone, morphMeshes);
+    trackLoop();
+  }
 
-          resolve();
-        },
-        (progress) => {
-          // Log loading progress
-          if (progress.lengthComputable) {
-            const percent = (progress.loaded / progress.total) * 100;
-            console.log(`[Avatar] Loading: ${percent.toFixed(0)}%`);
+  /**
+   * Track the active source's latest frame or image, if it has a new one
+   */
+  trackFrame(nowInMs) {
+    const source = this.getActiveSource();
+
+    if (source && !source.providesImages()) {
+      // Sessions, feeds and scripts hand over finished tracking frames
+      const frame = source.readFrame(nowInMs);
+      if (frame) {
+        this.processFrame(frame, nowInMs);
+      }
+    } else if (source) {
+      // Only process new images
+      const input = source.readImage();
+      if (input && input.time !== this.lastImageTime) {
+        if (this.inferenceWorker) {
+          // Results come back through handleWorkerResult; a busy worker skips this image
+          if (!this.inferenceWorker.busy && this.inferenceWorker.submit(this.getTrackingImage(input.image), nowInMs)) {
+            this.lastImageTime = input.time;
           }
-        },
-        (error) => {
-          clearTimeout(timeout);
-          reject(error);
+        } else {
+          this.lastImageTime = input.time;
+          this.processFrame(this.detectFrame(this.getTrackingImage(input.image), nowInMs), nowInMs);
         }
-      );
-    });
+      }
+    }
   }
 
-  setupDebugCanvas() {
-    this.debugCanvas = document.createElement('canvas');
-    this.debugCanvas.id = 'debug-canvas';
-    this.debugCanvas.width = 240;
-    this.debugCanvas.height = 180;
-    this.debugCanvas.style.cssText = 'position:absolute;top:0;left:0;pointer-events:none;display:none;';
-    this.debugCtx = this.debugCanvas.getContext('2d');
-    this.videoFeedEl.appendChild(this.debugCanvas);
+  /**
+   * The input image as the trackers should see it: flipped when mirroring,
+   * so landmarks, head pose, gaze and hands match the mirrored preview. Each
+   * hand keeps the side it appears to be in the flipped image, so the avatar
+   * moves as a reflection.
+   */
+  getTrackingImage(image) {
+    if (!this.mirrored) return image;
+
+    const width = image.videoWidth || image.width;
+    const height = image.videoHeight || image.height;
+    if (!this.mirrorCanvas) {
+      this.mirrorCanvas = document.createElement('canvas');
+      this.mirrorContext = this.mirrorCanvas.getContext('2d');
+    }
+    if (this.mirrorCanvas.width !== width || this.mirrorCanvas.height !== height) {
+      this.mirrorCanvas.width = width;
+      this.mirrorCanvas.height = height;
+    }
+    this.mirrorContext.setTransform(-1, 0, 0, 1, width, 0);
+    this.mirrorContext.drawImage(image, 0, 0, width, height);
+    return this.mirrorCanvas;
   }
 
-  setupControls() {
-    // Stats toggle
-    document.getElementById('stats-toggle').addEventListener('click', (e) => {
-      e.currentTarget.classList.toggle('active');
-      document.getElementById('stats-panel').classList.toggle('hidden');
-    });
+  /**
+   * Run the trackers on an image from the input
+   * @returns {{face: Object|null, hands: Array, pose: Array|null|undefined}} Tracking frame
+   */
+  detectFrame(image, nowInMs) {
+    // Face detection
+    this.performanceMonitor.startFaceDetect();
+    this.faceTracker.detectFace(image, nowInMs);
+    this.performanceMonitor.endFaceDetect();
+
+    // Hand detection (throttled internally)
+    this.handTracker.detectHands(image, nowInMs);
+
+    // Upper-body pose (when enabled)
+    if (this.poseTracker.enabled) {
+      this.poseTracker.detectPose(image, nowInMs);
+    }
 
-    // Debug toggle
-    document.getElementById('debug-toggle').addEventListener('click', (e) => {
-      e.currentTarget.classList.toggle('active');
-      this.debugMode = e.currentTarget.classList.contains('active');
-      this.debugCanvas.style.display = this.debugMode ? 'block' : 'none';
-    });
+    return readTrackingFrame(this.faceTracker, this.handTracker, this.poseTracker);
+  }
 
-    // Particles toggle
-    document.getElementById('particles-toggle').addEventListener('click', (e) => {
-      e.currentTarget.classList.toggle('active');
-      this.particlesEnabled = e.currentTarget.classList.contains('active');
-    });
+  /**
+   * Drive the avatar, gestures and recording from one tracking frame,
+   * live or played back
+   */
+  processFrame(frame, nowInMs) {
+    // Give each face a stable person slot; person 1 drives the main avatar
+    const faces = this.peopleCount > 1
+      ? this.faceIdentity.assign(frame.faces || (frame.face ? [frame.face] : []), this.peopleCount, nowInMs)
+      : [frame.face];
+    frame = { ...frame, face: faces[0] || null, faces };
+    this.trackedFaces = faces;
+    const { face, hands, pose } = frame;
+
+    // The render loop poses the avatar from this, interpolated to the display rate
+    this.trackingInterpolator.push(frame, performance.now());
+
+    if (face && this.avatarController) {
+      const { landmarks, blendshapes } = face;
+      this.lastFaceTime = Date.now();
+      this.updateStatus(this.sessionPlayer.isActive() ? 'Playing session' : 'Face Detected', true);
+
+      if (this.calibrationWizard.isCapturing() && landmarks) {
+        this.calibrationWizard.addSample(measureExpressionChannels(landmarks), blendshapes);
+      }
 
-    // Background FX toggle
-    document.getElementById('background-toggle').addEventListener('click', (e) => {
-      e.currentTarget.classList.toggle('active');
-      this.backgroundFXEnabled = e.currentTarget.classList.contains('active');
-      if (this.ambientParticles) {
-        this.ambientParticles.setEnabled(this.backgroundFXEnabled);
+      // Face events (double blink, mouth held open, nod, shake)
+      this.faceEventDetector.update(this.avatarController.getFaceState(), nowInMs)
+        .forEach(event => this.handleTrigger(`face:${event.id}`, event));
+
+      // Debug mode
+      if (this.debugMode && landmarks) {
+        this.drawLandmarks(landmarks);
       }
-    });
+    } else {
+      this.updateStatus('No face detected');
+      this.faceEventDetector.reset();
+      if (this.debugMode) {
+        this.clearDebugCanvas();
+      }
+    }
+
+    // Session recording
+    if (this.sessionRecorder.isRecording()) {
+      this.sessionRecorder.capture(frame, nowInMs);
+    }
+
+    // Gesture recognition
+    if (this.gestureRecorder.isCapturing()) {
+      this.gestureRecorder.addSample(hands);
+    }
+    this.gestureRecognizer.update(hands, nowInMs)
+      .forEach(gesture => this.handleTrigger(`gesture:${gesture.id}`, gesture));
+
+    // Update performance UI
+    const poseDetected = pose === undefined ? null : !!pose;
+    this.performanceMonitor.updateUI(!!face, hands.length, poseDetected);
   }
 
-  startTracking() {
-    const trackLoop = () => {
-      this.performanceMonitor.startFrame();
+  /**
+   * Pose the avatar's head, face, body and fingers from a tracking frame
+   * @param {number} deltaTime - Seconds since the previous render frame
+   */
+  driveAvatar(frame, deltaTime) {
+    const { face, hands, pose } = frame;
 
-      if (!this.video) {
-        requestAnimationFrame(trackLoop);
-        return;
-      }
+    if (face && this.avatarController) {
+      this.avatarController.updateFromFaceData(face.landmarks, face.blendshapes, face.transformMatrix, deltaTime);
+    }
 
-      const nowInMs = Date.now();
+    // Everyone else drives the face of their own avatar
+    this.performers.forEach(({ controller }, slot) => {
+      const personFace = frame.faces[slot];
+      if (personFace) {
+        controller.updateFromFaceData(personFace.landmarks, personFace.blendshapes, personFace.transformMatrix, deltaTime);
+      }
+    });
 
-      // Only process new frames
-      if (this.video.currentTime !== this.lastVideoTime) {
-        this.lastVideoTime = this.video.currentTime;
+    // Upper-body pose (undefined when pose tracking is off)
+    if (pose !== undefined && this.poseRetargeter) {
+      this.poseRetargeter.update(pose, deltaTime);
+    }
 
-        // Face detection
-        this.performanceMonitor.startFaceDetect();
-        const faceResults = this.faceTracker.detectFace(this.video, nowInMs);
-        this.performanceMonitor.endFaceDetect();
+    // Finger retargeting (after the arms, so the wrists follow the solved forearms)
+    if (this.fingerTrackingEnabled && this.handRetargeter) {
+      this.handRetargeter.update(hands, deltaTime);
+    }
+  }
 
-        // Update avatar from face
-        if (this.faceTracker.hasFace() && this.avatarController) {
-          const landmarks = this.faceTracker.getLandmarks();
-          this.avatarController.updateFromFaceData(landmarks);
-          this.updateStatus('Face Detected', true);
+  /**
+   * Handle a result from the inference worker
+   */
+  handleWorkerResult(frame, timestamp, latency) {
+    this.performanceMonitor.setLatency(latency);
+    // Drop results that arrive after switching to a source without images
+    const source = this.getActiveSource();
+    if (source && source.providesImages()) {
+      this.processFrame(frame, timestamp);
+    }
+  }
 
-          // Debug mode
-          if (this.debugMode) {
-            this.drawLandmarks(landmarks);
-          }
-        } else {
-          this.updateStatus('No face detected');
-          if (this.debugMode) {
-            this.clearDebugCanvas();
-          }
-        }
+  animate() {
+    requestAnimationFrame(() => this.animate());
+    if (this.skipBroadcastFrame()) return;
 
-        // Hand detection (throttled internally)
-        const handResults = this.handTracker.detectHands(this.video, nowInMs);
+    const now = performance.now();
+    this.performanceGovernor.recordFrame(now, this.performanceMonitor.latency);
 
-        // Gesture detection
-        if (this.particlesEnabled) {
-          // Wave detection
-          if (this.handTracker.detectWave() && this.avatarController) {
-            const position = new THREE.Vector3(0, 1, 0);
-            this.confettiParticles.trigger(position);
-            this.showGestureNotification('👋 Wave detected! Enjoy the confetti!');
-          }
+    // Real seconds since the last frame; zero while paused, except when stepping
+    const deltaTime = this.clock.tick(now);
+    if (deltaTime > 0) {
+      this.simulate(now, deltaTime);
+    }
 
-          // Thumbs up detection
-          if (this.handTracker.detectThumbsUp() && this.avatarController) {
-            const position = new THREE.Vector3(0, 1.5, 0);
-            this.sparkleParticles.trigger(position);
-            this.showGestureNotification('👍 Awesome! Keep it up!');
-          }
-        }
+    // Sample the pose the avatar is about to render into a baked take
+    this.performanceBaker.capture(Date.now());
 
-        // Update performance UI
-        const handCount = this.handTracker.getHandCount();
-        this.performanceMonitor.updateUI(this.faceTracker.hasFace(), handCount);
-      }
+    // Update morph editor sliders
+    if (this.morphEditor) {
+      this.morphEditor.update();
+    }
+    if (this.gesturePanel) {
+      this.gesturePanel.update();
+    }
+    if (this.sessionPanel) {
+      this.sessionPanel.update();
+    }
+    if (this.exportPanel) {
+      this.exportPanel.update();
+    }
+    if (this.videoCapturePanel) {
+      this.videoCapturePanel.update();
+    }
+    if (this.peoplePanel) {
+      this.peoplePanel.update();
+    }
+    if (this.networkPanel) {
+      this.networkPanel.update();
+    }
+    if (this.inputPanel) {
+      this.inputPanel.update();
+    }
 
-      this.performanceMonitor.endFrame();
-      requestAnimationFrame(trackLoop);
-    };
+    // Update controls
+    if (this.controls) {
+      this.controls.update();
+    }
 
-    trackLoop();
+    this.renderer.render(this.scene, this.camera);
   }
 
-  animate() {
-    requestAnimationFrame(() => this.animate());
+  /**
+   * Advance everything that moves by deltaTime seconds: the avatar (from
+   * interpolated tracking), lip sync, breathing, particles and background
+   */
+  simulate(now, deltaTime) {
+    // Tracking results, blended up to the display refresh rate
+    const frame = this.trackingInterpolator.sample(now);
+    if (frame) {
+      this.driveAvatar(frame, deltaTime);
+    }
 
-    const deltaTime = 0.016; // Approximate for 60fps
+    // Share person 1's pose with the networked session, and pose everyone else's avatars
+    if (frame && this.avatarController) {
+      this.network.sendPose(now, frame.face ? this.avatarController.getNetworkState() : null, frame.hands);
+    }
+    this.remoteAvatars.forEach(remote => remote.update(now, deltaTime));
+
+    // Lip sync blends with camera tracking, or drives the mouth alone while no face is seen
+    if (this.lipSync.isActive() && this.avatarController) {
+      this.updateLipSync(Date.now());
+    }
 
     // Update avatar breathing
+    this.getAvatarControllers().forEach(controller => controller.update(deltaTime));
+
+    // Stream person 1's finished pose to VMC receivers
     if (this.avatarController) {
-      this.avatarController.updateBreathing(deltaTime);
+      this.vmcExporter.send(now, this.avatarController);
     }
 
     // Update particle systems
@@ -1213,17 +9587,35 @@ class AvatarApp {
       this.ambientParticles.update(deltaTime);
     }
 
-    // Update animated background
-    if (this.backgroundMaterial && this.backgroundFXEnabled) {
-      this.backgroundMaterial.uniforms.time.value = Date.now() * 0.001;
+    // Update animated background (static at the lowest quality tier)
+    if (this.backgroundMaterial && this.backgroundFXEnabled && this.backgroundMaterial.defines.BACKGROUND_DETAIL > 0) {
+      this.backgroundMaterial.uniforms.time.value = this.clock.elapsed;
     }
+  }
 
-    // Update controls
-    if (this.controls) {
-      this.controls.update();
+  /**
+   * Pause or resume the simulation (rendering carries on, so the orbit camera still works)
+   */
+  setPaused(paused) {
+    this.clock.setPaused(paused);
+    document.getElementById('pause-toggle').classList.toggle('active', paused);
+    document.getElementById('step-button').disabled = !paused;
+    this.showGestureNotification(paused ? '⏸️ Paused (. to step)' : '▶️ Resumed');
+  }
+
+  updateLipSync(now) {
+    const faceVisible = now - this.lastFaceTime < LIPSYNC_FACE_TIMEOUT;
+    this.avatarController.setLipSync({ ...this.lipSync.update(now), faceVisible });
+    if (!faceVisible) {
+      this.avatarController.updateFromAudio();
     }
 
-    this.renderer.render(this.scene, this.camera);
+    if (now - this.lastLipSyncInfoTime > 200) {
+      this.lastLipSyncInfoTime = now;
+      const viseme = this.lipSync.activity > 0.2 ? this.lipSync.getDominantViseme() : 'sil';
+      const mix = Math.round(this.avatarController.getLipSyncMix() * 100);
+      this.lipSyncInfoEl.textContent = `${faceVisible ? '' : 'Audio only · '}${viseme} · ${mix}% audio`;
+    }
   }
 
   drawLandmarks(landmarks) {
@@ -1284,10 +9676,110 @@ class AvatarApp {
     this.loadingStatusEl.textContent = status;
   }
 
-  handleResize() {
-    this.camera.aspect = window.innerWidth / window.innerHeight;
+  /**
+   * Render at a fixed size while a video is recorded (null returns to the
+   * window or broadcast size)
+   */
+  setCaptureSize(size) {
+    this.captureSize = size;
+    this.applyRenderSize();
+  }
+
+  /**
+   * Apply a quality tier's hand-detection rate, pixel ratio, shadows,
+   * ambient particle count and background detail
+   */
+  applyQualityTier(name) {
+    const tier = QUALITY_TIERS[name];
+
+    this.handTracker.interval = tier.handInterval;
+    if (this.inferenceWorker) {
+      this.inferenceWorker.setHandInterval(tier.handInterval);
+    }
+
+    // Everything below needs the scene; initThreeJS applies the tier again once it exists
+    this.performanceMonitor.setQualityTier(tier.label, this.performanceGovernor.mode === 'auto');
+    if (!this.renderer) return;
+
+    this.applyRenderSize();
+
+    const shadow = this.keyLight.shadow;
+    this.keyLight.castShadow = tier.shadowMapSize > 0;
+    if (tier.shadowMapSize > 0 && shadow.mapSize.x !== tier.shadowMapSize) {
+      shadow.mapSize.set(tier.shadowMapSize, tier.shadowMapSize);
+      if (shadow.map) {
+        shadow.map.dispose();
+        shadow.map = null;
+      }
+    }
+
+    this.ambientParticles.setCount(tier.ambientParticles);
+
+    if (this.backgroundMaterial.defines.BACKGROUND_DETAIL !== tier.backgroundDetail) {
+      this.backgroundMaterial.defines.BACKGROUND_DETAIL = tier.backgroundDetail;
+      this.backgroundMaterial.needsUpdate = true;
+    }
+  }
+
+  /**
+   * Size the renderer for a recording, else broadcast mode, else the window;
+   * fixed sizes are letterboxed on screen
+   */
+  applyRenderSize() {
+    const size = this.captureSize || this.broadcast;
+    this.renderer.domElement.classList.toggle('fixed-size', !!size);
+
+    if (!size) {
+      this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, QUALITY_TIERS[this.performanceGovernor.tier].pixelRatio)); // Limit for performance
+      this.renderer.setSize(window.innerWidth, window.innerHeight);
+      this.camera.aspect = window.innerWidth / window.innerHeight;
+    } else {
+      this.renderer.setPixelRatio(1);
+      this.renderer.setSize(size.width, size.height, false);
+      this.camera.aspect = size.width / size.height;
+    }
     this.camera.updateProjectionMatrix();
-    this.renderer.setSize(window.innerWidth, window.innerHeight);
+  }
+
+  /**
+   * Hide the background while recording a transparent video
+   */
+  setTransparentBackground(transparent) {
+    this.transparentCapture = transparent;
+    this.updateBackgroundVisibility();
+  }
+
+  /**
+   * Show the animated background, a broadcast key colour, or nothing (alpha)
+   */
+  updateBackgroundVisibility() {
+    const broadcastBackground = this.broadcast ? this.broadcast.background : 'animated';
+    const keyColor = this.transparentCapture ? null : BROADCAST_BACKGROUNDS[broadcastBackground];
+
+    if (this.backgroundPlane) {
+      this.backgroundPlane.visible = !this.transparentCapture && broadcastBackground === 'animated';
+    }
+    this.scene.background = keyColor === null ? null : new THREE.Color(keyColor);
+  }
+
+  /**
+   * Whether this frame should be skipped to hold the broadcast frame rate
+   */
+  skipBroadcastFrame() {
+    if (!this.broadcast) return false;
+
+    const now = performance.now();
+    const interval = 1000 / this.broadcast.fps;
+    const elapsed = now - this.lastRenderTime;
+
+    // A little slack so display jitter doesn't drop every other frame
+    if (elapsed < interval - 2) return true;
+    this.lastRenderTime = now - (elapsed >= interval ? elapsed % interval : 0);
+    return false;
+  }
+
+  handleResize() {
+    this.applyRenderSize();
   }
 
   handleError(message, error) {
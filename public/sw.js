@@ -0,0 +1,113 @@
+// Offline cache for the avatar app (registered by AvatarApp.enableOfflineCache)
+//
+// Page loads go network-first so a redeploy is picked up as soon as the
+// network is back. Vite's hashed bundles (assets/) never change their
+// content, so they are served cache-first; everything else keeps its URL
+// when the file changes (models refreshed by fetch-assets --force, avatars),
+// so it is served from the cache and refreshed in the background. The build
+// stamps CACHE_NAME with the tasks-vision version (see vite.config.js), so
+// an upgrade starts a fresh cache instead of pairing the new bundle with the
+// old, unhashed MediaPipe runtime. The page posts the URLs it loaded before
+// this worker took control, so the very first visit is enough to run
+// offline afterwards.
+
+const CACHE_NAME = 'avatar-assets-__MEDIAPIPE_VERSION__';
+const SCOPE = new URL(self.registration.scope);
+const APP_SHELL = [SCOPE.href, new URL('index.html', SCOPE).href];
+const HASHED_PATH = new URL('assets/', SCOPE).pathname;
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', event => {
+  if (event.data?.type !== 'cache' || !Array.isArray(event.data.urls)) return;
+  event.waitUntil(cacheUrls(event.data.urls));
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET' || !request.url.startsWith('http')) return;
+  if (request.headers.has('range')) return; // Partial responses can't be cached
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request));
+  } else if (new URL(request.url).pathname.startsWith(HASHED_PATH)) {
+    event.respondWith(cacheFirst(request));
+  } else {
+    event.respondWith(staleWhileRevalidate(request, event));
+  }
+});
+
+async function cacheUrls(urls) {
+  const cache = await caches.open(CACHE_NAME);
+  let added = 0;
+  for (const url of urls) {
+    if (await cache.match(url, { ignoreVary: true })) continue;
+    try {
+      const response = await fetch(url);
+      if (response.ok) {
+        await cache.put(url, response);
+        added++;
+      }
+    } catch (error) {
+      console.warn('[Offline] Could not cache', url, error.message);
+    }
+  }
+  console.log(`[Offline] Cached ${added} new assets`);
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request, { ignoreVary: true });
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+async function staleWhileRevalidate(request, event) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request, { ignoreVary: true });
+  const refresh = fetch(request).then((response) => {
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  });
+  if (!cached) return refresh;
+
+  event.waitUntil(refresh.catch(() => {})); // Offline: the cached copy is all there is
+  return cached;
+}
+
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request, { ignoreSearch: true, ignoreVary: true })
+      || await cache.match(APP_SHELL[0]);
+    if (cached) return cached;
+    throw error;
+  }
+}
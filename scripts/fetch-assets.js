@@ -0,0 +1,50 @@
+// Download the tracking models and default avatars into public/ so the app
+// can run with `?assets=local` (or VITE_ASSETS=local) on machines without
+// internet access. Vite copies public/ into dist/ on build.
+//
+// Usage: npm run fetch-assets [-- --force]
+//
+// Keep the URLs in sync with ASSET_PRESETS in main.js.
+
+import { existsSync } from 'node:fs';
+import { mkdir, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const PUBLIC_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'public');
+
+const ASSETS = [
+  ['models/face_landmarker.task', 'https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task'],
+  ['models/hand_landmarker.task', 'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task'],
+  ['models/pose_landmarker_lite.task', 'https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_lite/float16/1/pose_landmarker_lite.task'],
+  ['avatars/avatar-1.glb', 'https://models.readyplayer.me/65d3f5509de3ccd6f5e98c31.glb'],
+  ['avatars/avatar-2.glb', 'https://models.readyplayer.me/6502d65c5e6d24f234e6d1c5.glb'],
+  ['avatars/avatar-3.glb', 'https://models.readyplayer.me/64bfa15f0e72c63d7c3934a6.glb']
+];
+
+const force = process.argv.includes('--force');
+let failed = 0;
+
+for (const [file, url] of ASSETS) {
+  const target = join(PUBLIC_DIR, file);
+  if (existsSync(target) && !force) {
+    console.log(`[Assets] ${file} already present`);
+    continue;
+  }
+
+  try {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const data = Buffer.from(await response.arrayBuffer());
+    await mkdir(dirname(target), { recursive: true });
+    await writeFile(target, data);
+    console.log(`[Assets] ${file} (${(data.length / 1048576).toFixed(1)} MB)`);
+  } catch (error) {
+    console.error(`[Assets] Could not download ${file} from ${url}: ${error.message}`);
+    failed++;
+  }
+}
+
+if (failed) {
+  process.exitCode = 1;
+}
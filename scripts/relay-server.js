@@ -0,0 +1,164 @@
+// Relay for networked avatar sessions (see NetworkSession in main.js). Every
+// browser connects to a room and sends pose packets; the relay forwards them
+// to everyone else in the room, tagged with the sender's id. It has no
+// dependencies (see websocket.js).
+//
+// Usage: npm run relay [-- --port 8787]
+// Then open the app with ?relay=ws://localhost:8787 in two or more tabs
+//
+// Messages in:  hello {name, avatar} (JSON), pose packets (binary)
+// Messages out: welcome {id, peers}, peer {id, name, avatar}, leave {id} (JSON),
+//               pose packets prefixed with the sender's id as a uint16 (binary)
+
+import { createServer } from 'node:http';
+import { acceptWebSocket, encodeMessage } from './websocket.js';
+
+const PING_INTERVAL = 15000;
+
+const portArg = process.argv.indexOf('--port');
+const PORT = Number(portArg !== -1 ? process.argv[portArg + 1] : process.env.RELAY_PORT) || 8787;
+
+const rooms = new Map(); // Room name -> Map<id, Peer>
+let lastId = 0;
+
+/**
+ * A client in a room
+ */
+class Peer {
+  constructor(connection, room) {
+    this.connection = connection;
+    this.room = room;
+    this.id = allocateId(room);
+    this.profile = { name: `Guest ${this.id}`, avatar: null };
+    this.announced = false; // Other peers hear about this one after its first hello
+
+    connection.onMessage = (data, binary) => handleMessage(this, data, binary);
+    connection.onClose = () => leaveRoom(this);
+  }
+}
+
+/**
+ * Next free peer id in the room; ids are uint16 so they fit the packet prefix
+ */
+function allocateId(room) {
+  const peers = rooms.get(room);
+  do {
+    lastId = lastId % 65535 + 1;
+  } while (peers && peers.has(lastId));
+  return lastId;
+}
+
+function joinRoom(peer) {
+  if (!rooms.has(peer.room)) {
+    rooms.set(peer.room, new Map());
+  }
+  const peers = rooms.get(peer.room);
+
+  peer.connection.send(JSON.stringify({
+    type: 'welcome',
+    id: peer.id,
+    peers: [...peers.values()].filter(other => other.announced).map(other => ({ id: other.id, ...other.profile }))
+  }));
+  peers.set(peer.id, peer);
+  console.log(`[Relay] Peer ${peer.id} joined "${peer.room}" (${peers.size} connected)`);
+}
+
+function leaveRoom(peer) {
+  const peers = rooms.get(peer.room);
+  if (!peers || !peers.delete(peer.id)) return;
+
+  if (peer.announced) {
+    broadcast(peer, JSON.stringify({ type: 'leave', id: peer.id }));
+  }
+  if (peers.size === 0) {
+    rooms.delete(peer.room);
+  }
+  console.log(`[Relay] Peer ${peer.id} left "${peer.room}" (${peers.size} connected)`);
+}
+
+/**
+ * Send a message to everyone in the sender's room except the sender
+ */
+function broadcast(sender, data) {
+  const peers = rooms.get(sender.room);
+  if (!peers) return;
+  const frame = encodeMessage(data);
+  for (const peer of peers.values()) {
+    if (peer !== sender) {
+      peer.connection.sendFrame(frame);
+    }
+  }
+}
+
+function handleMessage(peer, data, binary) {
+  if (binary) {
+    if (!peer.announced) return;
+
+    // Pose packet: forward it with the sender's id in front
+    const tagged = Buffer.alloc(data.length + 2);
+    tagged.writeUInt16LE(peer.id, 0);
+    data.copy(tagged, 2);
+    broadcast(peer, tagged);
+    return;
+  }
+
+  let message;
+  try {
+    message = JSON.parse(data.toString());
+  } catch (error) {
+    return;
+  }
+  if (!message || typeof message !== 'object') return;
+
+  if (message.type === 'hello') {
+    peer.profile = {
+      name: String(message.name || peer.profile.name).slice(0, 32),
+      avatar: typeof message.avatar === 'string' ? message.avatar.slice(0, 2048) : null
+    };
+    peer.announced = true;
+    broadcast(peer, JSON.stringify({ type: 'peer', id: peer.id, ...peer.profile }));
+  }
+}
+
+const server = createServer((req, res) => {
+  const summary = [...rooms.entries()].map(([name, peers]) => `${name}: ${peers.size}`);
+  res.writeHead(200, { 'Content-Type': 'text/plain', 'Access-Control-Allow-Origin': '*' });
+  res.end(`Avatar relay\n${summary.length ? summary.join('\n') : 'No rooms'}\n`);
+});
+
+server.on('upgrade', (req, socket) => {
+  // The path names the room: ws://host:port/<room>
+  let room;
+  try {
+    room = decodeURIComponent(new URL(req.url, 'http://relay').pathname.slice(1)) || 'lobby';
+  } catch (error) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+
+  const connection = acceptWebSocket(req, socket);
+  if (!connection) return;
+  joinRoom(new Peer(connection, room));
+});
+
+// Drop connections that stop answering pings (e.g. a laptop that went to sleep)
+setInterval(() => {
+  for (const peers of rooms.values()) {
+    for (const peer of peers.values()) {
+      if (peer.connection.alive) {
+        peer.connection.ping();
+      } else {
+        peer.connection.close();
+      }
+    }
+  }
+}, PING_INTERVAL).unref();
+
+server.on('error', (error) => {
+  console.error(`[Relay] Could not listen on port ${PORT}: ${error.message}`);
+  process.exit(1);
+});
+
+server.listen(PORT, () => {
+  console.log(`[Relay] Listening on ws://localhost:${PORT} (one room per path, e.g. ws://localhost:${PORT}/studio)`);
+});
@@ -0,0 +1,197 @@
+// Bridge from the browser to VMC receivers (VSeeFace, Unity with EVMC4U,
+// Blender add-ons, ...). Browsers can't send UDP, so the app sends each
+// tracking frame here over a WebSocket (see VMCExporter in main.js) and this
+// re-encodes it as VMC protocol OSC bundles over UDP.
+//
+// Usage: npm run vmc-bridge [-- --port 39540 --target 127.0.0.1:39539 --origin https://example.com]
+// --target takes a comma-separated list to feed several receivers at once
+// --origin lists the pages allowed to connect (default: any localhost port)
+//
+// Messages in:  frame {time, root, bones: [[name, px, py, pz, qx, qy, qz, qw]], blendshapes: [[name, value]]}
+//               (JSON, already in Unity's left-handed coordinates)
+// Messages out: ready {targets}
+// UDP out:      /VMC/Ext/Root/Pos, /VMC/Ext/Bone/Pos, /VMC/Ext/OK, /VMC/Ext/T in one bundle,
+//               /VMC/Ext/Blend/Val and /VMC/Ext/Blend/Apply in another
+
+import { createServer } from 'node:http';
+import { createSocket } from 'node:dgram';
+import { acceptWebSocket } from './websocket.js';
+
+const readArg = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : fallback;
+};
+
+const PORT = Number(readArg('port', process.env.VMC_BRIDGE_PORT)) || 39540;
+const TARGETS = readArg('target', process.env.VMC_TARGET || '127.0.0.1:39539')
+  .split(',')
+  .map((target) => {
+    const [host, port] = target.trim().split(':');
+    return { host: host || '127.0.0.1', port: Number(port) || 39539 };
+  });
+const ORIGINS = (readArg('origin', process.env.VMC_BRIDGE_ORIGIN) || '')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+const STATS_INTERVAL = 5000;
+
+const udp = createSocket('udp4');
+let framesSent = 0;
+
+/**
+ * OSC string: UTF-8, null-terminated, padded to a multiple of 4 bytes
+ */
+function oscString(value) {
+  const bytes = Buffer.from(`${value}\0`);
+  return Buffer.concat([bytes, Buffer.alloc((4 - bytes.length % 4) % 4)]);
+}
+
+/**
+ * Encode an OSC message
+ * @param {string} address - e.g. /VMC/Ext/Bone/Pos
+ * @param {Array<string|number|{int: number}>} args - Strings, floats, or { int } for int32
+ */
+function oscMessage(address, args = []) {
+  const tags = args.map(arg => (typeof arg === 'string' ? 's' : typeof arg === 'number' ? 'f' : 'i')).join('');
+  const parts = [oscString(address), oscString(`,${tags}`)];
+
+  for (const arg of args) {
+    if (typeof arg === 'string') {
+      parts.push(oscString(arg));
+    } else {
+      const value = Buffer.alloc(4);
+      if (typeof arg === 'number') {
+        value.writeFloatBE(Number.isFinite(arg) ? arg : 0);
+      } else {
+        value.writeInt32BE(arg.int);
+      }
+      parts.push(value);
+    }
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+ * Encode an OSC bundle to be applied immediately
+ */
+function oscBundle(messages) {
+  const timeTag = Buffer.alloc(8);
+  timeTag.writeUInt32BE(1, 4); // "Immediately"
+  const elements = messages.flatMap((message) => {
+    const size = Buffer.alloc(4);
+    size.writeInt32BE(message.length);
+    return [size, message];
+  });
+  return Buffer.concat([oscString('#bundle'), timeTag, ...elements]);
+}
+
+const toFloats = values => values.slice(0, 7).map(Number);
+
+/**
+ * Turn one frame from the browser into VMC bundles
+ * @returns {Buffer[]} UDP datagrams
+ */
+function encodeFrame({ time, root, bones, blendshapes }) {
+  const datagrams = [];
+
+  const boneMessages = [
+    oscMessage('/VMC/Ext/OK', [{ int: 1 }]),
+    oscMessage('/VMC/Ext/T', [Number(time) || 0])
+  ];
+  if (Array.isArray(root)) {
+    boneMessages.push(oscMessage('/VMC/Ext/Root/Pos', ['root', ...toFloats(root)]));
+  }
+  if (Array.isArray(bones)) {
+    bones.filter(Array.isArray).forEach(([name, ...transform]) => {
+      boneMessages.push(oscMessage('/VMC/Ext/Bone/Pos', [String(name), ...toFloats(transform)]));
+    });
+  }
+  datagrams.push(oscBundle(boneMessages));
+
+  const weights = Array.isArray(blendshapes) ? blendshapes.filter(Array.isArray) : [];
+  if (weights.length > 0) {
+    const blendMessages = weights.map(([name, value]) => oscMessage('/VMC/Ext/Blend/Val', [String(name), Number(value) || 0]));
+    blendMessages.push(oscMessage('/VMC/Ext/Blend/Apply'));
+    datagrams.push(oscBundle(blendMessages));
+  }
+
+  return datagrams;
+}
+
+function handleMessage(data, binary) {
+  if (binary) return;
+
+  let message;
+  try {
+    message = JSON.parse(data.toString());
+  } catch (error) {
+    return;
+  }
+  if (!message || message.type !== 'frame') return;
+
+  let datagrams;
+  try {
+    datagrams = encodeFrame(message);
+  } catch (error) {
+    return; // Drop the malformed frame, keep the connection
+  }
+
+  for (const datagram of datagrams) {
+    for (const { host, port } of TARGETS) {
+      udp.send(datagram, port, host);
+    }
+  }
+  framesSent++;
+}
+
+const server = createServer((req, res) => {
+  res.writeHead(200, { 'Content-Type': 'text/plain', 'Access-Control-Allow-Origin': '*' });
+  res.end(`VMC bridge, sending to ${TARGETS.map(({ host, port }) => `${host}:${port}`).join(', ')}\n`);
+});
+
+/**
+ * Any page can open a WebSocket to localhost, so only let the app's own
+ * pages in. Clients that send no Origin (not a browser) are allowed
+ */
+function isAllowedOrigin(origin) {
+  if (!origin) return true;
+  if (ORIGINS.length > 0) return ORIGINS.includes(origin);
+  try {
+    return LOOPBACK_HOSTS.includes(new URL(origin).hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+server.on('upgrade', (req, socket) => {
+  if (!isAllowedOrigin(req.headers.origin)) {
+    console.warn(`[VMC] Refused connection from ${req.headers.origin}`);
+    socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+    return;
+  }
+
+  const connection = acceptWebSocket(req, socket);
+  if (!connection) return;
+
+  console.log('[VMC] Tracker connected');
+  connection.onMessage = handleMessage;
+  connection.onClose = () => console.log('[VMC] Tracker disconnected');
+  connection.send(JSON.stringify({ type: 'ready', targets: TARGETS.map(({ host, port }) => `${host}:${port}`) }));
+});
+
+setInterval(() => {
+  if (framesSent > 0) {
+    console.log(`[VMC] ${(framesSent * 1000 / STATS_INTERVAL).toFixed(0)} frames/s`);
+    framesSent = 0;
+  }
+}, STATS_INTERVAL).unref();
+
+server.on('error', (error) => {
+  console.error(`[VMC] Could not listen on port ${PORT}: ${error.message}`);
+  process.exit(1);
+});
+
+server.listen(PORT, () => {
+  console.log(`[VMC] Listening on ws://localhost:${PORT}, sending to ${TARGETS.map(({ host, port }) => `${host}:${port}`).join(', ')}`);
+});
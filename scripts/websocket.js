@@ -0,0 +1,206 @@
+// Server side of the WebSocket protocol (RFC 6455) on node:http, shared by
+// the relay and the VMC bridge so neither needs a dependency. Covers what
+// browsers send: masked text/binary frames, fragmentation, ping/pong, close.
+
+import { createHash } from 'node:crypto';
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+export const MAX_MESSAGE_SIZE = 65536;
+
+const OPCODES = { continuation: 0, text: 1, binary: 2, close: 8, ping: 9, pong: 10 };
+
+/**
+ * One WebSocket connection: frames the socket's byte stream into messages
+ */
+export class WebSocketConnection {
+  constructor(socket) {
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = null; // { opcode, parts } while a fragmented message arrives
+    this.alive = true; // Cleared by ping(), set again by the pong
+    this.closed = false;
+
+    // Callbacks
+    this.onMessage = null; // (data: Buffer, binary: boolean) => void
+    this.onClose = null; // () => void
+
+    socket.setNoDelay(true);
+    socket.on('data', data => this.receive(data));
+    socket.on('close', () => this.close());
+    socket.on('error', () => this.close());
+  }
+
+  receive(data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+
+    while (!this.closed) {
+      const frame = parseFrame(this.buffer);
+      if (!frame) return;
+      if (frame.error) {
+        this.close(1002);
+        return;
+      }
+      this.buffer = this.buffer.subarray(frame.length);
+      this.handleFrame(frame);
+    }
+  }
+
+  handleFrame({ fin, opcode, payload }) {
+    switch (opcode) {
+      case OPCODES.ping:
+        this.write(payload, OPCODES.pong);
+        return;
+      case OPCODES.pong:
+        this.alive = true;
+        return;
+      case OPCODES.close:
+        this.close(1000);
+        return;
+      case OPCODES.continuation:
+        if (!this.fragments) {
+          this.close(1002);
+          return;
+        }
+        this.fragments.parts.push(payload);
+        break;
+      default:
+        this.fragments = { opcode, parts: [payload] };
+    }
+
+    const size = this.fragments.parts.reduce((total, part) => total + part.length, 0);
+    if (size > MAX_MESSAGE_SIZE) {
+      this.close(1009);
+      return;
+    }
+    if (!fin) return;
+
+    const { opcode: messageOpcode, parts } = this.fragments;
+    this.fragments = null;
+    if (this.onMessage) {
+      this.onMessage(Buffer.concat(parts), messageOpcode === OPCODES.binary);
+    }
+  }
+
+  /**
+   * Send a text (string) or binary (Buffer) message
+   */
+  send(data) {
+    this.sendFrame(encodeMessage(data));
+  }
+
+  /**
+   * Send a frame from encodeMessage, e.g. one encoded once for many connections
+   */
+  sendFrame(frame) {
+    if (!this.closed) this.socket.write(frame);
+  }
+
+  write(payload, opcode) {
+    if (this.closed) return;
+    this.socket.write(encodeFrame(payload, opcode));
+  }
+
+  ping() {
+    this.alive = false;
+    this.write(Buffer.alloc(0), OPCODES.ping);
+  }
+
+  close(code) {
+    if (this.closed) return;
+    this.closed = true;
+
+    if (code) {
+      const payload = Buffer.alloc(2);
+      payload.writeUInt16BE(code);
+      this.socket.end(encodeFrame(payload, OPCODES.close));
+    } else {
+      this.socket.destroy();
+    }
+    if (this.onClose) this.onClose();
+  }
+}
+
+/**
+ * Complete the handshake for an HTTP upgrade request
+ * @returns {WebSocketConnection|null} Null (after answering 400) if it isn't a WebSocket request
+ */
+export function acceptWebSocket(req, socket) {
+  const key = req.headers['sec-websocket-key'];
+  if (req.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return null;
+  }
+
+  const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '', ''
+  ].join('\r\n'));
+  return new WebSocketConnection(socket);
+}
+
+/**
+ * Parse one frame from the start of the buffer
+ * @returns {{fin: boolean, opcode: number, payload: Buffer, length: number}|{error: string}|null} Null until the whole frame has arrived
+ */
+function parseFrame(buffer) {
+  if (buffer.length < 2) return null;
+
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let payloadLength = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (!masked) return { error: 'Client frames must be masked' };
+
+  if (payloadLength === 126) {
+    if (buffer.length < 4) return null;
+    payloadLength = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (payloadLength === 127) {
+    if (buffer.length < 10) return null;
+    const length = buffer.readBigUInt64BE(2);
+    if (length > BigInt(MAX_MESSAGE_SIZE)) return { error: 'Frame too large' };
+    payloadLength = Number(length);
+    offset = 10;
+  }
+  if (payloadLength > MAX_MESSAGE_SIZE) return { error: 'Frame too large' };
+
+  if (buffer.length < offset + 4 + payloadLength) return null;
+  const mask = buffer.subarray(offset, offset + 4);
+  const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + payloadLength));
+  for (let i = 0; i < payload.length; i++) {
+    payload[i] ^= mask[i & 3];
+  }
+
+  return { fin, opcode, payload, length: offset + 4 + payloadLength };
+}
+
+/**
+ * Build an unmasked server frame
+ */
+function encodeFrame(payload, opcode) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+export function encodeMessage(data) {
+  return typeof data === 'string' ? encodeFrame(Buffer.from(data), OPCODES.text) : encodeFrame(data, OPCODES.binary);
+}
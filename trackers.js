@@ -0,0 +1,221 @@
+// MediaPipe trackers, shared by the main thread and the inference worker
+// (tracking-worker.js)
+
+import { FaceLandmarker, HandLandmarker, PoseLandmarker } from '@mediapipe/tasks-vision';
+
+/**
+ * Fetch a binary asset, naming it and its URL in the error if it can't be loaded
+ * @param {string} label - Human-readable name, e.g. 'face model'
+ * @param {string} url - Asset URL
+ * @returns {Promise<Uint8Array>}
+ */
+export async function fetchAsset(label, url) {
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (error) {
+    throw new Error(`Could not load the ${label} from ${url} (${error.message})`);
+  }
+  if (!response.ok) {
+    throw new Error(`Could not load the ${label} from ${url} (HTTP ${response.status})`);
+  }
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+/**
+ * Create a MediaPipe vision task from a fetched model. The model is fetched
+ * first so a failure is reported against the model, and anything after that
+ * against the WASM runtime
+ */
+export async function createVisionTask(TaskClass, filesetResolver, label, modelUrl, options) {
+  const model = await fetchAsset(label, modelUrl);
+  try {
+    return await TaskClass.createFromOptions(filesetResolver, {
+      ...options,
+      baseOptions: { modelAssetBuffer: model, delegate: 'GPU' }
+    });
+  } catch (error) {
+    throw new Error(`Could not start the MediaPipe runtime from ${filesetResolver.wasmLoaderPath} (${error.message || error})`);
+  }
+}
+
+/**
+ * Face Tracking System
+ * Handles face detection and landmark extraction using MediaPipe
+ */
+export class FaceTracker {
+  constructor() {
+    this.landmarker = null;
+    this.lastResults = null;
+    this.numFaces = 1;
+  }
+
+  async initialize(filesetResolver, modelUrl) {
+    this.landmarker = await createVisionTask(FaceLandmarker, filesetResolver, 'face model', modelUrl, {
+      runningMode: 'VIDEO',
+      numFaces: this.numFaces,
+      outputFaceBlendshapes: true,
+      outputFacialTransformationMatrixes: true
+    });
+  }
+
+  /**
+   * Set how many faces the landmarker looks for
+   */
+  async setNumFaces(numFaces) {
+    this.numFaces = numFaces;
+    if (this.landmarker) {
+      await this.landmarker.setOptions({ numFaces });
+    }
+  }
+
+  /**
+   * Detect face in video frame
+   * @param {HTMLVideoElement} video - Video element
+   * @param {number} timestamp - Timestamp in milliseconds
+   * @returns {Object|null} Detection results
+   */
+  detectFace(video, timestamp) {
+    if (!this.landmarker) return null;
+
+    const results = this.landmarker.detectForVideo(video, timestamp);
+    this.lastResults = results;
+    return results;
+  }
+
+  /**
+   * Get every detected face, in MediaPipe's (unstable) order
+   * @returns {Array<{landmarks: Array, blendshapes: Array|null, transformMatrix: number[]|null}>}
+   */
+  getFaces() {
+    if (!this.lastResults || !this.lastResults.faceLandmarks) return [];
+
+    const { faceLandmarks, faceBlendshapes, facialTransformationMatrixes } = this.lastResults;
+    return faceLandmarks.map((landmarks, i) => ({
+      landmarks,
+      blendshapes: faceBlendshapes && faceBlendshapes[i] ? faceBlendshapes[i].categories : null,
+      transformMatrix: facialTransformationMatrixes && facialTransformationMatrixes[i] ? facialTransformationMatrixes[i].data : null
+    }));
+  }
+}
+
+/**
+ * Hand Tracking System
+ * Handles hand detection using MediaPipe
+ */
+export class HandTracker {
+  constructor() {
+    this.landmarker = null;
+    this.lastResults = null;
+    this.enabled = false; // Throttle hand detection
+    this.frameCount = 0;
+    this.interval = 2; // Detect every Nth frame (set by the performance governor)
+  }
+
+  async initialize(filesetResolver, modelUrl) {
+    this.landmarker = await createVisionTask(HandLandmarker, filesetResolver, 'hand model', modelUrl, {
+      runningMode: 'VIDEO',
+      numHands: 2,
+      minHandDetectionConfidence: 0.5,
+      minHandPresenceConfidence: 0.5,
+      minTrackingConfidence: 0.5
+    });
+    this.enabled = true;
+  }
+
+  /**
+   * Detect hands in video frame (throttled to every `interval` frames for performance)
+   */
+  detectHands(video, timestamp) {
+    if (!this.landmarker || !this.enabled) return null;
+
+    // Throttle: only detect every `interval` frames
+    this.frameCount++;
+    if (this.frameCount % this.interval !== 0) return this.lastResults;
+
+    try {
+      const results = this.landmarker.detectForVideo(video, timestamp);
+      this.lastResults = results;
+      return results;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get tracked hands with each side as the hand appears in the frame (the
+   * user's own hand unless the frame was flipped). MediaPipe labels
+   * handedness as if the image were mirrored, so a hand that looks like a
+   * right hand in the frame is reported as "Left".
+   * @returns {Array<{side: string, score: number, landmarks: Array, worldLandmarks: Array}>}
+   */
+  getHands() {
+    if (!this.lastResults || !this.lastResults.landmarks) return [];
+
+    return this.lastResults.landmarks.map((landmarks, i) => {
+      const category = this.lastResults.handedness[i][0];
+      const labelSide = category.categoryName.toLowerCase();
+      const side = labelSide === 'left' ? 'right' : 'left';
+      return { side, score: category.score, landmarks, worldLandmarks: this.lastResults.worldLandmarks[i] };
+    });
+  }
+}
+
+/**
+ * Pose Tracking System
+ * Handles upper-body detection using MediaPipe PoseLandmarker
+ */
+export class PoseTracker {
+  constructor() {
+    this.landmarker = null;
+    this.lastResults = null;
+    this.enabled = false;
+  }
+
+  async initialize(filesetResolver, modelUrl) {
+    this.landmarker = await createVisionTask(PoseLandmarker, filesetResolver, 'pose model', modelUrl, {
+      runningMode: 'VIDEO',
+      numPoses: 1,
+      minPoseDetectionConfidence: 0.5,
+      minPosePresenceConfidence: 0.5,
+      minTrackingConfidence: 0.5
+    });
+  }
+
+  /**
+   * Detect body pose in video frame
+   */
+  detectPose(video, timestamp) {
+    if (!this.landmarker || !this.enabled) return null;
+
+    try {
+      const results = this.landmarker.detectForVideo(video, timestamp);
+      this.lastResults = results;
+      return results;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get hip-centred 3D landmarks (metres) for the first pose
+   */
+  getWorldLandmarks() {
+    if (!this.lastResults || !this.lastResults.worldLandmarks) return null;
+    return this.lastResults.worldLandmarks[0] || null;
+  }
+}
+
+/**
+ * Package the trackers' latest results as one tracking frame
+ * @returns {{face: Object|null, faces: Array, hands: Array, pose: Array|null|undefined}} Tracking frame
+ */
+export function readTrackingFrame(faceTracker, handTracker, poseTracker) {
+  const faces = faceTracker.getFaces();
+  return {
+    face: faces[0] || null,
+    faces,
+    hands: handTracker.getHands(),
+    pose: poseTracker.enabled ? poseTracker.getWorldLandmarks() : undefined
+  };
+}
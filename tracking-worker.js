@@ -0,0 +1,102 @@
+// Runs MediaPipe inference off the main thread (see InferenceWorker in main.js).
+//
+// Messages in:  init {assets}, frame {image, timestamp}, pose {enabled}, config {handInterval, numFaces}
+// Messages out: ready, error {message}, result {frame, timestamp}, pose {enabled, error}
+//
+// Each frame is an ImageBitmap or VideoFrame transferred from the page; it is
+// closed here once every tracker has seen it. The GPU delegate renders into an
+// OffscreenCanvas, which MediaPipe creates itself inside a worker.
+
+import { FilesetResolver } from '@mediapipe/tasks-vision';
+import { FaceTracker, HandTracker, PoseTracker, readTrackingFrame } from './trackers.js';
+
+installImportScripts();
+
+const faceTracker = new FaceTracker();
+const handTracker = new HandTracker();
+const poseTracker = new PoseTracker();
+let filesetResolver = null;
+let assets = null;
+
+self.onmessage = async ({ data }) => {
+  switch (data.type) {
+    case 'init':
+      try {
+        assets = data.assets;
+        filesetResolver = await FilesetResolver.forVisionTasks(assets.wasm);
+        await faceTracker.initialize(filesetResolver, assets.faceModel);
+        await handTracker.initialize(filesetResolver, assets.handModel);
+        self.postMessage({ type: 'ready' });
+      } catch (error) {
+        self.postMessage({ type: 'error', message: error.message || String(error) });
+      }
+      break;
+
+    case 'frame':
+      detect(data.image, data.timestamp);
+      break;
+
+    case 'pose':
+      try {
+        if (data.enabled && !poseTracker.landmarker) {
+          await poseTracker.initialize(filesetResolver, assets.poseModel);
+        }
+        poseTracker.enabled = data.enabled;
+        self.postMessage({ type: 'pose', enabled: data.enabled });
+      } catch (error) {
+        self.postMessage({ type: 'pose', enabled: false, error: error.message || String(error) });
+      }
+      break;
+
+    case 'config':
+      if (data.handInterval !== undefined) handTracker.interval = data.handInterval;
+      if (data.numFaces !== undefined) {
+        faceTracker.setNumFaces(data.numFaces)
+          .catch(error => console.warn('[Worker] Could not change the face count:', error.message));
+      }
+      break;
+  }
+};
+
+function detect(image, timestamp) {
+  let frame = null;
+  try {
+    faceTracker.detectFace(image, timestamp);
+    handTracker.detectHands(image, timestamp);
+    if (poseTracker.enabled) {
+      poseTracker.detectPose(image, timestamp);
+    }
+    frame = readTrackingFrame(faceTracker, handTracker, poseTracker);
+  } catch (error) {
+    console.warn('[Worker] Detection failed:', error.message);
+  } finally {
+    image.close();
+  }
+  self.postMessage({ type: 'result', frame, timestamp });
+}
+
+/**
+ * MediaPipe loads its WASM glue with importScripts, which module workers
+ * (what Vite builds and serves) don't support. Stand in with a synchronous
+ * fetch evaluated in global scope, which is what importScripts does.
+ */
+function installImportScripts() {
+  try {
+    self.importScripts();
+    return; // Classic worker
+  } catch (error) {
+    // Module worker
+  }
+
+  self.importScripts = (...urls) => {
+    for (const url of urls) {
+      const request = new XMLHttpRequest();
+      request.open('GET', url, false);
+      request.send();
+      if (request.status !== 200) {
+        throw new Error(`Could not load the MediaPipe runtime from ${url} (HTTP ${request.status})`);
+      }
+      (0, eval)(request.responseText);
+    }
+  };
+}
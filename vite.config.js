@@ -1,22 +1,84 @@
 import { defineConfig } from 'vite';
+import { createReadStream, existsSync, readdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { dirname, join, resolve } from 'node:path';
+
+// The MediaPipe WASM runtime must match the tasks-vision version in the
+// bundle, so serve it straight from node_modules instead of a CDN
+const MEDIAPIPE_WASM_DIR = join(dirname(createRequire(import.meta.url).resolve('@mediapipe/tasks-vision')), 'wasm');
+const MEDIAPIPE_WASM_URL = 'mediapipe/wasm';
+const MEDIAPIPE_VERSION = JSON.parse(readFileSync(join(MEDIAPIPE_WASM_DIR, '..', 'package.json'), 'utf8')).version;
+
+function mediapipeWasm() {
+  let base = '/';
+  return {
+    name: 'mediapipe-wasm',
+    configResolved(config) {
+      base = config.base;
+    },
+    configureServer(server) {
+      server.middlewares.use(`${base}${MEDIAPIPE_WASM_URL}`, (req, res, next) => {
+        const file = req.url.split('?')[0].replace(/^\//, '');
+        if (!readdirSync(MEDIAPIPE_WASM_DIR).includes(file)) return next();
+        res.setHeader('Content-Type', file.endsWith('.wasm') ? 'application/wasm' : 'text/javascript');
+        createReadStream(join(MEDIAPIPE_WASM_DIR, file)).pipe(res);
+      });
+    },
+    generateBundle() {
+      for (const file of readdirSync(MEDIAPIPE_WASM_DIR)) {
+        this.emitFile({
+          type: 'asset',
+          fileName: `${MEDIAPIPE_WASM_URL}/${file}`,
+          source: readFileSync(join(MEDIAPIPE_WASM_DIR, file))
+        });
+      }
+    }
+  };
+}
+
+// The runtime's URL doesn't change between tasks-vision versions, so the
+// service worker names its cache after the version it was built with
+function serviceWorkerVersion() {
+  let outDir;
+  return {
+    name: 'service-worker-version',
+    apply: 'build',
+    configResolved(config) {
+      outDir = resolve(config.root, config.build.outDir);
+    },
+    closeBundle() {
+      const file = join(outDir, 'sw.js');
+      if (!existsSync(file)) return;
+      writeFileSync(file, readFileSync(file, 'utf8').replace('__MEDIAPIPE_VERSION__', MEDIAPIPE_VERSION));
+    }
+  };
+}
 
 export default defineConfig({
   // Uncomment and set this if deploying to GitHub Pages
   // base: '/your-repo-name/',
-  
+
+  plugins: [mediapipeWasm(), serviceWorkerVersion()],
+
   build: {
     target: 'esnext',
     rollupOptions: {
       output: {
         manualChunks: {
           'three': ['three'],
-          'mediapipe': ['@mediapipe/tasks-vision']
+          'mediapipe': ['@mediapipe/tasks-vision'],
+          'vrm': ['@pixiv/three-vrm']
         }
       }
     }
   },
-  
+
+  // tracking-worker.js is a module worker that shares trackers.js with the page
+  worker: {
+    format: 'es'
+  },
+
   optimizeDeps: {
-    include: ['@mediapipe/tasks-vision', 'three']
+    include: ['@mediapipe/tasks-vision', 'three', '@pixiv/three-vrm']
   }
 });